@@ -1,14 +1,140 @@
 from __future__ import annotations
 
+import csv
+import io
 import math
+import re
 
 from dataclasses import asdict, dataclass
-from typing import Dict, List
+from functools import lru_cache
+from typing import Any, Dict, List, Optional, Tuple
 
-from flask import Flask, jsonify, render_template, request
+from flask import Flask, Response, jsonify, render_template, request
 
 app = Flask(__name__)
 
+# Rays enter the rail in air. Angles are geometric (not reduced) angles
+# measured in whichever medium the ray is travelling through.
+INPUT_INDEX = 1.0
+ANGLE_CONVENTION = "geometric"
+# Rays without their own wavelength_nm are traced at the reference
+# wavelength; the reported matrices and thin-lens focal lengths refer to it.
+REFERENCE_WAVELENGTH_NM = 550.0
+# Gaussian beams are limited to waists up to 1 m and wavelengths from 1 nm
+# to 100 µm, which keeps the Rayleigh range πw₀²/λ finite.
+MAX_BEAM_WAIST_RADIUS = 1000.0
+BEAM_WAVELENGTH_RANGE_NM = (1.0, 100_000.0)
+# The tangential plane is the one drawn on the rail and the one mirrors fold
+# in; the sagittal plane is perpendicular to it. Every element is aligned to
+# these planes, so the two are traced independently with their own 2x2
+# matrices.
+TRACE_PLANES = ("tangential", "sagittal")
+
+# The tracer works in storage units: ray heights and lengths in mm, ray
+# angles in rad, and each component parameter in the "unit" declared on its
+# definition. /api/trace accepts an optional "units" object naming the
+# length and angle units of its request, and answers in the same units.
+LENGTH_UNITS = {"µm": 1000.0, "mm": 1.0, "cm": 0.1, "m": 0.001}  # per mm
+ANGLE_UNITS = {"rad": 1.0, "mrad": 1000.0, "deg": 180.0 / math.pi}  # per rad
+STORAGE_UNITS = {"length": "mm", "angle": "rad"}
+# Declared parameter units that follow the chosen length or angle unit.
+UNIT_QUANTITIES = {
+    "mm": "length",
+    "1/mm": "inverse_length",
+    "rad": "angle",
+    "mrad": "angle",
+    "deg": "angle",
+}
+# Relative slack when /api/trace compares parameters with their limits, so a
+# limit converted to the request's units and back still passes.
+LIMIT_TOLERANCE = 1e-9
+
+# Result tables, mirroring ray-table.js: column names with the storage unit
+# of each length or angle column, which is added to the heading. "final" has
+# one row per ray path, "history" one per path and step (0 is the rail start,
+# k the state after component k). /api/trace/batch puts a "design" column
+# first and traces at most MAX_BATCH_TRACES design × ray pairs per request.
+RAY_TABLE_COLUMNS = {
+    "final": [
+        ("ray", None),
+        ("label", None),
+        ("wavelength_nm", None),
+        ("orders", None),
+        ("status", None),
+        ("stopped_at", None),
+        ("input_height", "mm"),
+        ("input_angle", "rad"),
+        ("final_height", "mm"),
+        ("final_angle", "rad"),
+    ],
+    "history": [
+        ("ray", None),
+        ("label", None),
+        ("wavelength_nm", None),
+        ("orders", None),
+        ("step", None),
+        ("component", None),
+        ("height", "mm"),
+        ("angle", "rad"),
+    ],
+}
+MAX_BATCH_TRACES = 100_000
+# A grating splits each ray into one path per selected order, so the paths
+# multiply at every grating; a trace may hold at most this many.
+MAX_RAY_PATHS = 20_000
+RAY_PATHS_MESSAGE = f"The gratings split the rays into more than {MAX_RAY_PATHS} paths; select fewer orders or rays."
+
+# User-defined components have types "custom:<slug>" and carry their own
+# definition: parameters like a library entry, plus a "matrix" [[A, B],
+# [C, D]] and "offset" [Δx, Δθ] of expressions in those parameters. They
+# have no thickness and leave the medium unchanged.
+CUSTOM_TYPE_PREFIX = "custom:"
+# Parameter units a definition may declare; values are always in storage
+# units.
+CUSTOM_PARAMETER_UNITS = ["", "mm", "rad", "1/mm"]
+
+# Dispersion models take the vacuum wavelength in µm. Sellmeier terms are
+# (B, C) pairs with n² = 1 + Σ B λ² / (λ² - C); Cauchy coefficients give
+# n = A + B/λ² + C/λ⁴. Option 0 of a "glass" parameter means "use the fixed
+# refractive_index"; option k picks GLASS_CATALOG[k - 1].
+GLASS_CATALOG = [
+    {
+        "label": "N-BK7",
+        "model": "sellmeier",
+        "terms": [[1.03961212, 0.00600069867], [0.231792344, 0.0200179144], [1.01046945, 103.560653]],
+    },
+    {
+        "label": "N-SF11",
+        "model": "sellmeier",
+        "terms": [[1.73759695, 0.013188707], [0.313747346, 0.0623068142], [1.89878101, 155.23629]],
+    },
+    {
+        "label": "F2",
+        "model": "sellmeier",
+        "terms": [[1.34533359, 0.00997743871], [0.209073176, 0.0470450767], [0.937357162, 111.886764]],
+    },
+    {
+        "label": "Fused silica",
+        "model": "sellmeier",
+        "terms": [[0.6961663, 0.0046791483], [0.4079426, 0.0135120631], [0.8974794, 97.9340025]],
+    },
+    {
+        "label": "CaF2",
+        "model": "sellmeier",
+        "terms": [[0.5675888, 0.00252643], [0.4710914, 0.010078333], [3.8484723, 1200.556]],
+    },
+    {"label": "PMMA (acrylic)", "model": "cauchy", "coefficients": [1.4816, 0.00353, 0.0]},
+    {"label": "Polycarbonate", "model": "cauchy", "coefficients": [1.556, 0.01, 0.0]},
+]
+GLASS_PARAMETER = {
+    "default": 0.0,
+    "min": 0.0,
+    "max": float(len(GLASS_CATALOG)),
+    "step": 1.0,
+    "options": ["Fixed index"] + [glass["label"] for glass in GLASS_CATALOG],
+    "unit": "",
+}
+
 
 @dataclass
 class ComponentDefinition:
@@ -16,7 +142,7 @@ class ComponentDefinition:
 
     label: str
     description: str
-    parameters: Dict[str, Dict[str, float]]
+    parameters: Dict[str, Dict[str, Any]]
 
 
 COMPONENT_LIBRARY: Dict[str, ComponentDefinition] = {
@@ -24,43 +150,137 @@ COMPONENT_LIBRARY: Dict[str, ComponentDefinition] = {
         label="Free Space",
         description="Propagation through free space by a distance L.",
         parameters={
-            "length": {"default": 100.0, "min": 0.0, "step": 1.0},
+            "length": {"default": 100.0, "min": 0.0, "step": 1.0, "unit": "mm"},
         },
     ),
     "positive_lens": ComponentDefinition(
         label="Positive Lens",
-        description="Thin lens with positive focal length f.",
+        description="Thin lens with positive focal length f at the reference wavelength.",
         parameters={
-            "focal_length": {"default": 50.0, "min": 1.0, "step": 1.0},
+            "focal_length": {"default": 50.0, "min": 1.0, "step": 1.0, "unit": "mm"},
+            "glass": GLASS_PARAMETER,
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
         },
     ),
     "negative_lens": ComponentDefinition(
         label="Negative Lens",
-        description="Thin lens with negative focal length f.",
+        description="Thin lens with negative focal length f at the reference wavelength.",
         parameters={
-            "focal_length": {"default": -50.0, "min": -500.0, "max": -1.0, "step": 1.0},
+            "focal_length": {"default": -50.0, "min": -500.0, "max": -1.0, "step": 1.0, "unit": "mm"},
+            "glass": GLASS_PARAMETER,
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
         },
     ),
     "prism": ComponentDefinition(
         label="Prism",
         description="Prism introducing an angular deviation.",
         parameters={
-            "angle_offset": {"default": 2.0, "min": -30.0, "max": 30.0, "step": 0.1},
-            "thickness": {"default": 20.0, "min": 0.0, "max": 500.0, "step": 1.0},
+            "angle_offset": {"default": 2.0, "min": -30.0, "max": 30.0, "step": 0.1, "unit": "deg"},
+            "thickness": {"default": 20.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+            "refractive_index": {"default": 1.5, "min": 1.0, "max": 4.0, "step": 0.01, "unit": ""},
+            "glass": GLASS_PARAMETER,
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
         },
     ),
     "grating": ComponentDefinition(
         label="Diffraction Grating",
-        description="Grating described by spatial frequency (lines/mm); renders first-order diffraction.",
+        description="Grating described by spatial frequency (lines/mm); splits each ray into the selected diffraction orders at its own wavelength.",
         parameters={
-            "spatial_frequency": {"default": 600.0, "min": 50.0, "max": 2400.0, "step": 10.0},
+            "spatial_frequency": {"default": 600.0, "min": 50.0, "max": 2400.0, "step": 10.0, "unit": "lines/mm"},
+            "min_order": {"default": 1.0, "min": -5.0, "max": 5.0, "step": 1.0, "unit": ""},
+            "max_order": {"default": 1.0, "min": -5.0, "max": 5.0, "step": 1.0, "unit": ""},
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "cylindrical_lens": ComponentDefinition(
+        label="Cylindrical Lens",
+        description="Thin lens of focal length f (negative diverges) acting in one plane only; it has no power in the other.",
+        parameters={
+            "focal_length": {"default": 50.0, "min": -500.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+            "power_plane": {
+                "default": 0.0,
+                "min": 0.0,
+                "max": 1.0,
+                "step": 1.0,
+                "options": ["Tangential", "Sagittal"],
+                "unit": "",
+            },
+            "glass": GLASS_PARAMETER,
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
         },
     ),
     "mirror": ComponentDefinition(
         label="Mirror",
-        description="Planar mirror reflecting the ray angle.",
+        description="Planar mirror reflecting the ray angle; its tilt (angle of incidence) sets the fold in the folded layout.",
         parameters={
-            "flip_orientation": {"default": 1.0, "min": -1.0, "max": 1.0, "step": 2.0},
+            "flip_orientation": {"default": 1.0, "min": -1.0, "max": 1.0, "step": 2.0, "unit": ""},
+            "tilt_angle": {"default": 0.0, "min": 0.0, "max": 89.0, "step": 0.5, "unit": "deg"},
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "thick_lens": ComponentDefinition(
+        label="Thick Lens",
+        description="Lens with surface radii R1, R2 (0 = flat), center thickness and index n.",
+        parameters={
+            "radius_1": {"default": 100.0, "min": -1000.0, "max": 1000.0, "step": 1.0, "unit": "mm"},
+            "radius_2": {"default": -100.0, "min": -1000.0, "max": 1000.0, "step": 1.0, "unit": "mm"},
+            "thickness": {"default": 10.0, "min": 0.0, "max": 200.0, "step": 0.5, "unit": "mm"},
+            "refractive_index": {"default": 1.5, "min": 1.0, "max": 4.0, "step": 0.01, "unit": ""},
+            "glass": GLASS_PARAMETER,
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "spherical_interface": ComponentDefinition(
+        label="Refracting Surface",
+        description="Spherical interface of radius R (0 = flat) from the current medium into index n2.",
+        parameters={
+            "radius": {"default": 50.0, "min": -1000.0, "max": 1000.0, "step": 1.0, "unit": "mm"},
+            "n2": {"default": 1.5, "min": 1.0, "max": 4.0, "step": 0.01, "unit": ""},
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "curved_mirror": ComponentDefinition(
+        label="Curved Mirror",
+        description="Spherical mirror of radius R: positive is concave (f = R/2), negative convex. Tilting it by θ sets the fold in the folded layout and makes it astigmatic: f = R·cosθ/2 tangentially and R/(2·cosθ) sagittally.",
+        parameters={
+            "radius_of_curvature": {"default": 200.0, "min": -2000.0, "max": 2000.0, "step": 1.0, "unit": "mm"},
+            "flip_orientation": {"default": 1.0, "min": -1.0, "max": 1.0, "step": 2.0, "unit": ""},
+            "tilt_angle": {"default": 0.0, "min": 0.0, "max": 89.0, "step": 0.5, "unit": "deg"},
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "dielectric_slab": ComponentDefinition(
+        label="Dielectric Slab",
+        description="Flat plate of thickness t and index n.",
+        parameters={
+            "thickness": {"default": 10.0, "min": 0.0, "max": 500.0, "step": 0.5, "unit": "mm"},
+            "refractive_index": {"default": 1.5, "min": 1.0, "max": 4.0, "step": 0.01, "unit": ""},
+            "glass": GLASS_PARAMETER,
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "grin_rod": ComponentDefinition(
+        label="GRIN Rod",
+        description="Graded-index rod n(r) = n0(1 - g²r²/2) with gradient constant g (1/mm) and length L.",
+        parameters={
+            "gradient_constant": {"default": 0.3, "min": 0.0, "max": 5.0, "step": 0.01, "unit": "1/mm"},
+            "length": {"default": 5.24, "min": 0.0, "max": 200.0, "step": 0.01, "unit": "mm"},
+            "refractive_index": {"default": 1.6, "min": 1.0, "max": 4.0, "step": 0.01, "unit": ""},
+            "clear_aperture": {"default": 0.0, "min": 0.0, "max": 500.0, "step": 1.0, "unit": "mm"},
+        },
+    ),
+    "medium": ComponentDefinition(
+        label="Medium",
+        description="Flat boundary into a medium of index n; the rail stays in it until the next boundary.",
+        parameters={
+            "refractive_index": {"default": 1.33, "min": 1.0, "max": 4.0, "step": 0.01, "unit": ""},
+        },
+    ),
+    "iris": ComponentDefinition(
+        label="Iris / Stop",
+        description="Circular opening of diameter D that blocks rays outside it.",
+        parameters={
+            "clear_aperture": {"default": 10.0, "min": 0.1, "max": 500.0, "step": 0.5, "unit": "mm"},
         },
     ),
 }
@@ -85,32 +305,547 @@ def list_components() -> str:
 
 @app.route("/api/trace", methods=["POST"])
 def api_trace() -> str:
-    """Compute ray tracing results for a list of components and rays."""
+    """Compute ray tracing results for a list of components and rays.
+
+    Rays and lengths are in mm and rad, and parameters in their declared
+    units, unless the request names its own ``units``; values are then
+    converted on the way in and the result on the way out. Requests that
+    fail ``validate_trace_request`` are answered with a 400 error listing
+    every offending field.
+    """
+
+    data = request.get_json(force=True, silent=True)
+    errors = validate_trace_request(data)
+    if errors:
+        return jsonify({"error": "Invalid trace request.", "errors": errors}), 400
+
+    units = {**STORAGE_UNITS, **(data.get("units") or {})}
+    # Without "units", parameters stay in their declared units.
+    param_units = units if data.get("units") else None
+    components: List[Dict[str, float]] = [
+        convert_component_units(component, param_units) for component in data.get("components", [])
+    ]
+    rays: List[Dict[str, float]] = [convert_ray_units(ray, units) for ray in data.get("rays", [])]
+    beam: Optional[Dict[str, float]] = convert_beam_units(data.get("beam"), units)
+
+    try:
+        if data.get("two_plane"):
+            results = compute_two_plane_path(components, rays, beam)
+        else:
+            results = compute_optical_path(components, rays, beam)
+    except ValueError as err:
+        return jsonify({"error": str(err), "errors": []}), 400
+    return jsonify(convert_result_units(results, units))
+
+
+@app.route("/api/trace/batch", methods=["POST"])
+def api_trace_batch() -> Any:
+    """Trace one set of rays through several designs and return one table.
+
+    The body holds ``designs``, a list of objects with ``components`` and an
+    optional ``name`` (exported design files work as they are), the shared
+    ``rays``, optional ``units`` as for /api/trace, ``table`` ("final" or
+    "history", see RAY_TABLE_COLUMNS) and ``format`` ("json" or "csv"). JSON
+    answers are ``{"columns", "rows", "units"}``; rows start with the design
+    name. Only the tangential plane is traced. Invalid requests are answered
+    with a 400 error whose ``errors`` carry a ``design`` index as well.
+    """
+
+    data = request.get_json(force=True, silent=True)
+    errors = validate_batch_request(data)
+    if errors:
+        return jsonify({"error": "Invalid batch trace request.", "errors": errors}), 400
+
+    units = {**STORAGE_UNITS, **(data.get("units") or {})}
+    param_units = units if data.get("units") else None
+    table = data.get("table", "final")
+    rays = data.get("rays", [])
+    converted_rays = [convert_ray_units(ray, units) for ray in rays]
+    rows: List[List[Any]] = []
+    for index, design in enumerate(data["designs"]):
+        name = design.get("name") or f"Design {index + 1}"
+        components = design.get("components", [])
+        converted = [convert_component_units(component, param_units) for component in components]
+        try:
+            results = convert_result_units(compute_optical_path(converted, converted_rays), units)
+        except ValueError as err:
+            error = trace_error(f"designs[{index}]", str(err), design=index)
+            return jsonify({"error": str(err), "errors": [error]}), 400
+        rows.extend([name, *row] for row in ray_table(table, results, rays, components))
+
+    columns = ["design", *ray_table_columns(table, units)]
+    if data.get("format") == "csv":
+        text = io.StringIO()
+        writer = csv.writer(text, lineterminator="\n")
+        writer.writerow(columns)
+        writer.writerows(rows)
+        return Response(text.getvalue(), mimetype="text/csv")
+    return jsonify({"columns": columns, "rows": rows, "units": units})
+
+
+def validate_batch_request(data: Any) -> List[Dict[str, Any]]:
+    """Check an /api/trace/batch body, returning one error per offending field.
+
+    Each design's components and the shared rays are checked as by
+    ``validate_trace_request``; errors about a design carry its ``design``
+    index and a ``field`` path starting with ``designs[i]``.
+    """
+
+    if not isinstance(data, dict):
+        return [trace_error("", "Request body must be a JSON object.")]
+    rays = data.get("rays", [])
+    errors = validate_trace_request({"rays": rays, "units": data.get("units")})
+    if any(error["field"].startswith("units") for error in errors):
+        return errors
+    if isinstance(rays, list):
+        # Labels end up in the table, so they must be text.
+        for index, ray in enumerate(rays):
+            if isinstance(ray, dict) and ray.get("label") is not None and not isinstance(ray["label"], str):
+                errors.append(trace_error(f"rays[{index}].label", "label must be a string.", ray=index))
+
+    designs = data.get("designs")
+    traces = 0
+    if not isinstance(designs, list) or not designs:
+        errors.append(trace_error("designs", "Designs must be a non-empty list."))
+    else:
+        for index, design in enumerate(designs):
+            where = f"designs[{index}]"
+            if not isinstance(design, dict):
+                errors.append(trace_error(where, "Design must be an object.", design=index))
+                continue
+            if design.get("name") is not None and not isinstance(design["name"], str):
+                errors.append(trace_error(f"{where}.name", "name must be a string.", design=index))
+            checked = validate_trace_request(
+                {"components": design.get("components", []), "units": data.get("units")}
+            )
+            errors.extend({**error, "field": f"{where}.{error['field']}", "design": index} for error in checked)
+            if checked or not isinstance(rays, list):
+                continue
+            paths = count_ray_paths(design.get("components", []), len(rays))
+            if paths > MAX_RAY_PATHS:
+                errors.append(trace_error(f"{where}.components", RAY_PATHS_MESSAGE, design=index))
+            else:
+                traces += paths
+        if traces > MAX_BATCH_TRACES:
+            message = f"{traces} ray paths requested; at most {MAX_BATCH_TRACES} fit in one request."
+            errors.append(trace_error("designs", message))
+
+    table = data.get("table", "final")
+    if not isinstance(table, str) or table not in RAY_TABLE_COLUMNS:
+        errors.append(trace_error("table", f"table must be one of {', '.join(RAY_TABLE_COLUMNS)}."))
+    output_format = data.get("format", "json")
+    if not isinstance(output_format, str) or output_format not in ("json", "csv"):
+        errors.append(trace_error("format", 'format must be "json" or "csv".'))
+    return errors
+
+
+def trace_error(field: str, message: str, **where: Any) -> Dict[str, Any]:
+    """Return one /api/trace validation error.
+
+    ``field`` is the path of the offending value in the request, such as
+    ``components[2].params.focal_length``; ``where`` adds the ``component``
+    or ``ray`` index and the ``param`` name where they apply.
+    """
+
+    return {"field": field, **where, "message": message}
+
+
+def is_finite_number(value: Any) -> bool:
+    """Return whether ``value`` is a JSON number other than NaN or infinity."""
+
+    return isinstance(value, (int, float)) and not isinstance(value, bool) and math.isfinite(value)
+
+
+def validate_trace_request(data: Any) -> List[Dict[str, Any]]:
+    """Check an /api/trace body, returning one error per offending field."""
+
+    if not isinstance(data, dict):
+        return [trace_error("", "Request body must be a JSON object.")]
+
+    errors: List[Dict[str, Any]] = []
+    requested = data.get("units")
+    if requested is None:
+        requested = {}
+    elif not isinstance(requested, dict):
+        return [trace_error("units", 'Units must be an object such as {"length": "mm", "angle": "rad"}.')]
+    units = {**STORAGE_UNITS, **requested}
+    for quantity, known in (("length", LENGTH_UNITS), ("angle", ANGLE_UNITS)):
+        if not isinstance(units[quantity], str) or units[quantity] not in known:
+            errors.append(
+                trace_error(f"units.{quantity}", f"Unknown {quantity} unit; expected one of {', '.join(known)}.")
+            )
+    if errors:
+        # Parameter limits cannot be compared without the request's units.
+        return errors
+
+    components = data.get("components", [])
+    if not isinstance(components, list):
+        errors.append(trace_error("components", "Components must be a list."))
+    else:
+        for index, component in enumerate(components):
+            errors.extend(validate_trace_component(component, index, units if requested else None))
+
+    rays = data.get("rays", [])
+    if not isinstance(rays, list):
+        errors.append(trace_error("rays", "Rays must be a list."))
+    else:
+        for index, ray in enumerate(rays):
+            errors.extend(validate_trace_ray(ray, index))
+    if not errors and count_ray_paths(components, len(rays)) > MAX_RAY_PATHS:
+        errors.append(trace_error("components", RAY_PATHS_MESSAGE))
+
+    beam = data.get("beam")
+    if beam is not None:
+        if not isinstance(beam, dict):
+            errors.append(trace_error("beam", "Gaussian beam must be an object or null."))
+        else:
+            for key, positive in (("waist_radius", True), ("waist_position", False), ("wavelength_nm", True)):
+                value = beam.get(key)
+                if value is None:
+                    continue
+                if not is_finite_number(value):
+                    errors.append(trace_error(f"beam.{key}", f"{key} must be a finite number."))
+                elif positive and value <= 0:
+                    errors.append(trace_error(f"beam.{key}", f"{key} must be positive."))
+                elif key == "waist_radius" and value > MAX_BEAM_WAIST_RADIUS * unit_factor("mm", units):
+                    limit = MAX_BEAM_WAIST_RADIUS * unit_factor("mm", units)
+                    message = f"waist_radius must be at most {limit:g} {units['length']}."
+                    errors.append(trace_error("beam.waist_radius", message))
+                elif key == "wavelength_nm" and not (
+                    BEAM_WAVELENGTH_RANGE_NM[0] <= value <= BEAM_WAVELENGTH_RANGE_NM[1]
+                ):
+                    low, high = BEAM_WAVELENGTH_RANGE_NM
+                    message = f"wavelength_nm must be between {low:g} and {high:g} nm."
+                    errors.append(trace_error("beam.wavelength_nm", message))
+
+    if data.get("two_plane") is not None and not isinstance(data["two_plane"], bool):
+        errors.append(trace_error("two_plane", "two_plane must be true or false."))
+    return errors
+
+
+def validate_trace_component(
+    component: Any, index: int, units: Optional[Dict[str, str]]
+) -> List[Dict[str, Any]]:
+    """Check one component of an /api/trace request.
+
+    ``units`` are the request's units, or None when its parameters are in
+    their declared units.
+    """
+
+    where = f"components[{index}]"
+    if not isinstance(component, dict):
+        return [trace_error(where, "Component must be an object.", component=index)]
+    c_type = component.get("type")
+    definition = component.get("definition")
+    if is_custom_type(c_type):
+        problem = check_custom_definition_shape(definition)
+        if problem:
+            return [trace_error(f"{where}.definition", problem, component=index)]
+        parameters = definition.get("parameters") or {}
+    elif isinstance(c_type, str) and c_type in COMPONENT_LIBRARY:
+        parameters = COMPONENT_LIBRARY[c_type].parameters
+    else:
+        return [trace_error(f"{where}.type", f'Unknown component type "{c_type}".', component=index)]
 
-    data = request.get_json(force=True)
-    components: List[Dict[str, float]] = data.get("components", [])
-    rays: List[Dict[str, float]] = data.get("rays", [])
+    params = component.get("params", {})
+    if not isinstance(params, dict):
+        return [trace_error(f"{where}.params", "Parameters must be an object keyed by name.", component=index)]
+    errors = []
+    for name, value in params.items():
+        field = f"{where}.params.{name}"
+        config = parameters.get(name)
+        if config is None:
+            errors.append(trace_error(field, f'Unknown parameter "{name}".', component=index, param=name))
+            continue
+        if not is_finite_number(value):
+            errors.append(trace_error(field, f"{name} must be a finite number.", component=index, param=name))
+            continue
+        factor = parameter_factor(config, units)
+        if "min" in config and value / factor < config["min"] - LIMIT_TOLERANCE * abs(config["min"]):
+            message = f"{name}={value} is below the minimum {config['min'] * factor:g}."
+            errors.append(trace_error(field, message, component=index, param=name))
+        if "max" in config and value / factor > config["max"] + LIMIT_TOLERANCE * abs(config["max"]):
+            message = f"{name}={value} is above the maximum {config['max'] * factor:g}."
+            errors.append(trace_error(field, message, component=index, param=name))
 
-    results = compute_optical_path(components, rays)
-    return jsonify(results)
+    if is_custom_type(c_type) and not errors:
+        try:
+            calculate_custom_transform(definition, convert_component_units(component, units)["params"])
+        except ValueError as err:
+            errors.append(trace_error(f"{where}.definition", str(err), component=index))
+    return errors
 
 
-def compute_optical_path(components: List[Dict[str, float]], rays: List[Dict[str, float]]) -> Dict[str, List]:
+def check_custom_definition_shape(definition: Any) -> Optional[str]:
+    """Return what keeps a custom definition from being evaluated, if anything."""
+
+    if not isinstance(definition, dict):
+        return "Custom component is missing its definition."
+    parameters = definition.get("parameters") or {}
+    if not isinstance(parameters, dict) or not all(isinstance(config, dict) for config in parameters.values()):
+        return "Definition parameters must be an object of parameter settings keyed by name."
+    for name, config in parameters.items():
+        if any(key in config and not is_finite_number(config[key]) for key in ("default", "min", "max")):
+            return f'Parameter "{name}": default, min and max must be finite numbers.'
+        if config.get("unit") not in (None, *CUSTOM_PARAMETER_UNITS):
+            units = ", ".join(f'"{unit}"' for unit in CUSTOM_PARAMETER_UNITS)
+            return f'Parameter "{name}": unit must be one of {units}.'
+
+    def is_pair(row: Any) -> bool:
+        return isinstance(row, list) and len(row) == 2
+
+    matrix = definition.get("matrix") or [["1", "0"], ["0", "1"]]
+    if not is_pair(matrix) or not all(is_pair(row) for row in matrix):
+        return "Matrix must be [[A, B], [C, D]]."
+    if not is_pair(definition.get("offset") or ["0", "0"]):
+        return "Offset must be [Δh, Δθ]."
+    return None
+
+
+def validate_trace_ray(ray: Any, index: int) -> List[Dict[str, Any]]:
+    """Check one ray of an /api/trace request."""
+
+    where = f"rays[{index}]"
+    if not isinstance(ray, dict):
+        return [trace_error(where, "Ray must be an object.", ray=index)]
+    errors = []
+    for key in ("height", "angle", "sagittal_height", "sagittal_angle"):
+        if ray.get(key) is not None and not is_finite_number(ray[key]):
+            errors.append(trace_error(f"{where}.{key}", f"{key} must be a finite number.", ray=index))
+    wavelength = ray.get("wavelength_nm")
+    if wavelength is not None and not (is_finite_number(wavelength) and wavelength > 0):
+        message = "wavelength_nm must be a positive number of nanometers."
+        errors.append(trace_error(f"{where}.wavelength_nm", message, ray=index))
+    return errors
+
+
+def ray_table_columns(table: str, units: Dict[str, str]) -> List[str]:
+    """Return the headings of a result table, with units as in "final_height (mm)"."""
+
+    labels = {"mm": units["length"], "rad": units["angle"]}
+    return [f"{name} ({labels[unit]})" if unit else name for name, unit in RAY_TABLE_COLUMNS[table]]
+
+
+def ray_table(
+    table: str, results: Dict[str, Any], rays: List[Dict[str, Any]], components: List[Dict[str, Any]]
+) -> List[List[Any]]:
+    """Lay out a trace result as the rows of ``table``, mirroring buildRayTable().
+
+    ``results`` and ``rays`` are in the same units. Rays that end early have
+    no final state, which leaves those cells empty.
+    """
+
+    rows: List[List[Any]] = []
+    for index, (traced, ray) in enumerate(zip(results["propagated_rays"], rays)):
+        for node, orders in ray_paths(traced):
+            label = ray.get("label") if ray.get("label") is not None else f"Ray {index + 1}"
+            cells = [index + 1, label, node["wavelength_nm"]]
+            cells.append(";".join(str(order) for order in orders))
+            if table == "history":
+                for step, (height, angle) in enumerate(node["history"]):
+                    component = components[step - 1].get("type") if step else ""
+                    rows.append([*cells, step, component, height, angle])
+                continue
+            status, stopped_at = ray_path_status(node)
+            ended = status != "transmitted"
+            rows.append(
+                [
+                    *cells,
+                    status,
+                    stopped_at,
+                    ray.get("height", 0.0),
+                    ray.get("angle", 0.0),
+                    None if ended else node["height"],
+                    None if ended else node["angle"],
+                ]
+            )
+    return rows
+
+
+def ray_paths(node: Dict[str, Any], orders: Tuple[int, ...] = ()) -> List[Tuple[Dict[str, Any], List[int]]]:
+    """Return the paths a traced ray takes, mirroring getRayPaths().
+
+    Each path is the node it ends on and the orders it was diffracted into.
+    A path follows the propagating orders at each grating and ends where it
+    leaves the rail, is blocked, or reaches a grating none of whose orders
+    propagate.
+    """
+
+    propagating = [branch for branch in node["branches"] if branch.get("propagating")]
+    if not propagating:
+        return [(node, list(orders))]
+    return [path for branch in propagating for path in ray_paths(branch, (*orders, branch["order"]))]
+
+
+def ray_path_status(node: Dict[str, Any]) -> Tuple[str, Optional[int]]:
+    """Return how a path ends and the 1-based number of the component it stopped at."""
+
+    if node["blocked"]:
+        return "blocked", node["blocked_at"] + 1
+    if node["branches"]:
+        return "evanescent", node["split_at"] + 1
+    return "transmitted", None
+
+
+def unit_factor(storage_unit: str, units: Dict[str, str]) -> float:
+    """Return the factor taking a value in ``storage_unit`` to ``units``."""
+
+    quantity = UNIT_QUANTITIES.get(storage_unit)
+    if quantity == "length":
+        return LENGTH_UNITS[units["length"]]
+    if quantity == "inverse_length":
+        return 1.0 / LENGTH_UNITS[units["length"]]
+    if quantity == "angle":
+        return ANGLE_UNITS[units["angle"]] / ANGLE_UNITS[storage_unit]
+    return 1.0
+
+
+def parameter_factor(config: Dict[str, Any], units: Optional[Dict[str, str]]) -> float:
+    """Return the factor taking a parameter from its declared unit to ``units``.
+
+    None stands for a request that names no units, whose parameters are
+    already in their declared units.
+    """
+
+    return 1.0 if units is None else unit_factor(config.get("unit", ""), units)
+
+
+def convert_component_units(
+    component: Dict[str, Any], units: Optional[Dict[str, str]]
+) -> Dict[str, Any]:
+    """Return a component with its parameters converted to storage units."""
+
+    c_type = component.get("type")
+    if is_custom_type(c_type):
+        parameters = (component.get("definition") or {}).get("parameters") or {}
+    elif c_type in COMPONENT_LIBRARY:
+        parameters = COMPONENT_LIBRARY[c_type].parameters
+    else:
+        return component
+    params = dict(component.get("params", {}))
+    for name, value in params.items():
+        config = parameters.get(name)
+        if config is not None and isinstance(value, (int, float)):
+            params[name] = value / parameter_factor(config, units)
+    return {**component, "params": params}
+
+
+def convert_ray_units(ray: Dict[str, float], units: Dict[str, str]) -> Dict[str, float]:
+    """Return a ray with its launch heights in mm and angles in rad."""
+
+    converted = dict(ray)
+    for key, storage_unit in (
+        ("height", "mm"),
+        ("sagittal_height", "mm"),
+        ("angle", "rad"),
+        ("sagittal_angle", "rad"),
+    ):
+        if isinstance(converted.get(key), (int, float)):
+            converted[key] = converted[key] / unit_factor(storage_unit, units)
+    return converted
+
+
+def convert_beam_units(
+    beam: Optional[Dict[str, float]], units: Dict[str, str]
+) -> Optional[Dict[str, float]]:
+    """Return the Gaussian beam with its waist radius and position in mm."""
+
+    if beam is None:
+        return None
+    converted = dict(beam)
+    for key in ("waist_radius", "waist_position"):
+        if isinstance(converted.get(key), (int, float)):
+            converted[key] = converted[key] / unit_factor("mm", units)
+    return converted
+
+
+def convert_result_units(results: Dict[str, Any], units: Dict[str, str]) -> Dict[str, Any]:
+    """Express a trace result in the requested length and angle units.
+
+    Ray states [h, θ] scale by (l, a), so a matrix M becomes S M S⁻¹ with
+    S = diag(l, a): B scales by l/a and C by a/l.
+    """
+
+    length = unit_factor("mm", units)
+    angle = unit_factor("rad", units)
+
+    def matrix(m: List[List[float]]) -> List[List[float]]:
+        return [[m[0][0], m[0][1] * length / angle], [m[1][0] * angle / length, m[1][1]]]
+
+    def state(vec: List[float]) -> List[float]:
+        return [vec[0] * length, vec[1] * angle]
+
+    def ray(node: Dict[str, Any]) -> Dict[str, Any]:
+        return {
+            **node,
+            "height": None if node["height"] is None else node["height"] * length,
+            "angle": None if node["angle"] is None else node["angle"] * angle,
+            "history": [state(vec) for vec in node["history"]],
+            "branches": [ray(branch) for branch in node["branches"]],
+        }
+
+    converted = {
+        **results,
+        "matrices": [matrix(m) for m in results["matrices"]],
+        "offsets": [state(offset) for offset in results["offsets"]],
+        "total_matrix": matrix(results["total_matrix"]),
+        "total_offset": state(results["total_offset"]),
+        "propagated_rays": [ray(node) for node in results["propagated_rays"]],
+        "units": units,
+    }
+    if "gaussian_beam" in results:
+        converted["gaussian_beam"] = [
+            {
+                **beam_state,
+                "q": [value * length for value in beam_state["q"]],
+                "radius": beam_state["radius"] * length,
+                "curvature": None
+                if beam_state["curvature"] is None
+                else beam_state["curvature"] * length,
+                "rayleigh_range": beam_state["rayleigh_range"] * length,
+            }
+            for beam_state in results["gaussian_beam"]
+        ]
+    if "sagittal" in results:
+        converted["sagittal"] = convert_result_units(results["sagittal"], units)
+    return converted
+
+
+def compute_two_plane_path(
+    components: List[Dict[str, float]],
+    rays: List[Dict[str, float]],
+    beam: Optional[Dict[str, float]] = None,
+) -> Dict[str, List]:
+    """Trace the tangential plane and attach the sagittal trace as ``sagittal``."""
+
+    results = compute_optical_path(components, rays, beam, "tangential")
+    results["sagittal"] = compute_optical_path(components, rays, beam, "sagittal")
+    return results
+
+
+def compute_optical_path(
+    components: List[Dict[str, float]],
+    rays: List[Dict[str, float]],
+    beam: Optional[Dict[str, float]] = None,
+    plane: str = "tangential",
+) -> Dict[str, List]:
     """Compute the ABCD matrices and resulting rays.
 
     Each component contributes an ABCD matrix (2x2) and may introduce a
     deterministic angular offset. Rays are 2-element vectors [height, angle].
     """
 
-    matrices: List[List[List[float]]] = []
-    offsets: List[List[float]] = []
+    apertures = [aperture_radius(component.get("params", {})) for component in components]
+    spectral = {
+        REFERENCE_WAVELENGTH_NM: build_component_matrices(components, REFERENCE_WAVELENGTH_NM, plane)
+    }
 
-    for component in components:
-        c_type = component.get("type")
-        params = component.get("params", {})
-        matrix, offset = calculate_matrix(c_type, params)
-        matrices.append(matrix)
-        offsets.append(offset)
+    def matrices_for(wavelength_nm: float):
+        if wavelength_nm not in spectral:
+            spectral[wavelength_nm] = build_component_matrices(components, wavelength_nm, plane)
+        return spectral[wavelength_nm]
+
+    matrices, offsets, indices = spectral[REFERENCE_WAVELENGTH_NM]
 
     total_matrix = [[1.0, 0.0], [0.0, 1.0]]
     total_offset = [0.0, 0.0]
@@ -119,24 +854,169 @@ def compute_optical_path(components: List[Dict[str, float]], rays: List[Dict[str
         total_matrix = multiply_matrices(matrix, total_matrix)
         total_offset = combine_offsets(matrix, total_offset, offset)
 
+    def trace_branch(start: int, history: List[List[float]], wavelength_nm: float) -> Dict:
+        ray_matrices, ray_offsets, ray_indices = matrices_for(wavelength_nm)
+        vec = history[-1]
+        for index in range(start, len(components)):
+            radius = apertures[index]
+            if radius is not None and abs(vec[0]) > radius:
+                return ray_node(vec, history + [vec], wavelength_nm, blocked_at=index)
+            component = components[index]
+            if component.get("type") == "grating":
+                medium = ray_indices[index - 1] if index > 0 else INPUT_INDEX
+                arrival = history + [vec]
+                branches = []
+                for order in grating_orders(component.get("params", {})):
+                    transform = grating_order_transform(
+                        component.get("params", {}), medium, wavelength_nm, order, plane
+                    )
+                    if transform is None:
+                        branches.append(evanescent_node(order, arrival, wavelength_nm))
+                        continue
+                    branch_vec = apply_component(transform[0], transform[1], vec)
+                    branch = trace_branch(index + 1, history + [branch_vec], wavelength_nm)
+                    branches.append({"order": order, "propagating": True, **branch})
+                node = ray_node(vec, arrival, wavelength_nm, split_at=index, branches=branches)
+                primary = primary_branch(branches)
+                if primary is not None:
+                    node.update({key: primary[key] for key in ("height", "angle", "blocked", "blocked_at")})
+                return node
+            vec = apply_component(ray_matrices[index], ray_offsets[index], vec)
+            history = history + [vec]
+        return ray_node(vec, history, wavelength_nm)
+
     propagated_rays = []
     for ray in rays:
-        vec = [ray.get("height", 0.0), ray.get("angle", 0.0)]
-        for matrix, offset in zip(matrices, offsets):
-            vec = apply_component(matrix, offset, vec)
-        propagated_rays.append({"height": vec[0], "angle": vec[1]})
+        vec = ray_launch(ray, plane)
+        propagated_rays.append(trace_branch(0, [vec], ray_wavelength(ray)))
 
-    return {
+    results = {
         "matrices": matrices,
         "offsets": offsets,
         "total_matrix": total_matrix,
         "total_offset": total_offset,
         "propagated_rays": propagated_rays,
+        "indices": indices,
+        "angle_convention": ANGLE_CONVENTION,
+        "reference_wavelength_nm": REFERENCE_WAVELENGTH_NM,
+        "plane": plane,
+    }
+    if beam is not None:
+        beam_matrices, _, beam_indices = matrices_for(beam_wavelength(beam))
+        results["gaussian_beam"] = propagate_gaussian_beam(beam_matrices, beam, beam_indices)
+    return results
+
+
+def ray_node(
+    vec: List[float],
+    history: List[List[float]],
+    wavelength_nm: float,
+    blocked_at: Optional[int] = None,
+    split_at: Optional[int] = None,
+    branches: Optional[List[Dict]] = None,
+) -> Dict:
+    """Return the result entry for a ray or one of its diffraction branches."""
+
+    return {
+        "height": vec[0],
+        "angle": vec[1],
+        "blocked": blocked_at is not None,
+        "blocked_at": blocked_at,
+        "wavelength_nm": wavelength_nm,
+        "history": history,
+        "split_at": split_at,
+        "branches": branches or [],
+    }
+
+
+def primary_branch(branches: List[Dict]) -> Optional[Dict]:
+    """Return the propagating order closest to m = 1, whose final state a split ray reports."""
+
+    propagating = [branch for branch in branches if branch["propagating"]]
+    return min(propagating, key=lambda branch: abs(branch["order"] - 1)) if propagating else None
+
+
+def evanescent_node(order: int, history: List[List[float]], wavelength_nm: float) -> Dict:
+    """Return the entry for a diffraction order that does not propagate."""
+
+    return {
+        "order": order,
+        "propagating": False,
+        "height": None,
+        "angle": None,
+        "blocked": False,
+        "blocked_at": None,
+        "wavelength_nm": wavelength_nm,
+        "history": history,
+        "split_at": None,
+        "branches": [],
     }
 
 
-def calculate_matrix(component_type: str, params: Dict[str, float]):
-    """Return the ABCD matrix and offset for a component type."""
+def build_component_matrices(
+    components: List[Dict[str, float]], wavelength_nm: float, plane: str = "tangential"
+):
+    """Return the matrices, offsets and exit indices along the rail at one wavelength."""
+
+    matrices: List[List[List[float]]] = []
+    offsets: List[List[float]] = []
+    indices: List[float] = []
+    medium = INPUT_INDEX
+
+    for component in components:
+        c_type = component.get("type")
+        params = component.get("params", {})
+        if is_custom_type(c_type):
+            matrix, offset = calculate_custom_transform(component.get("definition"), params)
+        else:
+            matrix, offset = calculate_matrix(c_type, params, medium, wavelength_nm, plane)
+        matrices.append(matrix)
+        offsets.append(offset)
+        medium = exit_medium(c_type, params, medium)
+        indices.append(medium)
+    return matrices, offsets, indices
+
+
+def ray_launch(ray: Dict[str, float], plane: str) -> List[float]:
+    """Return a ray's starting [height, angle] in the given plane."""
+
+    if plane == "sagittal":
+        return [
+            ray.get("sagittal_height", ray.get("height", 0.0)),
+            ray.get("sagittal_angle", ray.get("angle", 0.0)),
+        ]
+    return [ray.get("height", 0.0), ray.get("angle", 0.0)]
+
+
+def ray_wavelength(ray: Dict[str, float]) -> float:
+    """Return a ray's vacuum wavelength in nm, defaulting to the reference."""
+
+    value = ray.get("wavelength_nm")
+    return REFERENCE_WAVELENGTH_NM if value is None else max(float(value), 1.0)
+
+
+def beam_wavelength(beam: Dict[str, float]) -> float:
+    """Return the Gaussian beam's vacuum wavelength in nm."""
+
+    return max(float(beam.get("wavelength_nm", 632.8)), 1e-6)
+
+
+def calculate_matrix(
+    component_type: str,
+    params: Dict[str, float],
+    medium: float = INPUT_INDEX,
+    wavelength_nm: float = REFERENCE_WAVELENGTH_NM,
+    plane: str = "tangential",
+):
+    """Return the ABCD matrix and offset for a component type.
+
+    ``medium`` is the index the component sits in. Thin lenses and mirrors
+    are specified in that medium; elements with surfaces refract out of and
+    back into it. ``wavelength_nm`` selects the index of dispersive glasses
+    and the grating diffraction angle. ``plane`` selects the tangential or
+    sagittal matrix; prisms and gratings deviate rays in the tangential
+    plane only. Raises ValueError for an unknown component type.
+    """
 
     if component_type == "free_space":
         length = float(params.get("length", 0.0))
@@ -145,19 +1025,32 @@ def calculate_matrix(component_type: str, params: Dict[str, float]):
     if component_type == "positive_lens":
         focal = float(params.get("focal_length", 50.0))
         focal = max(focal, 1e-6)
-        return [[1.0, 0.0], [-1.0 / focal, 1.0]], [0.0, 0.0]
+        scale = lens_dispersion_scale(params, wavelength_nm)
+        return [[1.0, 0.0], [-scale / focal, 1.0]], [0.0, 0.0]
 
     if component_type == "negative_lens":
         focal = float(params.get("focal_length", -50.0))
         focal = min(focal, -1e-6)
-        return [[1.0, 0.0], [-1.0 / focal, 1.0]], [0.0, 0.0]
+        scale = lens_dispersion_scale(params, wavelength_nm)
+        return [[1.0, 0.0], [-scale / focal, 1.0]], [0.0, 0.0]
+
+    if component_type == "cylindrical_lens":
+        choice = int(round(float(params.get("power_plane", 0.0))))
+        power_plane = "sagittal" if choice == 1 else "tangential"
+        focal = float(params.get("focal_length", 50.0))
+        if plane != power_plane or abs(focal) < 1e-6:
+            return [[1.0, 0.0], [0.0, 1.0]], [0.0, 0.0]
+        scale = lens_dispersion_scale(params, wavelength_nm)
+        return [[1.0, 0.0], [-scale / focal, 1.0]], [0.0, 0.0]
 
     if component_type == "prism":
-        matrix, offset = calculate_prism_transform(params)
+        matrix, offset = calculate_prism_transform(params, medium, wavelength_nm)
+        if plane == "sagittal":
+            offset = [0.0, 0.0]
         return matrix, offset
 
     if component_type == "grating":
-        matrix, offset = calculate_grating_transform(params)
+        matrix, offset = calculate_grating_transform(params, medium, wavelength_nm, plane)
         return matrix, offset
 
     if component_type == "mirror":
@@ -165,7 +1058,97 @@ def calculate_matrix(component_type: str, params: Dict[str, float]):
         orientation = 1.0 if orientation >= 0 else -1.0
         return [[1.0, 0.0], [0.0, -orientation]], [0.0, 0.0]
 
-    return [[1.0, 0.0], [0.0, 1.0]], [0.0, 0.0]
+    if component_type == "thick_lens":
+        return calculate_thick_lens_transform(params, medium, wavelength_nm), [0.0, 0.0]
+
+    if component_type == "spherical_interface":
+        n2 = exit_medium(component_type, params, medium)
+        return refraction_matrix(medium, n2, float(params.get("radius", 50.0))), [0.0, 0.0]
+
+    if component_type == "medium":
+        n = exit_medium(component_type, params, medium)
+        return refraction_matrix(medium, n, 0.0), [0.0, 0.0]
+
+    if component_type == "curved_mirror":
+        # Same angle reversal as the flat mirror, applied after the focusing
+        # power 2/R of the unfolded mirror. Off-axis incidence at the tilt
+        # angle θ scales that power by 1/cos θ tangentially and cos θ
+        # sagittally.
+        orientation = float(params.get("flip_orientation", 1.0))
+        orientation = 1.0 if orientation >= 0 else -1.0
+        tilt = math.radians(min(max(float(params.get("tilt_angle", 0.0)), 0.0), 89.0))
+        tilt_scale = math.cos(tilt) if plane == "sagittal" else 1.0 / math.cos(tilt)
+        curvature = surface_curvature(float(params.get("radius_of_curvature", 200.0))) * tilt_scale
+        return [[1.0, 0.0], [2.0 * orientation * curvature, -orientation]], [0.0, 0.0]
+
+    if component_type == "dielectric_slab":
+        thickness = max(float(params.get("thickness", 10.0)), 0.0)
+        n = glass_index(params, wavelength_nm)
+        return [[1.0, thickness * medium / n], [0.0, 1.0]], [0.0, 0.0]
+
+    if component_type == "grin_rod":
+        return calculate_grin_rod_transform(params, medium), [0.0, 0.0]
+
+    if component_type == "iris":
+        return [[1.0, 0.0], [0.0, 1.0]], [0.0, 0.0]
+
+    raise ValueError(f'Unknown component type "{component_type}".')
+
+
+def exit_medium(component_type: str, params: Dict[str, float], medium: float) -> float:
+    """Return the medium index after a component that sits in ``medium``."""
+
+    if component_type == "medium":
+        return max(float(params.get("refractive_index", 1.33)), 1.0)
+    if component_type == "spherical_interface":
+        return max(float(params.get("n2", 1.5)), 1.0)
+    return medium
+
+
+def glass_index(params: Dict[str, float], wavelength_nm: float, default: float = 1.5) -> float:
+    """Return the element index: the selected catalog glass, else refractive_index."""
+
+    choice = int(round(float(params.get("glass", 0.0))))
+    if 1 <= choice <= len(GLASS_CATALOG):
+        return dispersion_index(GLASS_CATALOG[choice - 1], wavelength_nm)
+    return max(float(params.get("refractive_index", default)), 1.0)
+
+
+def dispersion_index(glass: Dict[str, Any], wavelength_nm: float) -> float:
+    """Evaluate a catalog glass at a vacuum wavelength in nm."""
+
+    wavelength_um = wavelength_nm / 1000.0
+    squared = wavelength_um * wavelength_um
+    if glass["model"] == "sellmeier":
+        n_squared = 1.0
+        for b, c in glass["terms"]:
+            n_squared += b * squared / (squared - c)
+        return math.sqrt(max(n_squared, 1.0))
+    a, b, c = glass["coefficients"]
+    return max(a + b / squared + c / (squared * squared), 1.0)
+
+
+def lens_dispersion_scale(params: Dict[str, float], wavelength_nm: float) -> float:
+    """Thin-lens power at wavelength_nm relative to the reference wavelength.
+
+    A thin lens has power proportional to n - 1, so the focal length set at
+    the reference wavelength is rescaled for other wavelengths. With the
+    fixed-index option the lens is achromatic.
+    """
+
+    choice = int(round(float(params.get("glass", 0.0))))
+    if not 1 <= choice <= len(GLASS_CATALOG):
+        return 1.0
+    glass = GLASS_CATALOG[choice - 1]
+    reference = dispersion_index(glass, REFERENCE_WAVELENGTH_NM)
+    return (dispersion_index(glass, wavelength_nm) - 1.0) / (reference - 1.0)
+
+
+def aperture_radius(params: Dict[str, float]) -> Optional[float]:
+    """Return the clear-aperture radius in mm, or None when unlimited (0)."""
+
+    diameter = float(params.get("clear_aperture", 0.0))
+    return diameter / 2.0 if diameter > 0 else None
 
 
 def multiply_matrices(a: List[List[float]], b: List[List[float]]):
@@ -195,22 +1178,142 @@ def apply_component(matrix: List[List[float]], offset: List[float], vec: List[fl
     return [height, angle]
 
 
-def calculate_prism_transform(params: Dict[str, float]):
-    """Build the ABCD matrix for a thin prism with a finite thickness."""
+def propagate_gaussian_beam(
+    matrices: List[List[List[float]]],
+    beam: Dict[str, float],
+    indices: Optional[List[float]] = None,
+):
+    """Propagate a Gaussian beam, returning its state at the rail start and after each component."""
+
+    wavelength_mm = beam_wavelength(beam) * 1e-6
+    waist_radius = max(float(beam.get("waist_radius", 0.5)), 1e-9)
+    waist_position = float(beam.get("waist_position", 0.0))
+    rayleigh_range = math.pi * waist_radius ** 2 / wavelength_mm
+    indices = indices or [INPUT_INDEX] * len(matrices)
+
+    medium = INPUT_INDEX
+    reduced_q = complex(-waist_position, rayleigh_range) / medium
+    states = [describe_gaussian_beam(reduced_q * medium, wavelength_mm, medium)]
+    for matrix, exit_index in zip(matrices, indices):
+        reduced = reduce_matrix(matrix, medium, exit_index)
+        reduced_q = transform_q_parameter(reduced, reduced_q)
+        medium = exit_index
+        states.append(describe_gaussian_beam(reduced_q * medium, wavelength_mm, medium))
+    return states
+
+
+def reduce_matrix(matrix: List[List[float]], n_in: float, n_out: float):
+    """Convert a geometric-angle matrix to act on reduced angles n·θ."""
+
+    (a, b), (c, d) = matrix
+    return [[a, b / n_in], [c * n_out, d * n_out / n_in]]
+
+
+def transform_q_parameter(matrix: List[List[float]], q: complex) -> complex:
+    """Apply q' = (Aq + B) / (Cq + D).
+
+    Matrices with a negative determinant (reflections that flip the angle
+    sign) are unfolded first so the beam keeps propagating forward.
+    """
+
+    (a, b), (c, d) = matrix
+    if a * d - b * c < 0:
+        c, d = -c, -d
+    denominator = c * q + d
+    if abs(denominator) < 1e-12:
+        denominator = complex(1e-12, 0.0)
+    return (a * q + b) / denominator
+
+
+def describe_gaussian_beam(
+    q: complex, wavelength_mm: float, refractive_index: float = INPUT_INDEX
+) -> Dict[str, Optional[float]]:
+    """Return the 1/e^2 radius, curvature radius and Rayleigh range for q.
+
+    ``wavelength_mm`` is the vacuum wavelength; the beam is in a medium of
+    the given index.
+    """
+
+    inverse = 1.0 / q
+    local_wavelength = wavelength_mm / refractive_index
+    radius = math.sqrt(local_wavelength / (math.pi * max(-inverse.imag, 1e-300)))
+    curvature = 1.0 / inverse.real if abs(inverse.real) > 1e-12 else None
+    return {
+        "q": [q.real, q.imag],
+        "radius": radius,
+        "curvature": curvature,
+        "rayleigh_range": q.imag,
+        "refractive_index": refractive_index,
+    }
 
-    n_air = 1.0
-    n_prism = 1.5
-    apex_angle = float(params.get("angle_offset", 0.0))
+
+def surface_curvature(radius: float) -> float:
+    """Return 1/R, treating a zero radius as a flat surface."""
+
+    return 0.0 if abs(radius) < 1e-9 else 1.0 / radius
+
+
+def refraction_matrix(n1: float, n2: float, radius: float):
+    """Refraction at a spherical surface from index n1 into n2.
+
+    R > 0 places the center of curvature after the surface.
+    """
+
+    return [[1.0, 0.0], [(n1 - n2) * surface_curvature(radius) / n2, n1 / n2]]
+
+
+def calculate_thick_lens_transform(
+    params: Dict[str, float],
+    medium: float = INPUT_INDEX,
+    wavelength_nm: float = REFERENCE_WAVELENGTH_NM,
+):
+    """Two refracting surfaces separated by the center thickness."""
+
+    n = glass_index(params, wavelength_nm)
+    thickness = max(float(params.get("thickness", 10.0)), 0.0)
+    entry_matrix = refraction_matrix(medium, n, float(params.get("radius_1", 100.0)))
+    propagation_matrix = [[1.0, thickness], [0.0, 1.0]]
+    exit_matrix = refraction_matrix(n, medium, float(params.get("radius_2", -100.0)))
+    return multiply_matrices(exit_matrix, multiply_matrices(propagation_matrix, entry_matrix))
+
+
+def calculate_grin_rod_transform(params: Dict[str, float], medium: float = INPUT_INDEX):
+    """Graded-index rod with a parabolic profile and flat end faces."""
+
+    gradient = max(float(params.get("gradient_constant", 0.3)), 0.0)
+    length = max(float(params.get("length", 5.24)), 0.0)
+    n0 = max(float(params.get("refractive_index", 1.6)), 1.0)
+    if gradient < 1e-9:
+        return [[1.0, length * medium / n0], [0.0, 1.0]]
+    phase = gradient * length
+    return [
+        [math.cos(phase), medium * math.sin(phase) / (n0 * gradient)],
+        [-n0 * gradient * math.sin(phase) / medium, math.cos(phase)],
+    ]
+
+
+def calculate_prism_transform(
+    params: Dict[str, float],
+    medium: float = INPUT_INDEX,
+    wavelength_nm: float = REFERENCE_WAVELENGTH_NM,
+):
+    """Build the ABCD matrix for a thin prism with a finite thickness.
+
+    The apex angle ``angle_offset`` is given in degrees.
+    """
+
+    n_prism = glass_index(params, wavelength_nm)
+    apex_angle = math.radians(float(params.get("angle_offset", 0.0)))
     thickness = max(float(params.get("thickness", 20.0)), 0.0)
 
-    entry_D = n_air / n_prism
+    entry_D = medium / n_prism
     entry_matrix = [[1.0, 0.0], [0.0, entry_D]]
     entry_offset = [0.0, (-apex_angle / 2.0) * (1.0 - entry_D)]
 
-    propagation_matrix = [[1.0, thickness / n_prism], [0.0, 1.0]]
+    propagation_matrix = [[1.0, thickness], [0.0, 1.0]]
     propagation_offset = [0.0, 0.0]
 
-    exit_D = n_prism / n_air
+    exit_D = n_prism / medium
     exit_matrix = [[1.0, 0.0], [0.0, exit_D]]
     exit_offset = [0.0, (apex_angle / 2.0) * (1.0 - exit_D)]
 
@@ -227,21 +1330,290 @@ def calculate_prism_transform(params: Dict[str, float]):
     return matrix, offset
 
 
-def calculate_grating_transform(params: Dict[str, float]):
-    """Build the ABCD matrix for a diffraction grating."""
+def calculate_grating_transform(
+    params: Dict[str, float],
+    medium: float = INPUT_INDEX,
+    wavelength_nm: float = REFERENCE_WAVELENGTH_NM,
+    plane: str = "tangential",
+):
+    """Build the ABCD matrix for a grating's reference order at one wavelength.
+
+    An evanescent reference order has no transform; the identity is returned
+    and the ray results report that order as non-propagating.
+    """
+
+    order = grating_reference_order(params)
+    transform = grating_order_transform(params, medium, wavelength_nm, order, plane)
+    if transform is None:
+        return [[1.0, 0.0], [0.0, 1.0]], [0.0, 0.0]
+    return transform
+
+
+def grating_orders(params: Dict[str, float]) -> List[int]:
+    """Return the diffraction orders selected on a grating, lowest first."""
+
+    low = int(round(float(params.get("min_order", 1.0))))
+    high = int(round(float(params.get("max_order", 1.0))))
+    return list(range(min(low, high), max(low, high) + 1))
+
+
+def count_ray_paths(components: List[Dict[str, Any]], ray_count: int) -> int:
+    """Return how many paths ``ray_count`` rays split into at most, one per order at each grating."""
+
+    paths = ray_count
+    for component in components:
+        if component.get("type") == "grating":
+            paths *= len(grating_orders(component.get("params", {})))
+    return paths
+
+
+def grating_reference_order(params: Dict[str, float]) -> int:
+    """Return the selected order closest to m = 1, used for the matrix chain."""
+
+    orders = grating_orders(params)
+    return min(max(1, orders[0]), orders[-1])
+
+
+def grating_order_transform(
+    params: Dict[str, float],
+    medium: float,
+    wavelength_nm: float,
+    order: int,
+    plane: str = "tangential",
+):
+    """Return the matrix and offset for one diffraction order, or None.
+
+    The grating equation sin θ_m = m λ f (normal incidence, λ in the medium)
+    has no real solution when |m λ f| >= 1; that order is evanescent and None
+    is returned. The grooves run along the sagittal direction, so a
+    propagating order leaves sagittal heights and angles unchanged.
+    """
 
     spatial_frequency = float(params.get("spatial_frequency", 600.0))
     spatial_frequency = max(spatial_frequency, 0.0)
-    wavelength_mm = 0.00055  # 550 nm representative wavelength
-    argument = spatial_frequency * wavelength_mm
-    argument = max(min(argument, 1.0), -1.0)
+    wavelength_mm = wavelength_nm * 1e-6 / medium  # wavelength in the medium
+    argument = order * spatial_frequency * wavelength_mm
+    if abs(argument) >= 1.0:
+        return None
+    if plane == "sagittal":
+        return [[1.0, 0.0], [0.0, 1.0]], [0.0, 0.0]
+
+    angle_rad = math.asin(argument)
+    angular_magnification = 1.0 / math.cos(angle_rad)
+
+    return [[1.0, 0.0], [0.0, angular_magnification]], [0.0, angle_rad]
+
+
+def is_custom_type(component_type: Any) -> bool:
+    """Return whether ``component_type`` names a user-defined component."""
+
+    return isinstance(component_type, str) and component_type.startswith(CUSTOM_TYPE_PREFIX)
+
+
+def calculate_custom_transform(definition: Optional[Dict[str, Any]], params: Dict[str, float]):
+    """Evaluate a custom component's matrix and offset expressions.
+
+    Parameters missing from ``params`` take their defaults. The same matrix
+    applies in both planes. Raises ValueError when the definition is missing
+    or an entry cannot be evaluated.
+    """
+
+    if not isinstance(definition, dict):
+        raise ValueError("Custom component is missing its definition.")
+    values = {
+        name: float(params.get(name, config.get("default", 0.0)))
+        for name, config in (definition.get("parameters") or {}).items()
+    }
+    rows = definition.get("matrix") or [["1", "0"], ["0", "1"]]
+    matrix = [[evaluate_expression(str(entry), values) for entry in row] for row in rows]
+    offset = [evaluate_expression(str(entry), values) for entry in definition.get("offset") or ["0", "0"]]
+    return matrix, offset
+
+
+# Arithmetic expressions for custom components, mirroring expression.js.
+# Expressions are parsed into a small syntax tree rather than evaluated as
+# code. Supported: numbers, names, the constants pi and e, + - * /, ^ or **
+# for powers (right associative, binding tighter than unary minus),
+# parentheses and the functions in EXPRESSION_FUNCTIONS. Expressions come
+# from requests, so their length and nesting are capped to keep parsing and
+# evaluation within the recursion limit, and only the most recently used
+# syntax trees are cached.
+EXPRESSION_FUNCTIONS = {
+    "sqrt": math.sqrt,
+    "exp": math.exp,
+    "log": math.log,
+    "abs": abs,
+    "sin": math.sin,
+    "cos": math.cos,
+    "tan": math.tan,
+    "asin": math.asin,
+    "acos": math.acos,
+    "atan": math.atan,
+}
+EXPRESSION_CONSTANTS = {"pi": math.pi, "e": math.e}
+EXPRESSION_TOKEN = re.compile(
+    r"\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^()]))"
+)
+MAX_EXPRESSION_LENGTH = 500
+MAX_EXPRESSION_NESTING = 100
+EXPRESSION_CACHE_SIZE = 256
+
+
+@lru_cache(maxsize=EXPRESSION_CACHE_SIZE)
+def parse_expression(text: str):
+    """Return the syntax tree for ``text`` as nested tuples.
+
+    Raises ValueError quoting the expression when it cannot be parsed.
+    """
+
+    if len(text) > MAX_EXPRESSION_LENGTH:
+        raise ValueError(f"Expression is longer than {MAX_EXPRESSION_LENGTH} characters.")
+
+    tokens = []
+    position = 0
+    while position < len(text):
+        match = EXPRESSION_TOKEN.match(text, position)
+        if not match:
+            if not text[position:].strip():
+                break
+            raise ValueError(f'Unexpected "{text[position:].strip()[0]}" in "{text}".')
+        position = match.end()
+        if match.group(1) is not None:
+            tokens.append(("number", float(match.group(1))))
+        elif match.group(2) is not None:
+            tokens.append(("name", match.group(2)))
+        else:
+            tokens.append(("operator", "^" if match.group(3) == "**" else match.group(3)))
+
+    cursor = 0
+    # Brackets, signs and powers each parse their operand through
+    # parse_unary, so its depth bounds the recursion.
+    depth = 0
+
+    def is_operator(value: str) -> bool:
+        return cursor < len(tokens) and tokens[cursor] == ("operator", value)
+
+    def fail(message: str):
+        raise ValueError(f'{message} in "{text}".')
+
+    def expect(value: str) -> None:
+        nonlocal cursor
+        if not is_operator(value):
+            fail(f'Expected "{value}"')
+        cursor += 1
+
+    def parse_sum():
+        nonlocal cursor
+        node = parse_product()
+        while is_operator("+") or is_operator("-"):
+            operator = tokens[cursor][1]
+            cursor += 1
+            node = (operator, node, parse_product())
+        return node
+
+    def parse_product():
+        nonlocal cursor
+        node = parse_unary()
+        while is_operator("*") or is_operator("/"):
+            operator = tokens[cursor][1]
+            cursor += 1
+            node = (operator, node, parse_unary())
+        return node
+
+    def parse_unary():
+        nonlocal cursor, depth
+        depth += 1
+        if depth > MAX_EXPRESSION_NESTING:
+            fail(f"Nested more than {MAX_EXPRESSION_NESTING} levels deep")
+        try:
+            if is_operator("-") or is_operator("+"):
+                operator = tokens[cursor][1]
+                cursor += 1
+                operand = parse_unary()
+                return ("neg", operand) if operator == "-" else operand
+            return parse_power()
+        finally:
+            depth -= 1
+
+    def parse_power():
+        nonlocal cursor
+        base = parse_primary()
+        if not is_operator("^"):
+            return base
+        cursor += 1
+        return ("^", base, parse_unary())
+
+    def parse_primary():
+        nonlocal cursor
+        if cursor >= len(tokens):
+            fail("Unexpected end")
+        kind, value = tokens[cursor]
+        cursor += 1
+        if kind == "number":
+            return ("number", value)
+        if kind == "name":
+            if not is_operator("("):
+                return ("name", value)
+            if value not in EXPRESSION_FUNCTIONS:
+                fail(f'Unknown function "{value}"')
+            cursor += 1
+            argument = parse_sum()
+            expect(")")
+            return ("call", value, argument)
+        if value == "(":
+            inner = parse_sum()
+            expect(")")
+            return inner
+        return fail(f'Unexpected "{value}"')
+
+    if not tokens:
+        fail("Empty expression")
+    tree = parse_sum()
+    if cursor < len(tokens):
+        fail(f'Unexpected "{tokens[cursor][1]}"')
+    return tree
+
+
+def evaluate_expression(text: str, values: Dict[str, float]) -> float:
+    """Evaluate ``text`` with the named ``values``.
+
+    Raises ValueError for unknown names and for results that are not finite
+    numbers, such as a division by zero or the square root of a negative.
+    """
 
-    angle_rad = math.asin(argument)  # First-order diffraction (m = 1)
-    angle_deg = math.degrees(angle_rad)
-    cos_out = max(math.cos(angle_rad), 1e-6)
-    angular_magnification = min(1.0 / cos_out, 10.0)
+    def evaluate(node) -> float:
+        op = node[0]
+        if op == "number":
+            return node[1]
+        if op == "name":
+            if node[1] in values:
+                return float(values[node[1]])
+            if node[1] in EXPRESSION_CONSTANTS:
+                return EXPRESSION_CONSTANTS[node[1]]
+            raise ValueError(f'Unknown name "{node[1]}" in "{text}".')
+        args = [evaluate(arg) for arg in node[1:] if isinstance(arg, tuple)]
+        try:
+            if op == "call":
+                result = EXPRESSION_FUNCTIONS[node[1]](args[0])
+            elif op == "neg":
+                result = -args[0]
+            elif op == "+":
+                result = args[0] + args[1]
+            elif op == "-":
+                result = args[0] - args[1]
+            elif op == "*":
+                result = args[0] * args[1]
+            elif op == "/":
+                result = args[0] / args[1]
+            else:
+                result = math.pow(args[0], args[1])
+        except (ZeroDivisionError, ValueError, OverflowError):
+            result = math.nan
+        if not math.isfinite(result):
+            raise ValueError(f'"{text}" is undefined for these parameter values.')
+        return result
 
-    return [[1.0, 0.0], [0.0, angular_magnification]], [0.0, angle_deg]
+    return evaluate(parse_expression(text))
 
 
 if __name__ == "__main__":
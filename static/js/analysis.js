@@ -0,0 +1,141 @@
+// First-order (paraxial) properties derived from the total ABCD matrix.
+// Axial positions are measured in mm along the rail from its input plane
+// (z = 0), so the output plane sits at z = railLength and negative values lie
+// upstream of the rail.
+//
+// The matrix acts on geometric angles, so a system from index inputIndex to
+// outputIndex has det(M) = inputIndex / outputIndex, power -outputIndex·C and
+// distinct front and rear focal lengths.
+
+const AFOCAL_TOLERANCE = 1e-9;
+const DETERMINANT_TOLERANCE = 1e-6;
+
+function analyzeFirstOrder(matrix, railLength, objectDistance, inputIndex = 1, outputIndex = 1) {
+  const [[A, B], [C, D]] = matrix;
+  const determinant = A * D - B * C;
+  const expectedDeterminant = inputIndex / outputIndex;
+  const result = {
+    determinant,
+    expectedDeterminant,
+    determinantOk: Math.abs(determinant - expectedDeterminant) <= DETERMINANT_TOLERANCE,
+    inputIndex,
+    outputIndex,
+    afocal: Math.abs(C) <= AFOCAL_TOLERANCE,
+    power: -outputIndex * C,
+    image: computeImage(matrix, railLength, objectDistance),
+  };
+
+  if (result.afocal) {
+    return {
+      ...result,
+      power: 0,
+      angularMagnification: D,
+    };
+  }
+
+  const efl = -1 / C;
+  const frontFocalDistance = -D / C;
+  const backFocalDistance = -A / C;
+  return {
+    ...result,
+    efl,
+    frontEfl: -determinant / C,
+    frontFocalDistance,
+    backFocalDistance,
+    frontFocalZ: -frontFocalDistance,
+    rearFocalZ: railLength + backFocalDistance,
+    frontPrincipalZ: (D - determinant) / C,
+    rearPrincipalZ: railLength + (1 - A) / C,
+    frontNodalZ: (D - 1) / C,
+    rearNodalZ: railLength + (determinant - A) / C,
+  };
+}
+
+// Object objectDistance mm upstream of the input plane. The image lies where
+// the B element of the extended system vanishes.
+function computeImage(matrix, railLength, objectDistance) {
+  const [[A, B], [C, D]] = matrix;
+  const s = Number(objectDistance) || 0;
+  const denominator = C * s + D;
+  if (Math.abs(denominator) <= AFOCAL_TOLERANCE) {
+    return { atInfinity: true, angularMagnification: denominator };
+  }
+  const distance = -(A * s + B) / denominator;
+  return {
+    atInfinity: false,
+    distance,
+    z: railLength + distance,
+    lateralMagnification: A + C * distance,
+    angularMagnification: denominator,
+  };
+}
+
+// Aperture and field stops for an object objectDistance mm before the input
+// plane. `apertures` lists { index, radius } for every component with a finite
+// clear aperture; as in the trace, heights are tested where rays arrive at the
+// component. Returns null when nothing on the rail limits the rays.
+function analyzeApertures(matrices, apertures, objectDistance, railLength) {
+  const s = Number(objectDistance) || 0;
+  // arrivals[i] maps the rail input plane to the arrival plane of component i.
+  const arrivals = [];
+  let product = IDENTITY_MATRIX;
+  matrices.forEach((matrix) => {
+    arrivals.push(product);
+    product = multiplyMatrices(matrix, product);
+  });
+  const fromObject = (index) => multiplyMatrices(arrivals[index], [[1, s], [0, 1]]);
+
+  // The aperture stop limits the cone of rays from the axial object point,
+  // whose height at each aperture is B·u.
+  let stop = null;
+  apertures.forEach((aperture) => {
+    const B = fromObject(aperture.index)[0][1];
+    if (Math.abs(B) <= AFOCAL_TOLERANCE) return;
+    const marginalSlope = aperture.radius / Math.abs(B);
+    if (!stop || marginalSlope < stop.marginalSlope) {
+      stop = { ...aperture, marginalSlope };
+    }
+  });
+  if (!stop) return null;
+
+  // The chief ray from an object of height y crosses the stop center; the
+  // field stop is the other aperture that clips it first.
+  const [[stopA, stopB]] = fromObject(stop.index);
+  let fieldStop = null;
+  apertures.forEach((aperture) => {
+    if (aperture.index === stop.index) return;
+    const [[A, B]] = fromObject(aperture.index);
+    const heightPerField = A - (B * stopA) / stopB;
+    if (Math.abs(heightPerField) <= AFOCAL_TOLERANCE) return;
+    const fieldHeight = aperture.radius / Math.abs(heightPerField);
+    if (!fieldStop || fieldHeight < fieldStop.fieldHeight) {
+      fieldStop = { ...aperture, fieldHeight };
+    }
+  });
+
+  const after = matrices
+    .slice(stop.index)
+    .reduce((total, matrix) => multiplyMatrices(matrix, total), IDENTITY_MATRIX);
+  return {
+    apertureStop: stop,
+    fieldStop,
+    entrancePupil: imagePupil(arrivals[stop.index], stop.radius, "entrance", railLength),
+    exitPupil: imagePupil(after, stop.radius, "exit", railLength),
+  };
+}
+
+// Images the stop into object space (through the elements before it) or image
+// space (through the elements after it). Positions use the rail z coordinate.
+function imagePupil(matrix, stopRadius, side, railLength) {
+  const [[A, B], [C, D]] = matrix;
+  if (side === "entrance") {
+    if (Math.abs(A) <= AFOCAL_TOLERANCE) return { atInfinity: true };
+    return { atInfinity: false, z: B / A, radius: stopRadius / Math.abs(A) };
+  }
+  if (Math.abs(D) <= AFOCAL_TOLERANCE) return { atInfinity: true };
+  return {
+    atInfinity: false,
+    z: railLength - B / D,
+    radius: stopRadius * Math.abs((A * D - B * C) / D),
+  };
+}
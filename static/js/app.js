@@ -5,32 +5,264 @@ const matrixOutput = document.getElementById("matrix-output");
 const raysOutput = document.getElementById("rays-output");
 const contextMenu = document.getElementById("context-menu");
 const rayContextMenu = document.getElementById("ray-context-menu");
+const groupContextMenu = document.getElementById("group-context-menu");
 const modalBackdrop = document.getElementById("modal-backdrop");
 const modalForm = document.getElementById("modal-form");
 const modalTitle = document.getElementById("modal-title");
 const modalClose = document.getElementById("modal-close");
 const modalCancel = document.getElementById("modal-cancel");
+const modalSave = document.getElementById("modal-save");
 const visualizationCanvas = document.getElementById("ray-visualization");
 const rayLegend = document.getElementById("ray-legend");
 const clearAllButton = document.getElementById("clear-all");
+const beamOutput = document.getElementById("beam-output");
+const probeOutput = document.getElementById("probe-output");
+const probeToggle = document.getElementById("probe-toggle");
+const beamSettingsButton = document.getElementById("beam-settings");
+const addRayButton = document.getElementById("add-ray");
+const generateRaysButton = document.getElementById("generate-rays");
+const importRaysButton = document.getElementById("import-rays");
+const exportResultsButton = document.getElementById("export-results");
+const analysisTable = document.getElementById("analysis-table");
+const objectDistanceInput = document.getElementById("object-distance");
+const cardinalMarkersToggle = document.getElementById("show-cardinal-markers");
+const foldedLayoutToggle = document.getElementById("folded-layout-toggle");
+const twoPlaneToggle = document.getElementById("two-plane-toggle");
+const canvasDragModeSelect = document.getElementById("canvas-drag-mode");
+const lengthUnitSelect = document.getElementById("length-unit");
+const angleUnitSelect = document.getElementById("angle-unit");
+const sweepForm = document.getElementById("sweep-form");
+const sweepComponentSelect = document.getElementById("sweep-component");
+const sweepParamSelect = document.getElementById("sweep-param");
+const sweepExportButton = document.getElementById("sweep-export");
+const sweepResults = document.getElementById("sweep-results");
+const sweepChart = document.getElementById("sweep-chart");
+const sweepSlider = document.getElementById("sweep-slider");
+const sweepReadout = document.getElementById("sweep-readout");
+const sweepApplyButton = document.getElementById("sweep-apply");
+const exportFigureButton = document.getElementById("export-figure");
+const exportDesignButton = document.getElementById("export-design");
+const importDesignButton = document.getElementById("import-design");
+const galleryButton = document.getElementById("open-gallery");
+const designFileInput = document.getElementById("design-file-input");
+const shareDesignButton = document.getElementById("share-design");
+const designStatus = document.getElementById("design-status");
+const undoButton = document.getElementById("undo");
+const redoButton = document.getElementById("redo");
+const railAnnouncer = document.getElementById("rail-announcer");
+const customLibrary = document.getElementById("custom-component-library");
+const customLibraryEmpty = document.getElementById("custom-component-empty");
+const newCustomComponentButton = document.getElementById("new-custom-component");
+const assemblyLibraryElement = document.getElementById("assembly-library");
+const assemblyLibraryEmpty = document.getElementById("assembly-empty");
 
 const DEFAULT_FREE_SPACE_LENGTH = 100;
+// Traces with more component × ray path steps than this run in the trace
+// worker; see countRayPaths().
+const WORKER_TRACE_THRESHOLD = 5000;
+const CROSS_CHECK_DELAY_MS = 400;
+const BEAM_ENVELOPE_SAMPLES = 24;
+const BEAM_COLOR = "#2ec4b6";
+const MATRIX_ELEMENT_COLORS = { A: "#f0f6ff", B: "#ff9f1c", C: "#ff6f69", D: "#9b5de5" };
+const CARDINAL_MARKER_STYLES = {
+  focal: { color: "#ff9f1c", dash: [] },
+  principal: { color: "#2ec4b6", dash: [5, 4] },
+  nodal: { color: "#9b5de5", dash: [2, 4] },
+  image: { color: "#f0f6ff", dash: [] },
+  pupil: { color: "#c7f464", dash: [1, 3] },
+};
+const APERTURE_COLOR = "rgba(240, 246, 255, 0.6)";
+const GLYPH_COLOR = "rgba(105, 210, 255, 0.85)";
+const GLYPH_FILL = "rgba(105, 210, 255, 0.18)";
+const GLYPH_SAG_PX = 8;
+const GLYPH_MIN_WIDTH_PX = 20;
+const AUTOSAVE_KEY = "abcd-raytracer:design";
+const CUSTOM_COMPONENTS_KEY = "abcd-raytracer:custom-components";
+const ASSEMBLIES_KEY = "abcd-raytracer:assemblies";
+const AUTOSAVE_DELAY_MS = 300;
+const STATUS_HIDE_DELAY_MS = 5000;
+const FIGURE_BACKGROUND = "#05090f";
+const FIGURE_TEXT_COLOR = "rgba(240, 246, 255, 0.85)";
+const FIGURE_FONT = "12px 'Segoe UI', sans-serif";
+const FIGURE_MONO_FONT = "12px 'Fira Code', 'Courier New', monospace";
+const HISTORY_LIMIT = 100;
+const DRAG_START_DISTANCE_PX = 6;
+const LONG_PRESS_MS = 550;
+const SOLVER_GOALS = {
+  imaging: { label: "Imaging condition (B = 0)" },
+  collimate: { label: "Collimated output (C = 0)" },
+  ray_height: { label: "Final height of a ray", needsRay: true, needsTarget: true, unit: "mm" },
+  ray_angle: { label: "Final angle of a ray", needsRay: true, needsTarget: true, unit: "rad" },
+  magnification: {
+    label: "Lateral magnification (object distance from First-Order Properties)",
+    needsTarget: true,
+  },
+};
+// Above these ray counts the legend drops inline details and the canvas
+// switches to thinner strokes so dozens of rays stay readable.
+const COMPACT_LEGEND_RAY_COUNT = 8;
+const DENSE_RAY_COUNT = 12;
+// Two-plane view: space between the tangential and sagittal panels.
+const TWO_PLANE_GAP_PX = 12;
+// Folded view: how far rays are drawn past the output plane.
+const FOLDED_EXTENSION_FRACTION = 0.15;
+const FOLDED_MIN_EXTENSION_MM = 20;
+const CANVAS_HIT_RADIUS_PX = 8;
+const DIRECTION_HANDLE_PX = 48;
+const CANVAS_SNAP_PX = 4;
+const CANVAS_CURSORS = {
+  component: "ew-resize",
+  ray_height: "ns-resize",
+  ray_angle: "crosshair",
+  probe: "col-resize",
+};
+const PROBE_COLOR = "#ffd166";
+const RAY_GENERATORS = {
+  height_fan: {
+    label: "Height fan",
+    fields: [
+      { name: "count", label: "Number of rays", value: 9, min: 1, max: MAX_GENERATED_RAYS, step: 1 },
+      { name: "minHeight", label: "Lowest height", value: -5, step: 0.1, unit: "mm" },
+      { name: "maxHeight", label: "Highest height", value: 5, step: 0.1, unit: "mm" },
+      { name: "angle", label: "Angle", value: 0, step: 0.001, unit: "rad" },
+    ],
+    generate: generateHeightFan,
+  },
+  angular_fan: {
+    label: "Angular fan from a point",
+    fields: [
+      { name: "count", label: "Number of rays", value: 9, min: 1, max: MAX_GENERATED_RAYS, step: 1 },
+      { name: "height", label: "Launch height", value: 0, step: 0.1, unit: "mm" },
+      { name: "minAngle", label: "Lowest angle", value: -0.05, step: 0.001, unit: "rad" },
+      { name: "maxAngle", label: "Highest angle", value: 0.05, step: 0.001, unit: "rad" },
+    ],
+    generate: generateAngularFan,
+  },
+  polychromatic: {
+    label: "Polychromatic source",
+    fields: [
+      { name: "count", label: "Number of wavelengths", value: 7, min: 2, max: MAX_GENERATED_RAYS, step: 1 },
+      { name: "height", label: "Launch height", value: 2, step: 0.1, unit: "mm" },
+      { name: "angle", label: "Angle", value: 0, step: 0.001, unit: "rad" },
+      { name: "minWavelength", label: "Shortest wavelength (nm)", value: 420, min: 1, step: 1 },
+      { name: "maxWavelength", label: "Longest wavelength (nm)", value: 680, min: 1, step: 1 },
+    ],
+    generate: generatePolychromaticSource,
+  },
+  marginal_chief: {
+    label: "Marginal and chief rays",
+    fields: [
+      { name: "fieldHeight", label: "Field (object) height", value: 5, step: 0.1, unit: "mm" },
+      { name: "apertureRadius", label: "Aperture radius", value: 10, min: 0, step: 0.1, unit: "mm" },
+      { name: "stopDistance", label: "Aperture distance from rail start", step: 1, unit: "mm" },
+    ],
+    generate: generateMarginalChiefPair,
+  },
+};
+const traceCrossCheckEnabled = new URLSearchParams(window.location.search).has("crosscheck");
 
 let componentSequence = [];
 let activeContextTarget = null;
 let activeModalComponentId = null;
+// Type of the custom element open in the editor; null while creating one.
+let activeCustomType = null;
+// Group being renamed in the group dialog; null while creating one.
+let activeGroupId = null;
 let activeRayIndex = null;
 let modalMode = null;
 let lastTraceResult = null;
+// What validateTraceRequest() found wrong with the rail at the last update.
+// The components named are marked on the rail and in their dialogs.
+let traceErrors = [];
+let traceRequestId = 0;
+let traceWorker = null;
+let crossCheckTimer = null;
+let autosaveTimer = null;
+let statusTimer = null;
+let reorderHistoryBaseline = null;
+let pointerDrag = null;
+let longPressMenuOpen = false;
+// Screen geometry of the last unfolded rail drawn on the canvas, used to hit
+// test canvas drags; null when the current view cannot be edited directly.
+let canvasGeometry = null;
+// Rail position that keyboard insertion from the toolbox targets; null means
+// the end of the rail.
+let railInsertionIndex = null;
+let modalReturnFocus = null;
+let activeRayGenerator = "height_fan";
+
+// Each entry stores the serialized design from before an edit, so undo and
+// redo simply swap snapshots with the current state.
+const undoStack = [];
+const redoStack = [];
 
 const defaultRays = [
   { label: "Ray A", height: 0, angle: 0 },
-  { label: "Ray B", height: 5, angle: -5 },
-  { label: "Ray C", height: -5, angle: 5 },
+  { label: "Ray B", height: 5, angle: -0.005 },
+  { label: "Ray C", height: -5, angle: 0.005 },
 ];
 
 const rayState = defaultRays.map((ray) => ({ ...ray }));
 
+const beamState = {
+  enabled: false,
+  waistRadius: 0.5,
+  waistPosition: 0,
+  wavelengthNm: 632.8,
+};
+
+const analysisState = {
+  objectDistance: 100,
+  showMarkers: true,
+};
+
+// "unfolded" draws every element on one straight axis; "folded" lays the
+// path out on the table, turning at each mirror. twoPlane also traces the
+// sagittal plane and draws it beside the tangential one.
+const viewState = {
+  layout: "unfolded",
+  twoPlane: false,
+};
+
+// Units values are shown and typed in; everything else stays in storage
+// units (see units.js).
+const displayUnits = { ...DEFAULT_DISPLAY_UNITS };
+
+// focusRay is the ray whose direction handle is shown; it stays put while the
+// pointer travels from the launch point to the handle.
+const canvasEditState = {
+  mode: "keep_track",
+  hover: null,
+  focusRay: null,
+  drag: null,
+};
+
+// Probe positions are z in mm along the rail. The live probe follows the
+// pointer; pinned probes stay where they were pinned. Neither is saved with
+// the design.
+const probeState = {
+  live: null,
+  pinned: [],
+};
+
+const sweepState = {
+  componentId: null,
+  result: null,
+  index: 0,
+};
+
+// Rail groups by id: { label, collapsed }. A group's members are the rail
+// components whose groupId names it, and they always form one contiguous run.
+const railGroups = new Map();
+// Components picked by clicking one and Shift+clicking another; the Group
+// Components dialog starts from this range.
+const railSelection = {
+  anchorId: null,
+  ids: [],
+};
+// Saved sub-assemblies by "assembly:<slug>" type: { label, components }.
+const assemblyLibrary = {};
+
 function ensureDefaultPropagationSegment() {
   if (componentSequence.length) {
     return false;
@@ -41,21 +273,46 @@ function ensureDefaultPropagationSegment() {
 
 function init() {
   bindLibraryDrag();
+  loadCustomComponents();
+  loadAssemblies();
   setupRailDropTarget();
-  const insertedDefault = ensureDefaultPropagationSegment();
-  renderRayLegend();
-  if (!insertedDefault) {
-    updateOutputs();
+  if (!restoreInitialDesign()) {
+    const insertedDefault = ensureDefaultPropagationSegment();
+    renderRayLegend();
+    if (!insertedDefault) {
+      updateOutputs();
+    }
   }
   if (clearAllButton) {
     clearAllButton.addEventListener("click", handleClearAll);
   }
+  bindDesignActions();
+  bindHistoryControls();
+  if (beamSettingsButton) {
+    beamSettingsButton.addEventListener("click", openBeamModal);
+  }
+  addRayButton?.addEventListener("click", addRay);
+  generateRaysButton?.addEventListener("click", () => openRayGeneratorModal());
+  importRaysButton?.addEventListener("click", openRayImportModal);
+  bindAnalysisControls();
+  bindUnitControls();
+  bindCanvasEditing();
+  bindProbeControls();
+  bindSweepControls();
+  exportFigureButton?.addEventListener("click", openFigureExportModal);
+  exportResultsButton?.addEventListener("click", openResultsExportModal);
   window.addEventListener("click", () => {
+    if (longPressMenuOpen) {
+      longPressMenuOpen = false;
+      return;
+    }
     hideContextMenu();
     hideRayContextMenu();
   });
   window.addEventListener("keydown", (evt) => {
     if (evt.key === "Escape") {
+      endPointerDrag({ revert: true });
+      endCanvasDrag({ revert: true });
       hideContextMenu();
       hideRayContextMenu();
       hideModal();
@@ -66,6 +323,7 @@ function init() {
     if (lastTraceResult) {
       renderVisualization(lastTraceResult);
     }
+    renderSweepChart();
   });
 }
 
@@ -76,711 +334,5200 @@ function resetRaysToDefault() {
   });
 }
 
-function handleClearAll() {
-  hideContextMenu();
-  hideRayContextMenu();
+function clearRail() {
   componentSequence = [];
+  railInsertionIndex = null;
+  railGroups.clear();
+  railSelection.anchorId = null;
+  railSelection.ids = [];
   opticalRail
-    .querySelectorAll(".rail-component")
+    .querySelectorAll(".rail-component, .rail-group")
     .forEach((element) => element.remove());
-  resetRaysToDefault();
   refreshRailPlaceholder();
   lastTraceResult = null;
-  renderRayLegend();
-  ensureDefaultPropagationSegment();
 }
 
-function bindLibraryDrag() {
-  document.querySelectorAll(".component-card").forEach((card) => {
-    card.addEventListener("dragstart", (evt) => {
-      evt.dataTransfer.setData("application/x-component", card.dataset.type);
-      evt.dataTransfer.effectAllowed = "copy";
-    });
+function handleClearAll() {
+  hideContextMenu();
+  hideRayContextMenu();
+  withHistory("Clear All", () => {
+    clearRail();
+    resetRaysToDefault();
+    renderRayLegend();
+    ensureDefaultPropagationSegment();
   });
 }
 
-function setupRailDropTarget() {
-  opticalRail.addEventListener("dragover", (evt) => {
-    evt.preventDefault();
-    evt.dataTransfer.dropEffect = "copy";
-    opticalRail.classList.add("drag-over");
-  });
-
-  opticalRail.addEventListener("dragleave", () => {
-    opticalRail.classList.remove("drag-over");
-  });
-
-  opticalRail.addEventListener("drop", (evt) => {
-    evt.preventDefault();
-    opticalRail.classList.remove("drag-over");
-    const type = evt.dataTransfer.getData("application/x-component");
-    if (!type) return;
-    addComponentToRail(type);
-  });
+function captureHistoryState() {
+  return JSON.stringify(getDesignSnapshot());
+}
 
-  opticalRail.addEventListener("contextmenu", (evt) => {
-    evt.preventDefault();
-    const componentEl = evt.target.closest(".rail-component");
-    if (!componentEl) return;
-    activeContextTarget = componentEl;
-    showContextMenu(evt.clientX, evt.clientY);
-  });
+// Runs an edit and records an undo step if it actually changed the design.
+function withHistory(label, mutate) {
+  const before = captureHistoryState();
+  mutate();
+  pushHistory(label, before);
 }
 
-function showContextMenu(x, y) {
-  hideRayContextMenu();
-  contextMenu.style.left = `${x}px`;
-  contextMenu.style.top = `${y}px`;
-  contextMenu.classList.remove("hidden");
+function pushHistory(label, before) {
+  if (before === captureHistoryState()) return;
+  undoStack.push({ label, snapshot: before });
+  if (undoStack.length > HISTORY_LIMIT) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  refreshHistoryControls();
 }
 
-function hideContextMenu() {
-  contextMenu.classList.add("hidden");
-  activeContextTarget = null;
+function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return;
+  redoStack.push({ label: entry.label, snapshot: captureHistoryState() });
+  applyDesign(JSON.parse(entry.snapshot));
+  refreshHistoryControls();
+  announceRailChange(`Undid ${entry.label}.`);
 }
 
-function showRayContextMenu(x, y, index) {
-  hideContextMenu();
-  activeRayIndex = index;
-  rayContextMenu.style.left = `${x}px`;
-  rayContextMenu.style.top = `${y}px`;
-  rayContextMenu.classList.remove("hidden");
+function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return;
+  undoStack.push({ label: entry.label, snapshot: captureHistoryState() });
+  applyDesign(JSON.parse(entry.snapshot));
+  refreshHistoryControls();
+  announceRailChange(`Redid ${entry.label}.`);
 }
 
-function hideRayContextMenu() {
-  rayContextMenu.classList.add("hidden");
-  if (modalMode !== "ray") {
-    activeRayIndex = null;
+function refreshHistoryControls() {
+  const undoEntry = undoStack[undoStack.length - 1];
+  const redoEntry = redoStack[redoStack.length - 1];
+  if (undoButton) {
+    undoButton.disabled = !undoEntry;
+    undoButton.title = undoEntry ? `Undo ${undoEntry.label} (Ctrl+Z)` : "Nothing to undo";
+  }
+  if (redoButton) {
+    redoButton.disabled = !redoEntry;
+    redoButton.title = redoEntry ? `Redo ${redoEntry.label} (Ctrl+Shift+Z)` : "Nothing to redo";
   }
 }
 
-contextMenu.addEventListener("click", (evt) => {
-  const action = evt.target.dataset.action;
-  if (!action || !activeContextTarget) return;
-  const componentId = activeContextTarget.dataset.id;
-  const componentIndex = componentSequence.findIndex((c) => c.id === componentId);
-  if (componentIndex === -1) return;
+function bindHistoryControls() {
+  undoButton?.addEventListener("click", undo);
+  redoButton?.addEventListener("click", redo);
+  window.addEventListener("keydown", (evt) => {
+    if (!(evt.ctrlKey || evt.metaKey) || evt.altKey) return;
+    // Leave text fields and the open modal to the browser's own undo.
+    if (!modalBackdrop.classList.contains("hidden")) return;
+    if (evt.target.closest?.("input, textarea, select, [contenteditable='true']")) return;
+    const key = evt.key.toLowerCase();
+    if (key === "z" && !evt.shiftKey) {
+      evt.preventDefault();
+      undo();
+    } else if ((key === "z" && evt.shiftKey) || key === "y") {
+      evt.preventDefault();
+      redo();
+    }
+  });
+  refreshHistoryControls();
+}
 
-  if (action === "configure") {
-    openComponentModal(componentSequence[componentIndex]);
-  } else if (action === "remove") {
-    componentSequence.splice(componentIndex, 1);
-    activeContextTarget.remove();
-    refreshRailPlaceholder();
-    updateOutputs();
-  }
+function getDesignSnapshot() {
+  return serializeDesign({
+    components: componentSequence,
+    rays: rayState,
+    groups: getGroupRuns(componentSequence).map(({ groupId, start, count }) => ({
+      label: railGroups.get(groupId).label,
+      start,
+      count,
+      collapsed: railGroups.get(groupId).collapsed,
+    })),
+    view: {
+      beam: {
+        enabled: beamState.enabled,
+        waist_radius: beamState.waistRadius,
+        waist_position: beamState.waistPosition,
+        wavelength_nm: beamState.wavelengthNm,
+      },
+      analysis: {
+        object_distance: analysisState.objectDistance,
+        show_markers: analysisState.showMarkers,
+      },
+      layout: viewState.layout,
+      two_plane: viewState.twoPlane,
+      units: { ...displayUnits },
+    },
+  });
+}
 
+// Replaces the rail, rays and view settings with an already validated design.
+function applyDesign(design) {
   hideContextMenu();
-});
-
-rayContextMenu.addEventListener("click", (evt) => {
-  const action = evt.target.dataset.action;
-  if (!action || activeRayIndex === null) return;
-  if (action === "configure-ray") {
-    openRayModal(activeRayIndex);
-  }
   hideRayContextMenu();
-});
-
-function addComponentToRail(type, initialParams = null, options = {}) {
-  const { skipUpdate = false } = options;
-  const definition = componentLibrary[type];
-  if (!definition) return;
-
-  const id = crypto.randomUUID();
-  const params = {};
-  Object.entries(definition.parameters).forEach(([name, config]) => {
-    if (initialParams && Object.prototype.hasOwnProperty.call(initialParams, name)) {
-      params[name] = initialParams[name];
-    } else {
-      params[name] = config.default ?? 0;
-    }
+  clearRail();
+  registerDesignCustomComponents(design.components);
+  design.components.forEach((component) => {
+    addComponentToRail(component.type, component.params, { skipUpdate: true });
+  });
+  (design.groups ?? []).forEach((group) => {
+    createRailGroup(group.start, group.count, group.label, group.collapsed);
   });
 
-  const component = { id, type, params };
-  componentSequence.push(component);
+  rayState.length = 0;
+  design.rays.forEach((ray) => {
+    rayState.push({ ...ray });
+  });
 
-  const fragment = componentTemplate.content.cloneNode(true);
-  const element = fragment.querySelector(".rail-component");
-  element.dataset.id = id;
-  element.dataset.type = type;
-  element.querySelector(".rail-component__label").textContent = definition.label;
+  const beam = design.view?.beam;
+  if (beam) {
+    beamState.enabled = Boolean(beam.enabled);
+    beamState.waistRadius = beam.waist_radius;
+    beamState.waistPosition = beam.waist_position;
+    beamState.wavelengthNm = beam.wavelength_nm;
+  }
 
-  element.setAttribute("draggable", "true");
-  enableComponentReorder(element);
+  const analysis = design.view?.analysis;
+  if (analysis) {
+    analysisState.objectDistance = analysis.object_distance;
+    analysisState.showMarkers = analysis.show_markers !== false;
+  }
+  viewState.layout = design.view?.layout === "folded" ? "folded" : "unfolded";
+  if (foldedLayoutToggle) foldedLayoutToggle.checked = viewState.layout === "folded";
+  viewState.twoPlane = design.view?.two_plane === true;
+  if (twoPlaneToggle) twoPlaneToggle.checked = viewState.twoPlane;
+  Object.assign(
+    displayUnits,
+    isValidDisplayUnits(design.view?.units) ? design.view.units : DEFAULT_DISPLAY_UNITS,
+  );
+  syncUnitControls();
 
-  opticalRail.appendChild(fragment);
-  refreshRailPlaceholder();
-  if (!skipUpdate) {
+  if (!ensureDefaultPropagationSegment()) {
     updateOutputs();
   }
-  return component;
 }
 
-function enableComponentReorder(element) {
-  element.addEventListener("dragstart", (evt) => {
-    evt.dataTransfer.setData("text/plain", element.dataset.id);
-    evt.dataTransfer.effectAllowed = "move";
-    element.classList.add("dragging");
-  });
-
-  element.addEventListener("dragend", () => {
-    element.classList.remove("dragging");
-  });
-}
-
-opticalRail.addEventListener("dragover", (evt) => {
-  const dragging = opticalRail.querySelector(".rail-component.dragging");
-  if (!dragging) return;
-  evt.preventDefault();
-  const afterElement = getDragAfterElement(opticalRail, evt.clientX);
-  if (afterElement == null) {
-    opticalRail.appendChild(dragging);
-  } else {
-    opticalRail.insertBefore(dragging, afterElement);
+// Loads a design from a shared link first, then from the local autosave.
+// Returns false when neither is available so init can build the default rail.
+function restoreInitialDesign() {
+  const shared = decodeDesignFromHash(window.location.hash, componentLibrary);
+  if (shared) {
+    clearDesignHash();
+    if (!shared.errors.length) {
+      applyDesign(shared.design);
+      showDesignStatus("Loaded shared design.");
+      return true;
+    }
+    showDesignStatus("The shared design could not be loaded.", shared.errors, "error");
   }
-  reorderSequenceFromDOM();
-  updateOutputs();
-});
 
-function getDragAfterElement(container, x) {
-  const draggableElements = [...container.querySelectorAll(".rail-component:not(.dragging)")];
-  let closest = { offset: Number.NEGATIVE_INFINITY, element: null };
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem(AUTOSAVE_KEY);
+  } catch (err) {
+    console.warn("Autosave unavailable", err);
+  }
+  if (!saved) return false;
 
-  draggableElements.forEach((child) => {
-    const box = child.getBoundingClientRect();
-    const offset = x - box.left - box.width / 2;
-    if (offset < 0 && offset > closest.offset) {
-      closest = { offset, element: child };
+  const restored = parseDesignText(saved, componentLibrary);
+  if (restored.errors.length) {
+    if (!shared) {
+      showDesignStatus("The autosaved design could not be restored.", restored.errors, "error");
     }
-  });
-
-  return closest.element;
+    return false;
+  }
+  applyDesign(restored.design);
+  return true;
 }
 
-function reorderSequenceFromDOM() {
-  const newOrder = [];
-  opticalRail.querySelectorAll(".rail-component").forEach((element) => {
-    const found = componentSequence.find((comp) => comp.id === element.dataset.id);
-    if (found) newOrder.push(found);
-  });
-  componentSequence = newOrder;
+function clearDesignHash() {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, "", `${pathname}${search}`);
 }
 
-function refreshRailPlaceholder() {
-  const hasChildren = opticalRail.querySelector(".rail-component") !== null;
-  opticalRail.querySelector(".rail-placeholder")?.remove();
-  if (!hasChildren) {
-    const placeholder = document.createElement("p");
-    placeholder.className = "rail-placeholder";
-    placeholder.textContent = "Drag components here";
-    opticalRail.appendChild(placeholder);
-  }
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    try {
+      window.localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(getDesignSnapshot()));
+    } catch (err) {
+      console.warn("Autosave failed", err);
+    }
+  }, AUTOSAVE_DELAY_MS);
 }
 
-function openComponentModal(component) {
-  hideRayContextMenu();
-  activeModalComponentId = component.id;
-  modalMode = "component";
-  modalTitle.textContent = `Configure ${componentLibrary[component.type].label}`;
-  modalForm.innerHTML = "";
-
-  Object.entries(componentLibrary[component.type].parameters).forEach(([name, config]) => {
-    const label = document.createElement("label");
-    label.textContent = `${name.replace(/_/g, " ")} (${config.step || 0.1})`;
-
-    const input = document.createElement("input");
-    input.type = "number";
-    input.name = name;
-    if (config.min !== undefined) input.min = config.min;
-    if (config.max !== undefined) input.max = config.max;
-    if (config.step !== undefined) input.step = config.step;
-    input.value = component.params[name];
+function bindDesignActions() {
+  exportDesignButton?.addEventListener("click", exportDesignFile);
+  importDesignButton?.addEventListener("click", () => designFileInput?.click());
+  designFileInput?.addEventListener("change", () => {
+    const file = designFileInput.files?.[0];
+    designFileInput.value = "";
+    if (file) importDesignFile(file);
+  });
+  shareDesignButton?.addEventListener("click", shareDesignLink);
+  galleryButton?.addEventListener("click", openGalleryModal);
 
-    label.appendChild(input);
-    modalForm.appendChild(label);
+  window.addEventListener("hashchange", () => {
+    const shared = decodeDesignFromHash(window.location.hash, componentLibrary);
+    if (!shared) return;
+    clearDesignHash();
+    if (shared.errors.length) {
+      showDesignStatus("The shared design could not be loaded.", shared.errors, "error");
+      return;
+    }
+    withHistory("Load Shared Design", () => applyDesign(shared.design));
+    showDesignStatus("Loaded shared design.");
   });
+}
 
-  showModal();
+function exportDesignFile() {
+  downloadFile(
+    JSON.stringify(getDesignSnapshot(), null, 2),
+    "optical-design.json",
+    "application/json",
+  );
 }
 
-function openRayModal(index) {
-  hideContextMenu();
-  modalMode = "ray";
-  activeRayIndex = index;
-  const ray = rayState[index];
-  modalTitle.textContent = `Configure ${ray.label}`;
-  modalForm.innerHTML = "";
+function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-  const heightLabel = document.createElement("label");
-  heightLabel.textContent = "Height (mm)";
-  const heightInput = document.createElement("input");
-  heightInput.type = "number";
-  heightInput.step = "0.1";
-  heightInput.name = "height";
-  heightInput.value = ray.height;
-  heightLabel.appendChild(heightInput);
-  modalForm.appendChild(heightLabel);
+function importDesignFile(file) {
+  file
+    .text()
+    .then((text) => {
+      const { design, errors } = parseDesignText(text, componentLibrary);
+      if (errors.length) {
+        showDesignStatus(`${file.name} was not imported.`, errors, "error");
+        return;
+      }
+      withHistory(`Import ${file.name}`, () => applyDesign(design));
+      showDesignStatus(`Imported ${file.name}.`);
+    })
+    .catch((err) => showDesignStatus(`Could not read ${file.name}.`, [String(err)], "error"));
+}
 
-  const angleLabel = document.createElement("label");
-  angleLabel.textContent = "Angle (mrad)";
-  const angleInput = document.createElement("input");
-  angleInput.type = "number";
-  angleInput.step = "0.1";
-  angleInput.name = "angle";
-  angleInput.value = ray.angle;
-  angleLabel.appendChild(angleInput);
-  modalForm.appendChild(angleLabel);
+// Presets are checked like an imported file, and the note on what to look for
+// stays in the status panel until dismissed.
+function loadDesignPreset(id) {
+  const preset = getDesignPreset(id);
+  if (!preset) return;
+  const { design, errors } = validateDesign(buildPresetDesign(preset), componentLibrary);
+  if (errors.length) {
+    showDesignStatus(`${preset.label} could not be loaded.`, errors, "error");
+    return;
+  }
+  withHistory(`Load ${preset.label}`, () => applyDesign(design));
+  showDesignStatus(`Loaded ${preset.label}.`, [preset.description]);
+}
 
-  showModal();
+function shareDesignLink() {
+  const { origin, pathname, search } = window.location;
+  const url = `${origin}${pathname}${search}${encodeDesignToHash(getDesignSnapshot())}`;
+  const fallback = () => showDesignStatus("Copy this link to share the design:", [url]);
+  if (!navigator.clipboard?.writeText) {
+    fallback();
+    return;
+  }
+  navigator.clipboard
+    .writeText(url)
+    .then(() => showDesignStatus("Share link copied to the clipboard."))
+    .catch(fallback);
 }
 
-modalForm.addEventListener("submit", (evt) => {
-  evt.preventDefault();
-  const formData = new FormData(modalForm);
+function showDesignStatus(message, details = [], tone = "info") {
+  if (!designStatus) return;
+  clearTimeout(statusTimer);
+  designStatus.innerHTML = "";
+  designStatus.classList.remove("hidden");
+  designStatus.classList.toggle("design-status--error", tone === "error");
 
-  if (modalMode === "component" && activeModalComponentId) {
-    const component = componentSequence.find((c) => c.id === activeModalComponentId);
-    if (!component) return;
-    formData.forEach((value, key) => {
-      component.params[key] = Number(value);
+  const text = document.createElement("p");
+  text.textContent = message;
+  designStatus.appendChild(text);
+
+  if (details.length) {
+    const list = document.createElement("ul");
+    details.forEach((detail) => {
+      const item = document.createElement("li");
+      item.textContent = detail;
+      list.appendChild(item);
     });
-    updateOutputs();
-  } else if (modalMode === "ray" && activeRayIndex !== null) {
-    const height = Number(formData.get("height"));
-    const angle = Number(formData.get("angle"));
-    if (!Number.isFinite(height) || !Number.isFinite(angle)) return;
-    rayState[activeRayIndex].height = height;
-    rayState[activeRayIndex].angle = angle;
-    renderRayLegend();
-    updateOutputs();
+    designStatus.appendChild(list);
   }
-  hideModal();
-});
 
-modalClose.addEventListener("click", hideModal);
-modalCancel.addEventListener("click", hideModal);
+  const dismiss = document.createElement("button");
+  dismiss.type = "button";
+  dismiss.className = "design-status__dismiss";
+  dismiss.setAttribute("aria-label", "Dismiss");
+  dismiss.textContent = "×";
+  dismiss.addEventListener("click", hideDesignStatus);
+  designStatus.appendChild(dismiss);
 
-function showModal() {
-  modalBackdrop.classList.remove("hidden");
+  if (tone !== "error" && !details.length) {
+    statusTimer = setTimeout(hideDesignStatus, STATUS_HIDE_DELAY_MS);
+  }
 }
 
-function hideModal() {
-  modalBackdrop.classList.add("hidden");
-  activeModalComponentId = null;
-  activeRayIndex = null;
-  modalMode = null;
+function hideDesignStatus() {
+  designStatus?.classList.add("hidden");
 }
 
-function updateOutputs() {
-  renderRayLegend();
-  fetch("/api/trace", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ components: componentSequence, rays: rayState }),
-  })
-    .then((res) => res.json())
-    .then((data) => {
-      lastTraceResult = data;
-      renderMatrixOutput(data);
-      renderRayOutput(data);
-      renderVisualization(data);
-      renderRayLegend(data);
-    })
-    .catch((err) => console.error("Trace error", err));
+function bindLibraryDrag() {
+  document.querySelectorAll(".component-card").forEach(bindLibraryCard);
+  newCustomComponentButton?.addEventListener("click", () => openCustomComponentModal());
 }
 
-function renderMatrixOutput(data) {
-  matrixOutput.innerHTML = "";
+function bindLibraryCard(card) {
+  card.addEventListener("pointerdown", (evt) => beginPointerDrag(evt, card, "library"));
+  card.addEventListener("keydown", (evt) => {
+    if (evt.key !== "Enter" && evt.key !== " ") return;
+    evt.preventDefault();
+    insertLibraryComponent(card.dataset.type, railInsertionIndex ?? componentSequence.length);
+  });
+}
 
-  if (!componentSequence.length) {
-    const empty = document.createElement("p");
-    empty.textContent = "Add components to view matrices.";
-    matrixOutput.appendChild(empty);
-    return;
+// Custom element definitions sit in componentLibrary beside the built-in
+// ones and are kept in local storage. Rail instances carry their own copy, so
+// exported and shared designs trace without the author's toolbox.
+function loadCustomComponents() {
+  let stored = null;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(CUSTOM_COMPONENTS_KEY) ?? "{}");
+  } catch (err) {
+    console.warn("Custom elements unavailable", err);
   }
+  Object.entries(stored ?? {}).forEach(([type, definition]) => {
+    if (!isCustomType(type) || validateCustomDefinition(definition).errors.length) {
+      console.warn("Skipping invalid custom element", type);
+      return;
+    }
+    registerCustomComponent(type, definition);
+  });
+  refreshCustomLibrary();
+}
 
-  const totalRow = document.createElement("div");
-  totalRow.className = "matrix-row";
+function saveCustomComponents() {
+  const stored = {};
+  getCustomTypes().forEach((type) => {
+    stored[type] = componentLibrary[type];
+  });
+  try {
+    window.localStorage.setItem(CUSTOM_COMPONENTS_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.warn("Saving custom elements failed", err);
+  }
+}
 
-  const label = document.createElement("span");
-  label.className = "matrix-label";
-  label.textContent = "M_total =";
-  totalRow.appendChild(label);
-  totalRow.appendChild(createMatrixElement(data.total_matrix));
+function getCustomTypes() {
+  return Object.keys(componentLibrary).filter(isCustomType);
+}
 
-  const totalOffset = document.createElement("span");
-  totalOffset.className = "matrix-offset";
-  totalOffset.textContent = `Δx = ${data.total_offset[0].toFixed(3)}, Δθ = ${data.total_offset[1].toFixed(3)}`;
-  totalRow.appendChild(totalOffset);
+function getCustomCard(type) {
+  return [...(customLibrary?.children ?? [])].find((card) => card.dataset.type === type) ?? null;
+}
 
-  matrixOutput.appendChild(totalRow);
+// Adds a custom element to the library and its toolbox, replacing any
+// earlier definition of the same type.
+function registerCustomComponent(type, definition) {
+  componentLibrary[type] = cloneCustomDefinition(definition);
+  if (!customLibrary) return;
+  const card = createCustomCard(type);
+  const existing = getCustomCard(type);
+  if (existing) {
+    existing.replaceWith(card);
+  } else {
+    customLibrary.appendChild(card);
+  }
+  refreshCustomLibrary();
+}
 
-  const productRow = document.createElement("div");
-  productRow.className = "matrix-product-line";
+function createCustomCard(type) {
+  const definition = componentLibrary[type];
+  const [[A, B], [C, D]] = definition.matrix;
+  return createToolboxCard(
+    type,
+    definition.label,
+    definition.description || `[[${A}, ${B}], [${C}, ${D}]]`,
+    "component-card--custom",
+    [
+      ["Edit", () => openCustomComponentModal(type)],
+      ["Delete", () => deleteCustomComponent(type)],
+    ],
+  );
+}
 
-  const equals = document.createElement("span");
-  equals.className = "matrix-operator";
-  equals.textContent = "=";
-  productRow.appendChild(equals);
+// A toolbox card for a user-made entry, with [text, action] buttons below
+// its description.
+function createToolboxCard(type, label, descriptionText, className, actionList) {
+  const card = document.createElement("div");
+  card.className = `component-card ${className}`;
+  card.tabIndex = 0;
+  card.setAttribute("role", "button");
+  card.setAttribute("aria-describedby", "rail-instructions");
+  card.dataset.type = type;
+  card.dataset.label = label;
 
-  data.matrices.forEach((matrix, index) => {
-    const component = componentSequence[index];
-    const definition = componentLibrary[component.type];
+  const title = document.createElement("h3");
+  title.textContent = label;
+  const description = document.createElement("p");
+  description.textContent = descriptionText;
+  card.append(title, description);
 
-    const term = document.createElement("div");
-    term.className = "matrix-term";
+  const actions = document.createElement("div");
+  actions.className = "component-card__actions";
+  actionList.forEach(([text, action]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "workspace-action";
+    button.textContent = text;
+    button.setAttribute("aria-label", `${text} ${label}`);
+    // Keep presses on the buttons from starting a drag or inserting the card.
+    button.addEventListener("pointerdown", (evt) => evt.stopPropagation());
+    button.addEventListener("keydown", (evt) => evt.stopPropagation());
+    button.addEventListener("click", action);
+    actions.appendChild(button);
+  });
+  card.appendChild(actions);
+
+  bindLibraryCard(card);
+  return card;
+}
+
+function refreshCustomLibrary() {
+  customLibraryEmpty?.classList.toggle("hidden", getCustomTypes().length > 0);
+}
 
-    const title = document.createElement("p");
-    title.className = "matrix-term__title";
-    title.textContent = `${definition.label}`;
-    term.appendChild(title);
+// Elements still on the rail cannot be deleted, since the rail would be left
+// with a type the toolbox no longer knows.
+function deleteCustomComponent(type) {
+  const { label } = componentLibrary[type];
+  if (componentSequence.some((component) => component.type === type)) {
+    showDesignStatus(`${label} is on the rail. Remove it from the rail before deleting it.`, [], "error");
+    return;
+  }
+  delete componentLibrary[type];
+  getCustomCard(type)?.remove();
+  refreshCustomLibrary();
+  saveCustomComponents();
+  showDesignStatus(`Deleted custom element ${label}.`);
+}
 
-    term.appendChild(createMatrixElement(matrix));
+// Designs bring their custom definitions with them; loading one adds them to
+// the toolbox, replacing a local definition of the same type.
+function registerDesignCustomComponents(components) {
+  let changed = false;
+  components.forEach((component) => {
+    if (!isCustomType(component.type)) return;
+    if (JSON.stringify(componentLibrary[component.type]) === JSON.stringify(component.definition)) return;
+    registerCustomComponent(component.type, component.definition);
+    changed = true;
+  });
+  if (changed) saveCustomComponents();
+}
 
-    const paramsText = formatComponentParams(component.params);
-    const offset = data.offsets[index];
-    const hasOffset = Math.abs(offset[0]) > 1e-6 || Math.abs(offset[1]) > 1e-6;
-    const detailParts = [];
-    if (paramsText) detailParts.push(paramsText);
-    if (hasOffset) detailParts.push(`Δx=${offset[0].toFixed(3)}, Δθ=${offset[1].toFixed(3)}`);
-    if (detailParts.length) {
-      const details = document.createElement("p");
-      details.className = "matrix-term__details";
-      details.textContent = detailParts.join(" · ");
-      term.appendChild(details);
+// Sub-assemblies are stored as { label, components } with the components in
+// design form, so custom elements inside one travel with it.
+function loadAssemblies() {
+  let stored = null;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(ASSEMBLIES_KEY) ?? "{}");
+  } catch (err) {
+    console.warn("Sub-assemblies unavailable", err);
+  }
+  Object.entries(stored ?? {}).forEach(([type, assembly]) => {
+    if (!isAssemblyType(type) || validateAssembly(assembly, componentLibrary).length) {
+      console.warn("Skipping invalid sub-assembly", type);
+      return;
     }
+    registerAssembly(type, assembly);
+  });
+  refreshAssemblyLibrary();
+}
 
-    productRow.appendChild(term);
+function saveAssemblies() {
+  try {
+    window.localStorage.setItem(ASSEMBLIES_KEY, JSON.stringify(assemblyLibrary));
+  } catch (err) {
+    console.warn("Saving sub-assemblies failed", err);
+  }
+}
 
-    if (index < data.matrices.length - 1) {
-      const operator = document.createElement("span");
-      operator.className = "matrix-operator";
-      operator.textContent = "×";
-      productRow.appendChild(operator);
+function getAssemblyCard(type) {
+  return [...(assemblyLibraryElement?.children ?? [])].find((card) => card.dataset.type === type) ?? null;
+}
+
+function registerAssembly(type, assembly) {
+  assemblyLibrary[type] = JSON.parse(JSON.stringify(assembly));
+  if (!assemblyLibraryElement) return;
+  const card = createToolboxCard(
+    type,
+    assembly.label,
+    assembly.components.map(describeComponentType).join(" → "),
+    "component-card--assembly",
+    [["Delete", () => deleteAssembly(type)]],
+  );
+  const existing = getAssemblyCard(type);
+  if (existing) {
+    existing.replaceWith(card);
+  } else {
+    assemblyLibraryElement.appendChild(card);
+  }
+  refreshAssemblyLibrary();
+}
+
+function describeComponentType(component) {
+  return (component.definition ?? componentLibrary[component.type])?.label ?? "Component";
+}
+
+function refreshAssemblyLibrary() {
+  assemblyLibraryEmpty?.classList.toggle("hidden", Object.keys(assemblyLibrary).length > 0);
+}
+
+// Groups already placed from a sub-assembly are independent copies, so it
+// can be deleted at any time.
+function deleteAssembly(type) {
+  const { label } = assemblyLibrary[type];
+  delete assemblyLibrary[type];
+  getAssemblyCard(type)?.remove();
+  refreshAssemblyLibrary();
+  saveAssemblies();
+  showDesignStatus(`Deleted sub-assembly ${label}.`);
+}
+
+function saveGroupToToolbox(groupId) {
+  const { label } = railGroups.get(groupId);
+  const { components } = serializeDesign({ components: getGroupMembers(groupId), rays: [] });
+  registerAssembly(createLibraryType(ASSEMBLY_TYPE_PREFIX, label, Object.keys(assemblyLibrary)), {
+    label,
+    components,
+  });
+  saveAssemblies();
+  showDesignStatus(`Saved ${label} to the toolbox.`);
+}
+
+// Places a copy of a sub-assembly at a rail position as a collapsed group.
+function insertAssembly(type, index) {
+  const { label, components } = assemblyLibrary[type];
+  const start = getRailInsertionIndex(Math.min(index, componentSequence.length));
+  registerDesignCustomComponents(components);
+  withHistory(`Add ${label}`, () => {
+    components.forEach((component, offset) => {
+      addComponentToRail(component.type, component.params, { index: start + offset, skipUpdate: true });
+    });
+    createRailGroup(start, components.length, label);
+    updateOutputs();
+  });
+  railInsertionIndex = start + components.length;
+  announceRailChange(`Added ${label} at position ${start + 1} of ${componentSequence.length}.`);
+}
+
+// Adds a library component at a rail position. Keyboard insertion keeps focus
+// on the toolbox card and advances the insertion point, so pressing Enter
+// repeatedly builds the rail in reading order.
+function insertLibraryComponent(type, index) {
+  if (isAssemblyType(type)) {
+    insertAssembly(type, index);
+    return;
+  }
+  const label = componentLibrary[type]?.label ?? "Component";
+  let component = null;
+  withHistory(`Add ${label}`, () => {
+    component = addComponentToRail(type, null, { index });
+  });
+  if (!component) return;
+  const position = getRailIndex(component.id);
+  railInsertionIndex = position + 1;
+  announceRailChange(`Added ${label} at position ${position + 1} of ${componentSequence.length}.`);
+}
+
+function setupRailDropTarget() {
+  opticalRail.addEventListener("contextmenu", (evt) => {
+    evt.preventDefault();
+    const tile = evt.target.closest(".rail-group__tile");
+    const componentEl = evt.target.closest(".rail-component");
+    if (!tile && !componentEl) return;
+    if (pointerDrag) clearTimeout(pointerDrag.longPressTimer);
+    if (tile) {
+      showGroupContextMenu(evt.clientX, evt.clientY, tile);
+      return;
     }
+    activeContextTarget = componentEl;
+    showContextMenu(evt.clientX, evt.clientY);
   });
 
-  matrixOutput.appendChild(productRow);
+  opticalRail.addEventListener("keydown", handleRailKeydown);
+  opticalRail.addEventListener("focusin", (evt) => {
+    const tile = evt.target.closest(".rail-group__tile");
+    const componentEl = evt.target.closest(".rail-component");
+    if (tile) {
+      const members = getGroupMembers(tile.parentNode.dataset.groupId);
+      railInsertionIndex = getRailIndex(members[members.length - 1].id) + 1;
+    } else if (componentEl) {
+      railInsertionIndex = getRailIndex(componentEl.dataset.id) + 1;
+    }
+  });
+  opticalRail.addEventListener("click", (evt) => {
+    const componentEl = evt.target.closest(".rail-component");
+    if (componentEl) selectRailComponents(componentEl.dataset.id, evt.shiftKey);
+  });
+
+  window.addEventListener(
+    "pointerdown",
+    () => {
+      longPressMenuOpen = false;
+    },
+    true,
+  );
+  window.addEventListener("pointermove", updatePointerDrag);
+  window.addEventListener("pointerup", finishPointerDrag);
+  window.addEventListener("pointercancel", () => endPointerDrag({ revert: true }));
 }
 
-function createMatrixElement(matrix) {
-  const matrixEl = document.createElement("div");
-  matrixEl.className = "matrix";
-  matrix.flat().forEach((value) => {
-    const cell = document.createElement("span");
-    cell.textContent = Number(value).toFixed(3);
-    matrixEl.appendChild(cell);
+function handleRailKeydown(evt) {
+  if (pointerDrag) return;
+  const tile = evt.target.closest(".rail-group__tile");
+  const element = tile ?? evt.target.closest(".rail-component");
+  if (!element) return;
+  const groupId = tile?.parentNode.dataset.groupId;
+  const stops = getRailStops();
+  const stopIndex = stops.indexOf(element);
+  const targets = { ArrowLeft: stopIndex - 1, ArrowRight: stopIndex + 1, Home: 0, End: stops.length - 1 };
+
+  if (Object.prototype.hasOwnProperty.call(targets, evt.key)) {
+    evt.preventDefault();
+    if (evt.shiftKey) {
+      // Members move within their group and a group moves as a whole.
+      const item = tile ? tile.parentNode : element;
+      const siblings = getRailItems(item.parentNode);
+      const index = siblings.indexOf(item);
+      const moves = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: siblings.length - 1 };
+      moveRailItem(item, clamp(moves[evt.key], 0, siblings.length - 1));
+    } else {
+      stops[clamp(targets[evt.key], 0, stops.length - 1)]?.focus();
+    }
+  } else if (evt.key === "Delete" || evt.key === "Backspace") {
+    evt.preventDefault();
+    if (tile) {
+      removeRailGroup(groupId);
+    } else {
+      removeRailComponent(element);
+    }
+  } else if (evt.key === "Enter" || evt.key === " ") {
+    evt.preventDefault();
+    if (tile) {
+      setRailGroupCollapsed(groupId, !railGroups.get(groupId).collapsed);
+    } else {
+      openComponentModal(componentSequence[getRailIndex(element.dataset.id)]);
+    }
+  } else if (evt.key === "ContextMenu" || (evt.key === "F10" && evt.shiftKey)) {
+    evt.preventDefault();
+    const box = element.getBoundingClientRect();
+    if (tile) {
+      showGroupContextMenu(box.left, box.bottom, tile);
+      groupContextMenu.querySelector("button")?.focus();
+      return;
+    }
+    activeContextTarget = element;
+    showContextMenu(box.left, box.bottom);
+    contextMenu.querySelector("button")?.focus();
+  }
+}
+
+// Moves a component or group to targetIndex among the items in the same
+// container, so members stay inside their group.
+function moveRailItem(item, targetIndex) {
+  const container = item.parentNode;
+  const others = getRailItems(container).filter((other) => other !== item);
+  if (getRailItems(container).indexOf(item) === targetIndex) return;
+  const label = getRailItemLabel(item);
+  withHistory(`Move ${label}`, () => {
+    container.insertBefore(item, others[targetIndex] ?? null);
+    reorderSequenceFromDOM();
+    updateOutputs();
   });
-  return matrixEl;
+  // Moving a node in the DOM drops its focus.
+  (item.querySelector(".rail-group__tile") ?? item).focus();
+  announceRailChange(
+    `Moved ${label} to position ${getRailItemStart(item) + 1} of ${componentSequence.length}.`,
+  );
 }
 
-function renderRayOutput(data) {
-  raysOutput.innerHTML = "";
-  const table = document.createElement("table");
-  const headerRow = document.createElement("tr");
-  ["Ray", "Final Height (mm)", "Final Angle (mrad)"].forEach((label) => {
-    const th = document.createElement("th");
-    th.textContent = label;
-    headerRow.appendChild(th);
+function removeRailComponent(element) {
+  const index = getRailIndex(element.dataset.id);
+  if (index === -1) return;
+  const label = componentLibrary[componentSequence[index].type]?.label ?? "Component";
+  const hadFocus = element.contains(document.activeElement);
+  const stopIndex = getRailStops().indexOf(element);
+  withHistory(`Remove ${label}`, () => {
+    componentSequence.splice(index, 1);
+    element.remove();
+    pruneRailGroups();
+    refreshRailPlaceholder();
+    updateOutputs();
   });
-  table.appendChild(headerRow);
+  railInsertionIndex = index;
+  if (hadFocus) focusRailStop(stopIndex);
+  announceRailChange(`Removed ${label}. ${componentSequence.length} components on the rail.`);
+}
 
-  data.propagated_rays.forEach((ray, index) => {
-    const row = document.createElement("tr");
-    const nameCell = document.createElement("td");
-    nameCell.textContent = rayState[index].label;
-    const heightCell = document.createElement("td");
-    heightCell.textContent = Number(ray.height).toFixed(3);
-    const angleCell = document.createElement("td");
-    angleCell.textContent = Number(ray.angle).toFixed(3);
-    row.appendChild(nameCell);
-    row.appendChild(heightCell);
-    row.appendChild(angleCell);
-    table.appendChild(row);
+// Focuses the stop now at position, or the one before it once the rail ends.
+function focusRailStop(position) {
+  const stops = getRailStops();
+  (stops[position] ?? stops[position - 1] ?? opticalRail).focus();
+}
+
+function refreshRailLabels() {
+  const total = componentSequence.length;
+  componentSequence.forEach((component, index) => {
+    const element = opticalRail.querySelector(`.rail-component[data-id="${component.id}"]`);
+    if (!element) return;
+    const label = componentLibrary[component.type]?.label ?? "Component";
+    const paramsText = formatComponentParams(component);
+    element.setAttribute(
+      "aria-label",
+      `${label}, ${index + 1} of ${total}${paramsText ? `: ${paramsText}` : ""}`,
+    );
   });
+  getGroupRuns(componentSequence).forEach(({ groupId, start, count }) => {
+    const tile = getRailGroupElement(groupId)?.querySelector(".rail-group__tile");
+    tile?.setAttribute(
+      "aria-label",
+      `${railGroups.get(groupId).label} group, components ${start + 1} to ${start + count} of ${total}`,
+    );
+  });
+}
 
-  raysOutput.appendChild(table);
+function getRailElements() {
+  return [...opticalRail.querySelectorAll(".rail-component")];
 }
 
-const RAY_COLORS = ["#69d2ff", "#ff9f1c", "#ff6f69", "#9b5de5", "#2ec4b6"];
+function getRailIndex(componentId) {
+  return componentSequence.findIndex((component) => component.id === componentId);
+}
 
-function getRayColor(index) {
-  return RAY_COLORS[index % RAY_COLORS.length];
+// Components and groups directly inside container: the rail itself or a
+// group's member list.
+function getRailItems(container) {
+  return [...container.children].filter((child) => child.matches(".rail-component, .rail-group"));
 }
 
-function renderRayLegend(traceData = lastTraceResult) {
-  if (!rayLegend) return;
-  rayLegend.innerHTML = "";
+// Arrow-key stops in rail order: group tiles and every component not hidden
+// inside a collapsed group.
+function getRailStops() {
+  return [...opticalRail.querySelectorAll(".rail-component, .rail-group__tile")].filter(
+    (element) => !element.closest(".rail-group--collapsed .rail-group__members"),
+  );
+}
 
-  rayState.forEach((ray, index) => {
-    const item = document.createElement("div");
-    item.className = "ray-legend__item";
-    item.tabIndex = 0;
+function getRailItemLabel(item) {
+  if (item.matches(".rail-group")) return railGroups.get(item.dataset.groupId)?.label ?? "Group";
+  return componentLibrary[item.dataset.type]?.label ?? "Component";
+}
 
-    const swatch = document.createElement("span");
-    swatch.className = "ray-legend__swatch";
-    swatch.style.background = getRayColor(index);
-    item.appendChild(swatch);
+// Rail index of an item's first component.
+function getRailItemStart(item) {
+  const first = item.matches(".rail-component") ? item : item.querySelector(".rail-component");
+  return first ? getRailIndex(first.dataset.id) : -1;
+}
 
-    const name = document.createElement("span");
-    name.textContent = ray.label;
-    item.appendChild(name);
+function getComponentElement(componentId) {
+  return opticalRail.querySelector(`.rail-component[data-id="${componentId}"]`);
+}
 
-    const details = document.createElement("span");
-    details.className = "ray-legend__details";
-    const detailParts = [
-      `h₀=${Number(ray.height).toFixed(2)} mm`,
-      `θ₀=${Number(ray.angle).toFixed(2)} mrad`,
-    ];
-    const traced = traceData?.propagated_rays?.[index];
-    if (traced) {
-      detailParts.push(`→ h=${Number(traced.height).toFixed(2)} mm`);
-      detailParts.push(`θ=${Number(traced.angle).toFixed(2)} mrad`);
-    }
-    details.textContent = detailParts.join(" | ");
-    item.appendChild(details);
+function getRailGroupElement(groupId) {
+  return opticalRail.querySelector(`.rail-group[data-group-id="${groupId}"]`);
+}
 
-    item.addEventListener("contextmenu", (evt) => {
-      evt.preventDefault();
-      showRayContextMenu(evt.clientX, evt.clientY, index);
+function getGroupMembers(groupId) {
+  return componentSequence.filter((component) => component.groupId === groupId);
+}
+
+// Library insertions never land inside a group: a position between two
+// members moves to just after the group.
+function getRailInsertionIndex(index) {
+  const groupId = componentSequence[index - 1]?.groupId;
+  if (!groupId || componentSequence[index]?.groupId !== groupId) return index;
+  let end = index;
+  while (componentSequence[end]?.groupId === groupId) end += 1;
+  return end;
+}
+
+// Wraps count components from start in a new group and returns its id, or
+// null when the range is empty or already holds grouped components.
+function createRailGroup(start, count, label, collapsed = true) {
+  const members = componentSequence.slice(start, start + count);
+  if (!members.length || members.some((component) => component.groupId)) return null;
+  const groupId = crypto.randomUUID();
+  railGroups.set(groupId, { label, collapsed });
+
+  const element = document.createElement("div");
+  element.className = "rail-group";
+  element.dataset.groupId = groupId;
+  element.setAttribute("role", "listitem");
+
+  const tile = document.createElement("div");
+  tile.className = "rail-group__tile";
+  tile.tabIndex = 0;
+  tile.setAttribute("aria-describedby", "rail-instructions");
+  const title = document.createElement("span");
+  title.className = "rail-group__label";
+  const matrix = document.createElement("div");
+  matrix.className = "rail-group__matrix";
+  tile.append(title, matrix);
+  tile.addEventListener("pointerdown", (evt) => beginPointerDrag(evt, element, "group"));
+  tile.addEventListener("dblclick", () => {
+    setRailGroupCollapsed(groupId, !railGroups.get(groupId).collapsed);
+  });
+
+  const list = document.createElement("div");
+  list.className = "rail-group__members";
+  list.setAttribute("role", "list");
+  element.append(tile, list);
+
+  opticalRail.insertBefore(element, getComponentElement(members[0].id));
+  members.forEach((component) => {
+    component.groupId = groupId;
+    list.appendChild(getComponentElement(component.id));
+  });
+  refreshRailGroup(groupId);
+  return groupId;
+}
+
+function refreshRailGroup(groupId) {
+  const group = railGroups.get(groupId);
+  const element = getRailGroupElement(groupId);
+  if (!group || !element) return;
+  element.classList.toggle("rail-group--collapsed", group.collapsed);
+  const tile = element.querySelector(".rail-group__tile");
+  tile.setAttribute("aria-expanded", String(!group.collapsed));
+  tile.querySelector(".rail-group__label").textContent = group.label;
+}
+
+// Expanding and collapsing only change the view, so they are not undo steps.
+function setRailGroupCollapsed(groupId, collapsed) {
+  const group = railGroups.get(groupId);
+  if (!group || group.collapsed === collapsed) return;
+  const element = getRailGroupElement(groupId);
+  // A member about to be hidden cannot keep focus; hand it to the tile.
+  if (collapsed && element.querySelector(".rail-group__members").contains(document.activeElement)) {
+    element.querySelector(".rail-group__tile").focus();
+  }
+  group.collapsed = collapsed;
+  refreshRailGroup(groupId);
+  updateOutputs();
+  announceRailChange(`${collapsed ? "Collapsed" : "Expanded"} ${group.label}.`);
+}
+
+function ungroupRailGroup(groupId) {
+  const group = railGroups.get(groupId);
+  const element = getRailGroupElement(groupId);
+  if (!group || !element) return;
+  const [first] = getGroupMembers(groupId);
+  withHistory(`Ungroup ${group.label}`, () => {
+    getRailItems(element.querySelector(".rail-group__members")).forEach((member) => {
+      opticalRail.insertBefore(member, element);
     });
+    element.remove();
+    getGroupMembers(groupId).forEach((component) => {
+      delete component.groupId;
+    });
+    railGroups.delete(groupId);
+    updateOutputs();
+  });
+  getComponentElement(first.id)?.focus();
+  announceRailChange(`Ungrouped ${group.label}.`);
+}
+
+function removeRailGroup(groupId) {
+  const group = railGroups.get(groupId);
+  const element = getRailGroupElement(groupId);
+  if (!group || !element) return;
+  const index = getRailItemStart(element);
+  const hadFocus = element.contains(document.activeElement);
+  const stopIndex = getRailStops().indexOf(element.querySelector(".rail-group__tile"));
+  withHistory(`Remove ${group.label}`, () => {
+    componentSequence = componentSequence.filter((component) => component.groupId !== groupId);
+    element.remove();
+    railGroups.delete(groupId);
+    refreshRailPlaceholder();
+    updateOutputs();
+  });
+  railInsertionIndex = index;
+  if (hadFocus) focusRailStop(stopIndex);
+  announceRailChange(`Removed ${group.label}. ${componentSequence.length} components on the rail.`);
+}
+
+// Drops groups whose last member has been removed.
+function pruneRailGroups() {
+  railGroups.forEach((group, groupId) => {
+    if (componentSequence.some((component) => component.groupId === groupId)) return;
+    getRailGroupElement(groupId)?.remove();
+    railGroups.delete(groupId);
+  });
+}
+
+// A click starts a selection at a component; Shift+click extends it to the
+// run between the two, which Group Components then offers as its range.
+function selectRailComponents(componentId, extend) {
+  const anchorIndex = getRailIndex(railSelection.anchorId);
+  const index = getRailIndex(componentId);
+  if (extend && anchorIndex !== -1) {
+    railSelection.ids = componentSequence
+      .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+      .map((component) => component.id);
+  } else {
+    railSelection.anchorId = componentId;
+    railSelection.ids = [componentId];
+  }
+  const multiple = railSelection.ids.length > 1;
+  getRailElements().forEach((element) => {
+    element.classList.toggle("rail-component--selected", multiple && railSelection.ids.includes(element.dataset.id));
+  });
+}
+
+function clearRailSelection() {
+  railSelection.anchorId = null;
+  railSelection.ids = [];
+  getRailElements().forEach((element) => element.classList.remove("rail-component--selected"));
+}
+
+// First and last rail index of the selected components, or null.
+function getRailSelectionRange() {
+  const indices = railSelection.ids.map(getRailIndex).filter((index) => index !== -1);
+  if (!indices.length) return null;
+  return { start: Math.min(...indices), end: Math.max(...indices) };
+}
+
+// Group tiles show their combined matrix from the latest trace.
+function renderRailGroupMatrices(data) {
+  getGroupRuns(componentSequence).forEach(({ groupId, start, count }) => {
+    const slot = getRailGroupElement(groupId)?.querySelector(".rail-group__matrix");
+    if (!slot) return;
+    const { matrix } = combineComponentRange(data, start, count);
+    slot.replaceChildren(createMatrixElement(convertMatrixUnits(matrix, displayUnits)));
+  });
+}
+
+function announceRailChange(message) {
+  if (!railAnnouncer) return;
+  // Clearing first makes screen readers repeat an identical message.
+  railAnnouncer.textContent = "";
+  window.setTimeout(() => {
+    railAnnouncer.textContent = message;
+  }, 50);
+}
+
+function showContextMenu(x, y) {
+  hideRayContextMenu();
+  groupContextMenu.classList.add("hidden");
+  contextMenu.style.left = `${x}px`;
+  contextMenu.style.top = `${y}px`;
+  contextMenu.classList.remove("hidden");
+}
+
+// Hides the component menu and the group menu.
+function hideContextMenu() {
+  contextMenu.classList.add("hidden");
+  groupContextMenu.classList.add("hidden");
+  activeContextTarget = null;
+}
+
+function showGroupContextMenu(x, y, tile) {
+  hideContextMenu();
+  hideRayContextMenu();
+  activeContextTarget = tile;
+  const { collapsed } = railGroups.get(tile.parentNode.dataset.groupId);
+  groupContextMenu.querySelector('[data-action="toggle-group"]').textContent = collapsed ? "Expand" : "Collapse";
+  groupContextMenu.style.left = `${x}px`;
+  groupContextMenu.style.top = `${y}px`;
+  groupContextMenu.classList.remove("hidden");
+}
+
+function showRayContextMenu(x, y, index) {
+  hideContextMenu();
+  activeRayIndex = index;
+  rayContextMenu.style.left = `${x}px`;
+  rayContextMenu.style.top = `${y}px`;
+  rayContextMenu.classList.remove("hidden");
+}
+
+function hideRayContextMenu() {
+  rayContextMenu.classList.add("hidden");
+  if (modalMode !== "ray") {
+    activeRayIndex = null;
+  }
+}
+
+contextMenu.addEventListener("click", (evt) => {
+  const action = evt.target.dataset.action;
+  if (!action || !activeContextTarget) return;
+  const componentId = activeContextTarget.dataset.id;
+  const componentIndex = componentSequence.findIndex((c) => c.id === componentId);
+  if (componentIndex === -1) return;
+
+  if (action === "configure") {
+    openComponentModal(componentSequence[componentIndex]);
+  } else if (action === "solve") {
+    openSolverModal(componentSequence[componentIndex]);
+  } else if (action === "group") {
+    const range = getRailSelectionRange();
+    const inRange = range && componentIndex >= range.start && componentIndex <= range.end;
+    openGroupModal(inRange ? range : { start: componentIndex, end: componentIndex });
+  } else if (action === "remove") {
+    removeRailComponent(activeContextTarget);
+  }
+
+  hideContextMenu();
+});
+
+// Arrow keys walk the open context menu; Escape hands focus back to the item
+// the menu was opened on.
+[contextMenu, groupContextMenu, rayContextMenu].forEach((menu) => {
+  menu.addEventListener("keydown", (evt) => {
+    const buttons = [...menu.querySelectorAll("button")];
+    const index = buttons.indexOf(document.activeElement);
+    if (evt.key === "ArrowDown" || evt.key === "ArrowUp") {
+      evt.preventDefault();
+      const step = evt.key === "ArrowDown" ? 1 : -1;
+      buttons[(index + step + buttons.length) % buttons.length]?.focus();
+    } else if (evt.key === "Escape" && menu !== rayContextMenu) {
+      activeContextTarget?.focus();
+    }
+  });
+});
+
+groupContextMenu.addEventListener("click", (evt) => {
+  const action = evt.target.dataset.action;
+  const groupId = activeContextTarget?.parentNode.dataset.groupId;
+  if (!action || !railGroups.has(groupId)) return;
+
+  if (action === "toggle-group") {
+    setRailGroupCollapsed(groupId, !railGroups.get(groupId).collapsed);
+  } else if (action === "rename-group") {
+    openGroupModal({ groupId });
+  } else if (action === "save-group") {
+    saveGroupToToolbox(groupId);
+  } else if (action === "ungroup") {
+    ungroupRailGroup(groupId);
+  } else if (action === "remove-group") {
+    removeRailGroup(groupId);
+  }
+
+  hideContextMenu();
+});
+
+rayContextMenu.addEventListener("click", (evt) => {
+  const action = evt.target.dataset.action;
+  if (!action || activeRayIndex === null) return;
+  if (action === "configure-ray") {
+    openRayModal(activeRayIndex);
+  } else if (action === "remove-ray") {
+    removeRay(activeRayIndex);
+  }
+  hideRayContextMenu();
+});
+
+function addComponentToRail(type, initialParams = null, options = {}) {
+  const { skipUpdate = false, index = null } = options;
+  const definition = componentLibrary[type];
+  if (!definition) return;
+
+  const id = crypto.randomUUID();
+  const params = {};
+  Object.entries(definition.parameters).forEach(([name, config]) => {
+    if (initialParams && Object.prototype.hasOwnProperty.call(initialParams, name)) {
+      params[name] = initialParams[name];
+    } else {
+      params[name] = config.default ?? 0;
+    }
+  });
+
+  const component = { id, type, params };
+  if (isCustomType(type)) {
+    component.definition = cloneCustomDefinition(definition);
+  }
+  const position = index === null ? null : getRailInsertionIndex(index);
+  const next =
+    position === null || position >= componentSequence.length
+      ? null
+      : getComponentElement(componentSequence[position].id);
+  // Before the first member of a group means before the whole group.
+  const before = next?.closest(".rail-group") ?? next;
+  if (before) {
+    componentSequence.splice(position, 0, component);
+  } else {
+    componentSequence.push(component);
+  }
+
+  const fragment = componentTemplate.content.cloneNode(true);
+  const element = fragment.querySelector(".rail-component");
+  element.dataset.id = id;
+  element.dataset.type = type;
+  element.querySelector(".rail-component__label").textContent = definition.label;
+
+  enableComponentReorder(element);
+
+  opticalRail.insertBefore(fragment, before);
+  refreshRailPlaceholder();
+  if (!skipUpdate) {
+    updateOutputs();
+  }
+  return component;
+}
+
+function enableComponentReorder(element) {
+  element.addEventListener("pointerdown", (evt) => beginPointerDrag(evt, element, "component"));
+}
+
+// Pointer-event dragging shared by toolbox cards ("library" drags copy a new
+// component onto the rail), rail components and group tiles ("component" and
+// "group" drags reorder them among their siblings). Mouse, pen and touch all
+// go through the same path; a drag only starts once the pointer has moved a
+// few pixels so taps and clicks pass through.
+function beginPointerDrag(evt, element, kind) {
+  if (pointerDrag || !evt.isPrimary || evt.button !== 0) return;
+  pointerDrag = {
+    kind,
+    element,
+    pointerId: evt.pointerId,
+    startX: evt.clientX,
+    startY: evt.clientY,
+    active: false,
+    ghost: null,
+    marker: null,
+    originalIndex: kind === "library" ? -1 : getRailItemStart(element),
+    originalNext: element.nextElementSibling,
+    longPressTimer: null,
+  };
+  // Touch screens have no right click, so a long press opens the context menu.
+  if (kind !== "library" && evt.pointerType !== "mouse") {
+    pointerDrag.longPressTimer = window.setTimeout(() => {
+      endPointerDrag();
+      const box = element.getBoundingClientRect();
+      if (kind === "group") {
+        showGroupContextMenu(box.left, box.bottom, element.querySelector(".rail-group__tile"));
+      } else {
+        activeContextTarget = element;
+        showContextMenu(box.left, box.bottom);
+      }
+      // Lifting the finger may still produce a click, which must not close
+      // the menu it just opened.
+      longPressMenuOpen = true;
+    }, LONG_PRESS_MS);
+  }
+}
+
+function updatePointerDrag(evt) {
+  const drag = pointerDrag;
+  if (!drag || evt.pointerId !== drag.pointerId) return;
+  if (!drag.active) {
+    const distance = Math.hypot(evt.clientX - drag.startX, evt.clientY - drag.startY);
+    if (distance < DRAG_START_DISTANCE_PX) return;
+    activatePointerDrag(drag);
+  }
+  evt.preventDefault();
+  drag.ghost.style.left = `${evt.clientX}px`;
+  drag.ghost.style.top = `${evt.clientY}px`;
+
+  const box = opticalRail.getBoundingClientRect();
+  const overRail =
+    evt.clientX >= box.left &&
+    evt.clientX <= box.right &&
+    evt.clientY >= box.top &&
+    evt.clientY <= box.bottom;
+  opticalRail.classList.toggle("drag-over", overRail);
+
+  if (drag.kind === "library") {
+    if (overRail) {
+      placeRailNode(drag.marker, evt.clientX);
+    } else {
+      drag.marker.remove();
+    }
+  } else if (overRail && placeRailNode(drag.element, evt.clientX, drag.element.parentNode)) {
+    reorderSequenceFromDOM();
+    updateOutputs();
+  }
+}
+
+function activatePointerDrag(drag) {
+  clearTimeout(drag.longPressTimer);
+  hideContextMenu();
+  hideRayContextMenu();
+  drag.active = true;
+
+  const box = drag.element.getBoundingClientRect();
+  drag.ghost = drag.element.cloneNode(true);
+  ["tabindex", "role", "aria-label", "aria-describedby"].forEach((name) => {
+    drag.ghost.removeAttribute(name);
+  });
+  drag.ghost.querySelectorAll("[tabindex]").forEach((node) => node.removeAttribute("tabindex"));
+  drag.ghost.setAttribute("aria-hidden", "true");
+  drag.ghost.classList.add("drag-ghost");
+  drag.ghost.style.width = `${box.width}px`;
+  document.body.appendChild(drag.ghost);
+
+  if (drag.kind === "library") {
+    drag.marker = document.createElement("div");
+    drag.marker.className = "rail-drop-marker";
+  } else {
+    drag.element.classList.add("dragging");
+    reorderHistoryBaseline = captureHistoryState();
+  }
+}
+
+// Moves node into the gap nearest x among the items of container. Returns
+// whether anything moved.
+function placeRailNode(node, x, container = opticalRail) {
+  const afterElement = getDragAfterElement(container, x);
+  if (node.parentNode === container && node.nextElementSibling === afterElement) {
+    return false;
+  }
+  container.insertBefore(node, afterElement);
+  return true;
+}
+
+function finishPointerDrag(evt) {
+  const drag = pointerDrag;
+  if (!drag || evt.pointerId !== drag.pointerId) return;
+
+  if (drag.active && drag.kind === "library" && drag.marker.parentNode === opticalRail) {
+    const index = getRailElements().filter(
+      (element) => element.compareDocumentPosition(drag.marker) & Node.DOCUMENT_POSITION_FOLLOWING,
+    ).length;
+    endPointerDrag();
+    insertLibraryComponent(drag.element.dataset.type, index);
+    return;
+  }
+
+  endPointerDrag();
+  if (drag.active && drag.kind !== "library") {
+    const index = getRailItemStart(drag.element);
+    if (index !== drag.originalIndex) {
+      announceRailChange(
+        `Moved ${getRailItemLabel(drag.element)} to position ${index + 1} of ${componentSequence.length}.`,
+      );
+    }
+  }
+}
+
+// Tears down the current drag. All live reorders of one gesture collapse into
+// a single undo step; a reverted drag puts the item back first, so it records
+// nothing.
+function endPointerDrag({ revert = false } = {}) {
+  const drag = pointerDrag;
+  if (!drag) return;
+  pointerDrag = null;
+  clearTimeout(drag.longPressTimer);
+  opticalRail.classList.remove("drag-over");
+  drag.ghost?.remove();
+  drag.marker?.remove();
+  if (!drag.active || drag.kind === "library") return;
+
+  drag.element.classList.remove("dragging");
+  if (revert && drag.element.nextElementSibling !== drag.originalNext) {
+    drag.element.parentNode.insertBefore(drag.element, drag.originalNext);
+    reorderSequenceFromDOM();
+    updateOutputs();
+  }
+  if (reorderHistoryBaseline !== null) {
+    pushHistory("Reorder", reorderHistoryBaseline);
+    reorderHistoryBaseline = null;
+  }
+}
+
+function getDragAfterElement(container, x) {
+  const draggableElements = getRailItems(container).filter((child) => !child.classList.contains("dragging"));
+  let closest = { offset: Number.NEGATIVE_INFINITY, element: null };
+
+  draggableElements.forEach((child) => {
+    const box = child.getBoundingClientRect();
+    const offset = x - box.left - box.width / 2;
+    if (offset < 0 && offset > closest.offset) {
+      closest = { offset, element: child };
+    }
+  });
+
+  return closest.element;
+}
+
+function reorderSequenceFromDOM() {
+  const newOrder = [];
+  opticalRail.querySelectorAll(".rail-component").forEach((element) => {
+    const found = componentSequence.find((comp) => comp.id === element.dataset.id);
+    if (found) newOrder.push(found);
+  });
+  componentSequence = newOrder;
+}
+
+function refreshRailPlaceholder() {
+  const hasChildren = opticalRail.querySelector(".rail-component") !== null;
+  opticalRail.querySelector(".rail-placeholder")?.remove();
+  if (!hasChildren) {
+    const placeholder = document.createElement("p");
+    placeholder.className = "rail-placeholder";
+    placeholder.textContent = "Drag components here";
+    opticalRail.appendChild(placeholder);
+  }
+}
+
+function openComponentModal(component) {
+  hideRayContextMenu();
+  activeModalComponentId = component.id;
+  modalMode = "component";
+  modalTitle.textContent = `Configure ${componentLibrary[component.type].label}`;
+  modalForm.innerHTML = "";
+
+  Object.entries(componentLibrary[component.type].parameters).forEach(([name, config]) => {
+    const label = document.createElement("label");
+    label.textContent = withUnitLabel(name.replace(/_/g, " "), config.unit);
+
+    if (config.options) {
+      // Choice parameters (e.g. glass) store the index of the chosen option.
+      const select = document.createElement("select");
+      select.name = name;
+      config.options.forEach((text, value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === Math.round(Number(component.params[name]));
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+      modalForm.appendChild(label);
+      return;
+    }
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = name;
+    const display = (value) => toDisplayValue(value, config.unit, displayUnits);
+    if (config.min !== undefined) input.min = display(config.min);
+    if (config.max !== undefined) input.max = display(config.max);
+    if (config.step !== undefined) input.step = display(config.step);
+    input.value = display(component.params[name]);
+    input.addEventListener("input", () => {
+      input.removeAttribute("aria-invalid");
+      input.removeAttribute("aria-describedby");
+      label.querySelector(".modal-form__error")?.remove();
+    });
+
+    label.appendChild(input);
+    modalForm.appendChild(label);
+  });
+
+  if (componentLibrary[component.type].parameters.glass) {
+    const note = document.createElement("p");
+    note.className = "modal-form__note";
+    note.textContent =
+      `A catalog glass overrides the fixed refractive index; thin-lens focal lengths apply at ${REFERENCE_WAVELENGTH_NM} nm.`;
+    modalForm.appendChild(note);
+  }
+  if (isCustomType(component.type)) {
+    const [[A, B], [C, D]] = component.definition.matrix;
+    const note = document.createElement("p");
+    note.className = "modal-form__note";
+    note.textContent =
+      `M = [[${A}, ${B}], [${C}, ${D}]]. Edit the element from its card under Custom Elements to change the matrix.`;
+    modalForm.appendChild(note);
+  }
+
+  const message = document.createElement("p");
+  message.className = "modal-message hidden";
+  message.id = "component-message";
+  message.setAttribute("role", "alert");
+  modalForm.appendChild(message);
+
+  const index = getRailIndex(component.id);
+  showComponentErrors(
+    component,
+    traceErrors.filter((error) => error.component === index),
+    component.params,
+  );
+  showModal();
+}
+
+// Shows a component's problems in its open dialog: parameter problems under
+// their fields, in the display units, and anything else (such as a custom
+// matrix that cannot be evaluated) in a message below the form.
+function showComponentErrors(component, errors, params) {
+  modalForm.querySelectorAll(".modal-form__error").forEach((element) => element.remove());
+  modalForm.querySelectorAll("[aria-invalid]").forEach((field) => {
+    field.removeAttribute("aria-invalid");
+    field.removeAttribute("aria-describedby");
+  });
+  const { parameters } = componentLibrary[component.type];
+  const general = [];
+  errors.forEach((error) => {
+    const field = error.param ? modalForm.querySelector(`[name="${error.param}"]`) : null;
+    if (!field) {
+      general.push(error.message);
+      return;
+    }
+    if (field.hasAttribute("aria-invalid")) return;
+    const note = document.createElement("span");
+    note.className = "modal-form__error";
+    note.id = `component-error-${error.param}`;
+    note.textContent = describeParameterError(error, parameters[error.param], params[error.param]);
+    field.setAttribute("aria-invalid", "true");
+    field.setAttribute("aria-describedby", note.id);
+    field.closest("label").appendChild(note);
+  });
+  const message = modalForm.querySelector("#component-message");
+  message.textContent = general.join(" ");
+  message.classList.toggle("hidden", !general.length);
+}
+
+function describeParameterError(error, config, value) {
+  const display = (number) =>
+    `${toDisplayValue(number, config.unit, displayUnits)} ${getDisplayUnit(config.unit, displayUnits)}`.trim();
+  if (typeof value !== "number" || !Number.isFinite(value)) return "Enter a number.";
+  if (config.min !== undefined && value < config.min) return `Must be at least ${display(config.min)}.`;
+  if (config.max !== undefined && value > config.max) return `Must be at most ${display(config.max)}.`;
+  return error.message;
+}
+
+function openRayModal(index) {
+  hideContextMenu();
+  modalMode = "ray";
+  activeRayIndex = index;
+  const ray = rayState[index];
+  modalTitle.textContent = `Configure ${ray.label}`;
+  modalForm.innerHTML = "";
+
+  const nameLabel = document.createElement("label");
+  nameLabel.textContent = "Name";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.name = "label";
+  nameInput.required = true;
+  nameInput.maxLength = 40;
+  nameInput.value = ray.label;
+  nameLabel.appendChild(nameInput);
+  modalForm.appendChild(nameLabel);
+
+  const colorLabel = document.createElement("label");
+  colorLabel.textContent = "Color";
+  const colorInput = document.createElement("input");
+  colorInput.type = "color";
+  colorInput.name = "color";
+  colorInput.value = getRayColor(index);
+  colorLabel.appendChild(colorInput);
+  modalForm.appendChild(colorLabel);
+
+  const heightLabel = document.createElement("label");
+  heightLabel.textContent = withUnitLabel("Height", "mm");
+  const heightInput = document.createElement("input");
+  heightInput.type = "number";
+  heightInput.step = "0.1";
+  heightInput.name = "height";
+  heightInput.value = toDisplayValue(ray.height, "mm", displayUnits);
+  heightLabel.appendChild(heightInput);
+  modalForm.appendChild(heightLabel);
+
+  const angleLabel = document.createElement("label");
+  angleLabel.textContent = withUnitLabel("Angle", "rad");
+  const angleInput = document.createElement("input");
+  angleInput.type = "number";
+  angleInput.step = "any";
+  angleInput.name = "angle";
+  angleInput.value = toDisplayValue(ray.angle, "rad", displayUnits);
+  angleLabel.appendChild(angleInput);
+  modalForm.appendChild(angleLabel);
+
+  const wavelengthLabel = document.createElement("label");
+  wavelengthLabel.textContent = "Wavelength (nm)";
+  const wavelengthInput = document.createElement("input");
+  wavelengthInput.type = "number";
+  wavelengthInput.min = "1";
+  wavelengthInput.step = "1";
+  wavelengthInput.name = "wavelength_nm";
+  wavelengthInput.placeholder = `${REFERENCE_WAVELENGTH_NM} (reference)`;
+  wavelengthInput.value = ray.wavelength_nm ?? "";
+  wavelengthLabel.appendChild(wavelengthInput);
+  modalForm.appendChild(wavelengthLabel);
+
+  [
+    ["sagittal_height", "Sagittal height", "mm", "Same as height"],
+    ["sagittal_angle", "Sagittal angle", "rad", "Same as angle"],
+  ].forEach(([name, text, unit, placeholder]) => {
+    const label = document.createElement("label");
+    label.textContent = withUnitLabel(text, unit);
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "any";
+    input.name = name;
+    input.placeholder = placeholder;
+    input.value = ray[name] === undefined ? "" : toDisplayValue(ray[name], unit, displayUnits);
+    label.appendChild(input);
+    modalForm.appendChild(label);
+  });
+
+  const note = document.createElement("p");
+  note.className = "modal-form__note";
+  note.textContent =
+    "Rays with a wavelength are drawn in its spectral color. The sagittal launch is used by the tangential + sagittal view.";
+  modalForm.appendChild(note);
+
+  showModal();
+}
+
+function openRayGeneratorModal(kind = activeRayGenerator) {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "ray-generator";
+  activeRayGenerator = kind;
+  modalTitle.textContent = "Generate Rays";
+  modalForm.innerHTML = "";
+
+  const kindLabel = document.createElement("label");
+  kindLabel.textContent = "Bundle";
+  const kindSelect = document.createElement("select");
+  kindSelect.name = "kind";
+  Object.entries(RAY_GENERATORS).forEach(([key, generator]) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = generator.label;
+    option.selected = key === kind;
+    kindSelect.appendChild(option);
+  });
+  kindSelect.addEventListener("change", () => openRayGeneratorModal(kindSelect.value));
+  kindLabel.appendChild(kindSelect);
+  modalForm.appendChild(kindLabel);
+
+  RAY_GENERATORS[kind].fields.forEach((field) => {
+    const label = document.createElement("label");
+    label.textContent = withUnitLabel(field.label, field.unit);
+    const display = (value) => toDisplayValue(value, field.unit, displayUnits);
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = field.name;
+    input.required = true;
+    if (field.min !== undefined) input.min = display(field.min);
+    if (field.max !== undefined) input.max = display(field.max);
+    input.step = display(field.step);
+    input.value = display(field.value ?? getFirstElementDistance());
+    label.appendChild(input);
+    modalForm.appendChild(label);
+  });
+
+  const replaceLabel = document.createElement("label");
+  replaceLabel.className = "modal-form__toggle";
+  const replaceInput = document.createElement("input");
+  replaceInput.type = "checkbox";
+  replaceInput.name = "replace";
+  replaceInput.checked = true;
+  replaceLabel.appendChild(replaceInput);
+  replaceLabel.appendChild(document.createTextNode("Replace existing rays"));
+  modalForm.appendChild(replaceLabel);
+
+  showModal();
+  kindSelect.focus();
+}
+
+// Rays are read from a CSV file or pasted text; see parseRaysCsv() for the
+// columns it accepts.
+function openRayImportModal() {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "ray-import";
+  modalTitle.textContent = "Import Rays from CSV";
+  modalSave.textContent = "Import";
+  modalForm.innerHTML = "";
+
+  const fileLabel = document.createElement("label");
+  fileLabel.textContent = "File";
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".csv,text/csv,text/plain";
+  fileLabel.appendChild(fileInput);
+  modalForm.appendChild(fileLabel);
+
+  const textLabel = document.createElement("label");
+  textLabel.textContent = "CSV";
+  const textInput = document.createElement("textarea");
+  textInput.name = "csv";
+  textInput.rows = 8;
+  textInput.spellcheck = false;
+  textInput.placeholder = "label,height,angle,wavelength_nm\nAxis,0,0,\nMarginal,5,0,632.8";
+  textLabel.appendChild(textInput);
+  modalForm.appendChild(textLabel);
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    file.text().then((text) => {
+      textInput.value = text;
+    });
+  });
+
+  const note = document.createElement("p");
+  note.className = "modal-form__note";
+  note.textContent =
+    "Columns: label, height, angle and an optional wavelength_nm and color. A heading may give its " +
+    `unit, as in "height (cm)"; otherwise heights are in ${displayUnits.length} and angles in ` +
+    `${displayUnits.angle}. Exported final tables import as their input rays.`;
+  modalForm.appendChild(note);
+
+  const replaceLabel = document.createElement("label");
+  replaceLabel.className = "modal-form__toggle";
+  const replaceInput = document.createElement("input");
+  replaceInput.type = "checkbox";
+  replaceInput.name = "replace";
+  replaceInput.checked = true;
+  replaceLabel.appendChild(replaceInput);
+  replaceLabel.appendChild(document.createTextNode("Replace existing rays"));
+  modalForm.appendChild(replaceLabel);
+
+  const message = document.createElement("p");
+  message.className = "modal-message hidden";
+  message.id = "ray-import-message";
+  message.setAttribute("role", "alert");
+  modalForm.appendChild(message);
+
+  showModal();
+}
+
+// Returns true when the CSV held valid rays and they were added.
+function importRaysCsv(formData) {
+  const { rays, errors } = parseRaysCsv(String(formData.get("csv") ?? ""), displayUnits);
+  if (errors.length) {
+    const message = document.getElementById("ray-import-message");
+    message.textContent = errors.join(" ");
+    message.classList.remove("hidden");
+    return false;
+  }
+  withHistory(`Import ${rays.length} Rays`, () => {
+    if (formData.has("replace")) {
+      rayState.length = 0;
+    }
+    rays.forEach((ray) => rayState.push(ray));
+    updateOutputs();
+  });
+  showDesignStatus(`Imported ${rays.length} ${rays.length === 1 ? "ray" : "rays"}.`);
+  return true;
+}
+
+// Editor for custom elements. Its fields are read back into a draft of typed
+// text, so adding or removing a parameter row rebuilds the form without
+// losing anything that was entered.
+function openCustomComponentModal(type = null, draft = null) {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "custom";
+  activeCustomType = type;
+  const current = draft ?? getCustomDraft(type ? componentLibrary[type] : createCustomDefinition());
+  modalTitle.textContent = type ? `Edit ${componentLibrary[type].label}` : "New Custom Element";
+  modalForm.innerHTML = "";
+
+  const fields = document.createElement("div");
+  fields.className = "custom-editor";
+  modalForm.appendChild(fields);
+
+  const reopen = (edit) => {
+    const next = readCustomDraft(new FormData(modalForm));
+    edit(next);
+    const returnFocus = modalReturnFocus;
+    openCustomComponentModal(type, next);
+    modalReturnFocus = returnFocus;
+  };
+
+  const addText = (parent, name, text, value, attributes = {}) => {
+    const label = document.createElement("label");
+    label.textContent = text;
+    const input = document.createElement("input");
+    input.type = "text";
+    input.name = name;
+    input.value = value;
+    Object.assign(input, attributes);
+    label.appendChild(input);
+    parent.appendChild(label);
+    return input;
+  };
+
+  addText(fields, "label", "Name", current.label, { required: true, maxLength: 40 });
+  addText(fields, "description", "Description", current.description, { maxLength: 120 });
+
+  const parameterSet = document.createElement("fieldset");
+  parameterSet.className = "custom-editor__parameters";
+  const parameterLegend = document.createElement("legend");
+  parameterLegend.textContent = "Parameters (name, default, min, max, step, unit)";
+  parameterSet.appendChild(parameterLegend);
+  current.parameters.forEach((row, index) => {
+    const line = document.createElement("div");
+    line.className = "custom-editor__row";
+    [
+      ["param_name", "Name", row.name],
+      ["param_default", "Default", row.default],
+      ["param_min", "Min", row.min],
+      ["param_max", "Max", row.max],
+      ["param_step", "Step", row.step],
+    ].forEach(([name, text, value]) => {
+      const input = document.createElement("input");
+      input.name = name;
+      if (name === "param_name") {
+        input.type = "text";
+        input.required = true;
+        input.spellcheck = false;
+      } else {
+        input.type = "number";
+        input.step = "any";
+      }
+      input.value = value;
+      input.placeholder = text;
+      input.setAttribute("aria-label", `Parameter ${index + 1} ${text.toLowerCase()}`);
+      line.appendChild(input);
+    });
+    const unitSelect = document.createElement("select");
+    unitSelect.name = "param_unit";
+    unitSelect.setAttribute("aria-label", `Parameter ${index + 1} unit`);
+    CUSTOM_PARAMETER_UNITS.forEach((unit) => {
+      const option = document.createElement("option");
+      option.value = unit;
+      option.textContent = unit || "none";
+      option.selected = unit === row.unit;
+      unitSelect.appendChild(option);
+    });
+    line.appendChild(unitSelect);
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "workspace-action";
+    removeButton.textContent = "Remove";
+    removeButton.setAttribute("aria-label", `Remove parameter ${index + 1}`);
+    removeButton.addEventListener("click", () => reopen((next) => next.parameters.splice(index, 1)));
+    line.appendChild(removeButton);
+    parameterSet.appendChild(line);
+  });
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.className = "workspace-action";
+  addButton.textContent = "Add Parameter";
+  addButton.addEventListener("click", () => {
+    reopen((next) =>
+      next.parameters.push({ name: "", default: "0", min: "", max: "", step: "", unit: "" }),
+    );
+    [...modalForm.querySelectorAll('input[name="param_name"]')].pop()?.focus();
+  });
+  parameterSet.appendChild(addButton);
+  fields.appendChild(parameterSet);
+
+  const matrixSet = document.createElement("fieldset");
+  matrixSet.className = "custom-editor__matrix";
+  const matrixLegend = document.createElement("legend");
+  matrixLegend.textContent = "Matrix [[A, B], [C, D]] and offset [Δh, Δθ]";
+  matrixSet.appendChild(matrixLegend);
+  CUSTOM_MATRIX_ENTRIES.forEach(([name, row, column]) => {
+    addText(matrixSet, name, name, current.matrix[row][column], { required: true, spellcheck: false });
+  });
+  addText(matrixSet, "offset_height", "Δh", current.offset[0], { required: true, spellcheck: false });
+  addText(matrixSet, "offset_angle", "Δθ", current.offset[1], { required: true, spellcheck: false });
+  fields.appendChild(matrixSet);
+
+  const note = document.createElement("p");
+  note.className = "modal-form__note";
+  note.textContent =
+    "Values are in storage units (mm, rad, 1/mm) whatever the display units. Entries may use " +
+    "the parameters, numbers, pi, e, + − * / ^, parentheses and " +
+    `${Object.keys(EXPRESSION_FUNCTIONS).join(", ")}. ` +
+    "The matrix applies in both planes; the element has no thickness.";
+  fields.appendChild(note);
+
+  const determinant = document.createElement("p");
+  determinant.className = "modal-form__note";
+  determinant.id = "custom-determinant";
+  fields.appendChild(determinant);
+
+  const message = document.createElement("p");
+  message.className = "modal-message hidden";
+  message.id = "custom-message";
+  message.setAttribute("role", "alert");
+  fields.appendChild(message);
+
+  fields.addEventListener("input", checkCustomEditor);
+  fields.addEventListener("change", checkCustomEditor);
+  showModal();
+  checkCustomEditor();
+}
+
+function getCustomDraft(definition) {
+  const text = (value) => (value === undefined ? "" : String(value));
+  return {
+    label: definition.label,
+    description: definition.description ?? "",
+    parameters: Object.entries(definition.parameters).map(([name, config]) => ({
+      name,
+      default: text(config.default),
+      min: text(config.min),
+      max: text(config.max),
+      step: text(config.step),
+      unit: config.unit ?? "",
+    })),
+    matrix: definition.matrix.map((row) => row.map(String)),
+    offset: (definition.offset ?? ["0", "0"]).map(String),
+  };
+}
+
+function readCustomDraft(formData) {
+  const text = (name) => String(formData.get(name) ?? "").trim();
+  const column = (name) => formData.getAll(name).map((value) => String(value).trim());
+  const [defaults, mins, maxes, steps, units] = [
+    "param_default",
+    "param_min",
+    "param_max",
+    "param_step",
+    "param_unit",
+  ].map(column);
+  return {
+    label: text("label"),
+    description: text("description"),
+    parameters: column("param_name").map((name, index) => ({
+      name,
+      default: defaults[index],
+      min: mins[index],
+      max: maxes[index],
+      step: steps[index],
+      unit: units[index],
+    })),
+    matrix: [
+      [text("A"), text("B")],
+      [text("C"), text("D")],
+    ],
+    offset: [text("offset_height"), text("offset_angle")],
+  };
+}
+
+// The definition a draft describes, plus the problems a definition cannot
+// express: parameter rows without a name or with a repeated one.
+function buildCustomDefinition(draft) {
+  const errors = [];
+  const parameters = {};
+  draft.parameters.forEach((row, index) => {
+    if (!row.name) {
+      errors.push(`Parameter ${index + 1} needs a name.`);
+      return;
+    }
+    if (isReservedParameterName(row.name)) {
+      errors.push(`Parameter "${row.name}" is a reserved name.`);
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(parameters, row.name)) {
+      errors.push(`Parameter "${row.name}" is defined more than once.`);
+      return;
+    }
+    const config = {};
+    ["default", "min", "max", "step"].forEach((key) => {
+      if (row[key] !== "") config[key] = Number(row[key]);
+    });
+    config.unit = row.unit;
+    parameters[row.name] = config;
+  });
+  const definition = {
+    label: draft.label,
+    description: draft.description,
+    parameters,
+    matrix: draft.matrix,
+    offset: draft.offset,
+  };
+  return { definition, errors };
+}
+
+// Validates the editor's current contents and shows the determinant and any
+// problems as they are typed.
+function checkCustomEditor() {
+  const { definition, errors } = buildCustomDefinition(readCustomDraft(new FormData(modalForm)));
+  const check = errors.length
+    ? { errors, warnings: [], determinant: null }
+    : validateCustomDefinition(definition);
+  const determinant = document.getElementById("custom-determinant");
+  if (determinant) {
+    determinant.textContent =
+      check.determinant === null
+        ? "AD − BC cannot be evaluated yet."
+        : `AD − BC = ${formatSolverValue(check.determinant)} at the default values.`;
+  }
+  const message = document.getElementById("custom-message");
+  const problems = [...check.errors, ...check.warnings];
+  if (message) {
+    message.textContent = problems.join(" ");
+    message.classList.toggle("hidden", !problems.length);
+  }
+  return { definition, ...check };
+}
+
+// Returns true when the editor held a valid definition and it was saved.
+// Rail instances of an edited type take the new definition; parameters they
+// already had keep their values, clamped to the new limits.
+function saveCustomComponent() {
+  const { definition, errors } = checkCustomEditor();
+  if (errors.length) return false;
+  const creating = activeCustomType === null;
+  const type = creating
+    ? createCustomType(definition.label, Object.keys(componentLibrary))
+    : activeCustomType;
+
+  withHistory(`Edit ${definition.label}`, () => {
+    registerCustomComponent(type, definition);
+    const instances = componentSequence.filter((component) => component.type === type);
+    instances.forEach((component) => {
+      const params = {};
+      Object.entries(definition.parameters).forEach(([name, config]) => {
+        params[name] = Object.prototype.hasOwnProperty.call(component.params, name)
+          ? clamp(component.params[name], config.min ?? -Infinity, config.max ?? Infinity)
+          : config.default;
+      });
+      component.params = params;
+      component.definition = cloneCustomDefinition(definition);
+      const element = opticalRail.querySelector(`.rail-component[data-id="${component.id}"]`);
+      element.querySelector(".rail-component__label").textContent = definition.label;
+    });
+    if (instances.length) updateOutputs();
+  });
+  saveCustomComponents();
+  showDesignStatus(creating ? `Added ${definition.label} to the toolbox.` : `Updated ${definition.label}.`);
+  return true;
+}
+
+// Names a new group over a range of rail components ({ start, end }), or
+// renames the group groupId.
+function openGroupModal({ groupId = null, start = 0, end = start } = {}) {
+  hideRayContextMenu();
+  const group = groupId ? railGroups.get(groupId) : null;
+  modalMode = "group";
+  activeGroupId = groupId;
+  modalTitle.textContent = group ? `Rename ${group.label}` : "Group Components";
+  modalForm.innerHTML = "";
+
+  const nameLabel = document.createElement("label");
+  nameLabel.textContent = "Name";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.name = "label";
+  nameInput.required = true;
+  nameInput.value = group?.label ?? `Group ${railGroups.size + 1}`;
+  nameLabel.appendChild(nameInput);
+  modalForm.appendChild(nameLabel);
+
+  if (!group) {
+    const entries = componentSequence.map((component, index) => [
+      index,
+      `${index + 1}. ${componentLibrary[component.type]?.label ?? "Component"}`,
+    ]);
+    [
+      ["start", "From", start],
+      ["end", "To", end],
+    ].forEach(([name, text, selected]) => {
+      const label = document.createElement("label");
+      label.textContent = text;
+      const select = document.createElement("select");
+      select.name = name;
+      entries.forEach(([value, optionText]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = optionText;
+        option.selected = value === selected;
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+      modalForm.appendChild(label);
+    });
+  }
+
+  const message = document.createElement("p");
+  message.className = "modal-message hidden";
+  message.id = "group-message";
+  message.setAttribute("role", "alert");
+  modalForm.appendChild(message);
+
+  showModal();
+}
+
+// Returns true when the dialog held a valid name and range and the group was
+// created or renamed. Components can belong to only one group.
+function saveRailGroup(formData) {
+  const label = String(formData.get("label") ?? "").trim();
+  const message = document.getElementById("group-message");
+  const fail = (text) => {
+    message.textContent = text;
+    message.classList.remove("hidden");
+    return false;
+  };
+  if (!label) return fail("The group needs a name.");
+
+  if (activeGroupId !== null) {
+    const group = railGroups.get(activeGroupId);
+    if (!group) return true;
+    withHistory(`Rename ${group.label}`, () => {
+      group.label = label;
+      refreshRailGroup(activeGroupId);
+      updateOutputs();
+    });
+    return true;
+  }
+
+  const start = Number(formData.get("start"));
+  const end = Number(formData.get("end"));
+  if (end < start) return fail("The last component must not come before the first.");
+  if (componentSequence.slice(start, end + 1).some((component) => component.groupId)) {
+    return fail("Some of these components are already in a group. Ungroup them first.");
+  }
+  let groupId = null;
+  withHistory(`Group ${label}`, () => {
+    groupId = createRailGroup(start, end - start + 1, label);
+    updateOutputs();
+  });
+  clearRailSelection();
+  // The component the dialog was opened from is now hidden in the group.
+  modalReturnFocus = getRailGroupElement(groupId).querySelector(".rail-group__tile");
+  announceRailChange(`Grouped components ${start + 1} to ${end + 1} as ${label}.`);
+  return true;
+}
+
+function openGalleryModal() {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "gallery";
+  modalTitle.textContent = "Preset Gallery";
+  modalSave.textContent = "Load";
+  modalForm.innerHTML = "";
+
+  const list = document.createElement("div");
+  list.className = "gallery-list";
+  list.setAttribute("role", "radiogroup");
+  list.setAttribute("aria-label", "Presets");
+  DESIGN_PRESETS.forEach((preset, index) => {
+    const option = document.createElement("label");
+    option.className = "gallery-option";
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "preset";
+    input.value = preset.id;
+    input.checked = index === 0;
+    const title = document.createElement("strong");
+    title.textContent = preset.label;
+    const description = document.createElement("span");
+    description.textContent = preset.description;
+    option.append(input, title, description);
+    // Double clicking a preset loads it straight away.
+    option.addEventListener("dblclick", () => modalForm.requestSubmit());
+    list.appendChild(option);
+  });
+  modalForm.appendChild(list);
+
+  const note = document.createElement("p");
+  note.className = "modal-form__note";
+  note.textContent = "Loading a preset replaces the current design; Undo brings it back.";
+  modalForm.appendChild(note);
+
+  showModal();
+}
+
+function openSolverModal(component, options = {}) {
+  hideRayContextMenu();
+  const definition = componentLibrary[component.type];
+  const paramNames = getContinuousParams(definition);
+  const param = options.param ?? paramNames[0];
+  const goal = options.goal ?? "imaging";
+  const config = definition.parameters[param];
+  const current = Number(component.params[param]);
+  const span = Math.max(Math.abs(current) * 10, 100);
+
+  activeModalComponentId = component.id;
+  modalMode = "solver";
+  modalTitle.textContent = `Solve ${definition.label}`;
+  modalForm.innerHTML = "";
+
+  const reopen = (overrides) => {
+    const formData = new FormData(modalForm);
+    openSolverModal(component, {
+      param: formData.get("param"),
+      goal: formData.get("goal"),
+      rayIndex: Number(formData.get("ray") ?? 0),
+      target: formData.get("target") ?? undefined,
+      ...overrides,
+    });
+  };
+
+  const addSelect = (name, text, entries, selected) => {
+    const label = document.createElement("label");
+    label.textContent = text;
+    const select = document.createElement("select");
+    select.name = name;
+    entries.forEach(([value, optionText]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = optionText;
+      option.selected = String(value) === String(selected);
+      select.appendChild(option);
+    });
+    label.appendChild(select);
+    modalForm.appendChild(label);
+    return select;
+  };
+
+  const addNumber = (name, text, value, limits = {}) => {
+    const label = document.createElement("label");
+    label.textContent = text;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = name;
+    input.required = true;
+    input.step = "any";
+    if (limits.min !== undefined) input.min = limits.min;
+    if (limits.max !== undefined) input.max = limits.max;
+    input.value = value;
+    label.appendChild(input);
+    modalForm.appendChild(label);
+    return input;
+  };
+
+  const paramSelect = addSelect(
+    "param",
+    "Variable parameter",
+    paramNames.map((name) => [name, name.replace(/_/g, " ")]),
+    param,
+  );
+  paramSelect.addEventListener("change", () => reopen({ param: paramSelect.value }));
+
+  const goalSelect = addSelect(
+    "goal",
+    "Goal",
+    Object.entries(SOLVER_GOALS).map(([key, entry]) => [key, entry.label]),
+    goal,
+  );
+  goalSelect.addEventListener("change", () => reopen({ goal: goalSelect.value }));
+
+  if (SOLVER_GOALS[goal].needsRay) {
+    addSelect(
+      "ray",
+      "Ray",
+      rayState.map((ray, index) => [index, ray.label]),
+      options.rayIndex ?? 0,
+    );
+  }
+  if (SOLVER_GOALS[goal].needsTarget) {
+    addNumber(
+      "target",
+      withUnitLabel("Target value", SOLVER_GOALS[goal].unit),
+      options.target ?? (goal === "magnification" ? -1 : 0),
+    );
+  }
+
+  const display = (value) => (value === undefined ? undefined : toDisplayValue(value, config.unit, displayUnits));
+  const limits = { min: display(config.min), max: display(config.max) };
+  addNumber("lower", withUnitLabel("Search from", config.unit), display(config.min ?? current - span), limits);
+  addNumber("upper", withUnitLabel("Search to", config.unit), display(config.max ?? current + span), limits);
+
+  const message = document.createElement("p");
+  message.className = "modal-message hidden";
+  message.id = "solver-message";
+  message.setAttribute("role", "alert");
+  modalForm.appendChild(message);
+
+  showModal();
+}
+
+// Residual for the chosen goal as a function of the variable parameter. The
+// rail is copied for every evaluation so the live design is never touched.
+function buildSolverResidual(componentId, param, goal, rayIndex, target) {
+  const rays = SOLVER_GOALS[goal].needsRay ? [rayState[rayIndex]] : [];
+  return (value) => {
+    const components = componentSequence.map((component) =>
+      component.id === componentId
+        ? { ...component, params: { ...component.params, [param]: value } }
+        : component,
+    );
+    const result = computeOpticalPath(components, rays);
+    const [[, B], [C]] = result.total_matrix;
+    if (goal === "imaging") return B;
+    if (goal === "collimate") return C;
+    const ray = result.propagated_rays[0] && getPrimaryBranch(result.propagated_rays[0]);
+    if (ray?.blocked || ray?.evanescent) return Number.NaN;
+    if (goal === "ray_height") return ray.height - target;
+    if (goal === "ray_angle") return ray.angle - target;
+    const image = computeImage(
+      result.total_matrix,
+      getRailLength(components),
+      analysisState.objectDistance,
+    );
+    return image.atInfinity ? Number.NaN : image.lateralMagnification - target;
+  };
+}
+
+// Returns true when the solver found a value and applied it to the rail.
+function runSolver(formData) {
+  const component = componentSequence.find((c) => c.id === activeModalComponentId);
+  const message = document.getElementById("solver-message");
+  if (!component) return false;
+  const definition = componentLibrary[component.type];
+  const param = formData.get("param");
+  const goal = formData.get("goal");
+  const config = definition.parameters[param];
+  if (!config || !SOLVER_GOALS[goal]) return false;
+
+  const rayIndex = Number(formData.get("ray") ?? 0);
+  const target = fromDisplayValue(Number(formData.get("target") ?? 0), SOLVER_GOALS[goal].unit, displayUnits);
+  let lower = fromDisplayValue(Number(formData.get("lower")), config.unit, displayUnits);
+  let upper = fromDisplayValue(Number(formData.get("upper")), config.unit, displayUnits);
+  if (config.min !== undefined) lower = Math.max(lower, config.min);
+  if (config.max !== undefined) upper = Math.min(upper, config.max);
+
+  const showFailure = (text) => {
+    message.textContent = text;
+    message.classList.remove("hidden");
+  };
+  if (SOLVER_GOALS[goal].needsRay && !rayState[rayIndex]) {
+    showFailure("Choose a ray for this goal.");
+    return false;
+  }
+  if (!Number.isFinite(target)) {
+    showFailure("Enter a numeric target value.");
+    return false;
+  }
+
+  const outcome = solveParameter({
+    evaluate: buildSolverResidual(component.id, param, goal, rayIndex, target),
+    lower,
+    upper,
+    initial: Number(component.params[param]),
+  });
+  const paramLabel = param.replace(/_/g, " ");
+  const unit = getDisplayUnit(config.unit, displayUnits);
+  const formatParam = (value) =>
+    `${formatSolverValue(toDisplayValue(value, config.unit, displayUnits))}${unit ? ` ${unit}` : ""}`;
+  if (!outcome.solved) {
+    const closest = outcome.closest
+      ? ` Closest approach: ${paramLabel} = ${formatParam(outcome.closest.x)} leaves a residual of ${formatSolverValue(outcome.closest.g)}.`
+      : "";
+    showFailure(`${outcome.reason}${closest}`);
+    return false;
+  }
+
+  withHistory(`Solve ${definition.label}`, () => {
+    component.params[param] = outcome.value;
+    updateOutputs();
+  });
+  const others = outcome.alternatives
+    ? ` ${outcome.alternatives} other solution(s) exist in range; the one nearest the previous value was used.`
+    : "";
+  showDesignStatus(
+    `Solved: ${definition.label} ${paramLabel} = ${formatParam(outcome.value)}.${others}`,
+  );
+  return true;
+}
+
+// Distance from the rail start to the first element that is not free space,
+// used as the default aperture distance for marginal/chief rays.
+function getFirstElementDistance() {
+  let distance = 0;
+  for (const component of componentSequence) {
+    if (component.type !== "free_space") return distance || DEFAULT_FREE_SPACE_LENGTH;
+    distance += Math.max(Number(component.params.length) || 0, 0);
+  }
+  return DEFAULT_FREE_SPACE_LENGTH;
+}
+
+function addRay() {
+  const index = rayState.length;
+  let number = index + 1;
+  while (rayState.some((ray) => ray.label === `Ray ${number}`)) {
+    number += 1;
+  }
+  withHistory("Add Ray", () => {
+    rayState.push({ label: `Ray ${number}`, height: 0, angle: 0, color: getRayColor(index) });
+    updateOutputs();
+  });
+  openRayModal(index);
+}
+
+function removeRay(index) {
+  const ray = rayState[index];
+  if (!ray) return;
+  withHistory(`Remove ${ray.label}`, () => {
+    rayState.splice(index, 1);
+    updateOutputs();
+  });
+}
+
+function openFigureExportModal() {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "figure-export";
+  modalTitle.textContent = "Export Figure";
+  modalForm.innerHTML = "";
+
+  const formatLabel = document.createElement("label");
+  formatLabel.textContent = "Format";
+  const formatSelect = document.createElement("select");
+  formatSelect.name = "format";
+  [
+    ["png", "PNG image"],
+    ["svg", "SVG vector graphics"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    formatSelect.appendChild(option);
+  });
+  formatLabel.appendChild(formatSelect);
+  modalForm.appendChild(formatLabel);
+
+  const rect = visualizationCanvas?.getBoundingClientRect();
+  [
+    { name: "width", label: "Figure width (px)", value: Math.round(rect?.width || 960), min: 320, max: 4000 },
+    { name: "height", label: "Diagram height (px)", value: Math.round(rect?.height || 260), min: 160, max: 3000 },
+    { name: "scale", label: "PNG resolution multiplier", value: 2, min: 1, max: 8 },
+  ].forEach((field) => {
+    const label = document.createElement("label");
+    label.textContent = field.label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = field.name;
+    input.required = true;
+    input.min = field.min;
+    input.max = field.max;
+    input.step = 1;
+    input.value = field.value;
+    label.appendChild(input);
+    modalForm.appendChild(label);
+  });
+
+  [
+    { name: "legend", label: "Include ray legend", checked: true },
+    { name: "table", label: "Include M_total and ray results table", checked: false },
+    { name: "transparent", label: "Transparent background", checked: false },
+  ].forEach((field) => {
+    const label = document.createElement("label");
+    label.className = "modal-form__toggle";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.name = field.name;
+    input.checked = field.checked;
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(field.label));
+    modalForm.appendChild(label);
+  });
+
+  showModal();
+}
+
+function exportFigure(formData) {
+  const data = lastTraceResult;
+  if (!data) return;
+  const options = {
+    width: clamp(Number(formData.get("width")) || 960, 320, 4000),
+    plotHeight: clamp(Number(formData.get("height")) || 260, 160, 3000),
+    includeLegend: formData.has("legend"),
+    includeTable: formData.has("table"),
+    transparent: formData.has("transparent"),
+  };
+
+  if (formData.get("format") === "svg") {
+    const measure = createSvgContext(options.width, 0);
+    const totalHeight = measureFigureHeight(measure, data, options);
+    const svg = createSvgContext(options.width, totalHeight);
+    drawFigure(svg, data, options);
+    downloadFile(svg.toSVG(), "ray-diagram.svg", "image/svg+xml");
+    return;
+  }
+
+  const scale = clamp(Math.round(Number(formData.get("scale")) || 1), 1, 8);
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+  const totalHeight = measureFigureHeight(ctx, data, options);
+  canvas.width = Math.round(options.width * scale);
+  canvas.height = Math.round(totalHeight * scale);
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  drawFigure(ctx, data, options);
+  canvas.toBlob((blob) => {
+    if (blob) downloadFile(blob, "ray-diagram.png", "image/png");
+  }, "image/png");
+}
+
+function openResultsExportModal() {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "results-export";
+  modalTitle.textContent = "Export Results";
+  modalSave.textContent = "Export";
+  modalForm.innerHTML = "";
+
+  const tableLabel = document.createElement("label");
+  tableLabel.textContent = "Table";
+  const tableSelect = document.createElement("select");
+  tableSelect.name = "table";
+  [
+    ["final", "Final state of each ray"],
+    ["history", "State after every component"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    tableSelect.appendChild(option);
+  });
+  tableLabel.appendChild(tableSelect);
+  modalForm.appendChild(tableLabel);
+
+  const note = document.createElement("p");
+  note.className = "modal-form__note";
+  note.textContent =
+    `Heights are in ${displayUnits.length} and angles in ${displayUnits.angle}. Rays split by a ` +
+    "grating get a row per propagating order. Only the tangential plane is exported.";
+  modalForm.appendChild(note);
+
+  const message = document.createElement("p");
+  message.className = "modal-message hidden";
+  message.id = "results-export-message";
+  message.setAttribute("role", "alert");
+  modalForm.appendChild(message);
+
+  showModal();
+}
+
+// Returns true when the results were traced and downloaded. The design is
+// traced afresh in the tangential plane, whatever the view shows.
+function exportRayResults(formData) {
+  const table = formData.get("table") === "history" ? "history" : "final";
+  const message = document.getElementById("results-export-message");
+  const fail = (text) => {
+    message.textContent = text;
+    message.classList.remove("hidden");
+    return false;
+  };
+  if (traceErrors.length) return fail("The design has errors; fix the marked components first.");
+  if (!rayState.length) return fail("There are no rays to export.");
+  let data;
+  try {
+    data = computeOpticalPath(componentSequence, rayState);
+  } catch (err) {
+    return fail(err.message);
+  }
+  const csv = rayTableToCsv(buildRayTable(table, data, rayState, componentSequence, displayUnits));
+  downloadFile(csv, `ray-${table}.csv`, "text/csv");
+  return true;
+}
+
+// Figure layout: the ray diagram on top, then the legend, then the optional
+// results table. Heights depend on text metrics, so they are measured first.
+function measureFigureHeight(ctx, data, options) {
+  let total = options.plotHeight;
+  if (options.includeLegend) {
+    total += layoutFigureLegend(ctx, options.width).height;
+  }
+  if (options.includeTable) {
+    total += getFigureTableRows(data).length * 18 + 24;
+  }
+  return Math.ceil(total);
+}
+
+function drawFigure(ctx, data, options) {
+  const totalHeight = measureFigureHeight(ctx, data, options);
+  if (!options.transparent) {
+    ctx.save();
+    ctx.fillStyle = FIGURE_BACKGROUND;
+    ctx.fillRect(0, 0, options.width, totalHeight);
+    ctx.restore();
+  }
+
+  drawVisualization(ctx, options.width, options.plotHeight, data);
+  let offsetY = options.plotHeight;
+
+  if (options.includeLegend) {
+    const legend = layoutFigureLegend(ctx, options.width);
+    ctx.save();
+    ctx.translate(0, offsetY);
+    ctx.font = FIGURE_FONT;
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    legend.items.forEach((item) => {
+      ctx.fillStyle = item.color;
+      ctx.beginPath();
+      ctx.arc(item.x + 6, item.y, 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = FIGURE_TEXT_COLOR;
+      ctx.fillText(item.text, item.x + 16, item.y);
+    });
+    ctx.restore();
+    offsetY += legend.height;
+  }
+
+  if (options.includeTable) {
+    const rows = getFigureTableRows(data);
+    const columns = [16, Math.max(options.width * 0.35, 180), Math.max(options.width * 0.65, 340)];
+    ctx.save();
+    ctx.translate(0, offsetY + 12);
+    ctx.font = FIGURE_MONO_FONT;
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    rows.forEach((row, rowIndex) => {
+      ctx.fillStyle = row.heading ? "#69d2ff" : FIGURE_TEXT_COLOR;
+      row.cells.forEach((cell, cellIndex) => {
+        ctx.fillText(cell, columns[cellIndex], rowIndex * 18 + 9);
+      });
+    });
+    ctx.restore();
+  }
+}
+
+function layoutFigureLegend(ctx, width) {
+  ctx.save();
+  ctx.font = FIGURE_FONT;
+  const items = [];
+  let x = 16;
+  let y = 16;
+  rayState.forEach((ray, index) => {
+    const text = ray.label;
+    const itemWidth = 16 + ctx.measureText(text).width + 18;
+    if (x + itemWidth > width - 16 && x > 16) {
+      x = 16;
+      y += 20;
+    }
+    items.push({ x, y, text, color: getRayColor(index) });
+    x += itemWidth;
+  });
+  ctx.restore();
+  return { items, height: items.length ? y + 14 : 0 };
+}
+
+function getFigureTableRows(data) {
+  const [[a, b], [c, d]] = convertMatrixUnits(data.total_matrix, displayUnits);
+  const [offsetHeight, offsetAngle] = convertOffsetUnits(data.total_offset, displayUnits);
+  const format = (value) => Number(value).toFixed(4);
+  const rows = [
+    {
+      heading: true,
+      cells: ["M_total", "[A B; C D]", `Offset (Δx ${displayUnits.length}, Δθ ${displayUnits.angle})`],
+    },
+    {
+      cells: [
+        "",
+        `[${format(a)} ${format(b)}; ${format(c)} ${format(d)}]`,
+        `(${format(offsetHeight)}, ${format(offsetAngle)})`,
+      ],
+    },
+    {
+      heading: true,
+      cells: ["Ray", withUnitLabel("Final height", "mm"), withUnitLabel("Final angle", "rad")],
+    },
+  ];
+  data.propagated_rays.forEach((ray, index) => {
+    flattenRayBranches(ray)
+      .filter(({ node }) => !node.branches.length)
+      .forEach(({ node, orders }) => {
+        const label = describeRayBranch(index, orders);
+        let cells;
+        if (node.propagating === false) {
+          cells = [label, describeEvanescentOrder(node), ""];
+        } else if (node.blocked) {
+          cells = [label, describeBlockedRay(node), ""];
+        } else {
+          cells = [
+            label,
+            format(toDisplayValue(node.height, "mm", displayUnits)),
+            format(toDisplayValue(node.angle, "rad", displayUnits)),
+          ];
+        }
+        rows.push({ cells });
+      });
+  });
+  return rows;
+}
+
+function openBeamModal() {
+  hideContextMenu();
+  hideRayContextMenu();
+  modalMode = "beam";
+  modalTitle.textContent = "Configure Gaussian Beam";
+  modalForm.innerHTML = "";
+
+  const enabledLabel = document.createElement("label");
+  enabledLabel.className = "modal-form__toggle";
+  const enabledInput = document.createElement("input");
+  enabledInput.type = "checkbox";
+  enabledInput.name = "enabled";
+  enabledInput.checked = beamState.enabled;
+  enabledLabel.appendChild(enabledInput);
+  enabledLabel.appendChild(document.createTextNode("Trace Gaussian beam"));
+  modalForm.appendChild(enabledLabel);
+
+  [
+    { name: "waistRadius", label: "Waist radius w₀", min: 0.001, max: MAX_BEAM_WAIST_RADIUS, step: 0.01, unit: "mm" },
+    { name: "waistPosition", label: "Waist position from rail start", step: 1, unit: "mm" },
+    {
+      name: "wavelengthNm",
+      label: "Wavelength (nm)",
+      min: BEAM_WAVELENGTH_RANGE_NM[0],
+      max: BEAM_WAVELENGTH_RANGE_NM[1],
+      step: 1,
+    },
+  ].forEach((field) => {
+    const label = document.createElement("label");
+    label.textContent = withUnitLabel(field.label, field.unit);
+    const display = (value) => toDisplayValue(value, field.unit, displayUnits);
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = field.name;
+    if (field.min !== undefined) input.min = display(field.min);
+    if (field.max !== undefined) input.max = display(field.max);
+    input.step = display(field.step);
+    input.value = display(beamState[field.name]);
+    label.appendChild(input);
+    modalForm.appendChild(label);
+  });
+
+  showModal();
+}
+
+modalForm.addEventListener("submit", (evt) => {
+  evt.preventDefault();
+  const formData = new FormData(modalForm);
+
+  if (modalMode === "component" && activeModalComponentId) {
+    const component = componentSequence.find((c) => c.id === activeModalComponentId);
+    if (!component) return;
+    const { parameters } = componentLibrary[component.type];
+    const params = { ...component.params };
+    formData.forEach((value, key) => {
+      const number = String(value).trim() ? Number(value) : NaN;
+      params[key] = fromDisplayValue(number, parameters[key]?.unit, displayUnits);
+    });
+    const problems = validateTraceComponent({ ...component, params }, getRailIndex(component.id), componentLibrary);
+    if (problems.length) {
+      showComponentErrors(component, problems, params);
+      return;
+    }
+    withHistory(`Edit ${componentLibrary[component.type].label}`, () => {
+      Object.assign(component.params, params);
+      updateOutputs();
+    });
+  } else if (modalMode === "ray" && activeRayIndex !== null) {
+    const height = fromDisplayValue(Number(formData.get("height")), "mm", displayUnits);
+    const angle = fromDisplayValue(Number(formData.get("angle")), "rad", displayUnits);
+    const label = String(formData.get("label") ?? "").trim();
+    const wavelengthText = String(formData.get("wavelength_nm") ?? "").trim();
+    const wavelengthNm = wavelengthText ? Number(wavelengthText) : null;
+    const sagittal = [
+      ["sagittal_height", "mm"],
+      ["sagittal_angle", "rad"],
+    ].map(([name, unit]) => {
+      const text = String(formData.get(name) ?? "").trim();
+      return [name, text ? fromDisplayValue(Number(text), unit, displayUnits) : null];
+    });
+    if (!Number.isFinite(height) || !Number.isFinite(angle) || !label) return;
+    if (wavelengthNm !== null && !(wavelengthNm > 0)) return;
+    if (sagittal.some(([, value]) => value !== null && !Number.isFinite(value))) return;
+    const ray = rayState[activeRayIndex];
+    withHistory(`Edit ${ray.label}`, () => {
+      ray.label = label;
+      ray.color = String(formData.get("color"));
+      ray.height = height;
+      ray.angle = angle;
+      if (wavelengthNm === null) {
+        delete ray.wavelength_nm;
+      } else {
+        ray.wavelength_nm = wavelengthNm;
+      }
+      sagittal.forEach(([name, value]) => {
+        if (value === null) {
+          delete ray[name];
+        } else {
+          ray[name] = value;
+        }
+      });
+      renderRayLegend();
+      updateOutputs();
+    });
+  } else if (modalMode === "figure-export") {
+    exportFigure(formData);
+  } else if (modalMode === "results-export") {
+    if (!exportRayResults(formData)) return;
+  } else if (modalMode === "ray-import") {
+    if (!importRaysCsv(formData)) return;
+  } else if (modalMode === "solver") {
+    if (!runSolver(formData)) return;
+  } else if (modalMode === "custom") {
+    if (!saveCustomComponent()) return;
+  } else if (modalMode === "group") {
+    if (!saveRailGroup(formData)) return;
+  } else if (modalMode === "gallery") {
+    loadDesignPreset(formData.get("preset"));
+  } else if (modalMode === "ray-generator") {
+    const generator = RAY_GENERATORS[formData.get("kind")];
+    if (!generator) return;
+    const options = {};
+    for (const field of generator.fields) {
+      const value = fromDisplayValue(Number(formData.get(field.name)), field.unit, displayUnits);
+      if (!Number.isFinite(value)) return;
+      options[field.name] = value;
+    }
+    const rays = generator.generate(options);
+    withHistory(`Generate ${generator.label}`, () => {
+      if (formData.has("replace")) {
+        rayState.length = 0;
+      }
+      rays.forEach((ray) => rayState.push(ray));
+      updateOutputs();
+    });
+  } else if (modalMode === "beam") {
+    const waistRadius = fromDisplayValue(Number(formData.get("waistRadius")), "mm", displayUnits);
+    const waistPosition = fromDisplayValue(Number(formData.get("waistPosition")), "mm", displayUnits);
+    const wavelengthNm = Number(formData.get("wavelengthNm"));
+    if (![waistRadius, waistPosition, wavelengthNm].every(Number.isFinite)) return;
+    if (waistRadius <= 0 || waistRadius > MAX_BEAM_WAIST_RADIUS) return;
+    if (wavelengthNm < BEAM_WAVELENGTH_RANGE_NM[0] || wavelengthNm > BEAM_WAVELENGTH_RANGE_NM[1]) return;
+    withHistory("Edit Gaussian Beam", () => {
+      beamState.enabled = formData.has("enabled");
+      beamState.waistRadius = waistRadius;
+      beamState.waistPosition = waistPosition;
+      beamState.wavelengthNm = wavelengthNm;
+      updateOutputs();
+    });
+  }
+  hideModal();
+});
+
+modalClose.addEventListener("click", hideModal);
+modalCancel.addEventListener("click", hideModal);
+
+function showModal() {
+  // Actions picked from a context menu return focus to the item it was
+  // opened on rather than to the (by then hidden) menu button.
+  const active = document.activeElement;
+  modalReturnFocus = active?.closest?.(".context-menu") ? activeContextTarget : active;
+  modalBackdrop.classList.remove("hidden");
+  modalForm.querySelector("input, select, textarea")?.focus();
+}
+
+function hideModal() {
+  const wasOpen = !modalBackdrop.classList.contains("hidden");
+  modalBackdrop.classList.add("hidden");
+  activeModalComponentId = null;
+  activeCustomType = null;
+  activeGroupId = null;
+  activeRayIndex = null;
+  modalMode = null;
+  modalSave.textContent = "Save";
+  if (wasOpen && modalReturnFocus?.isConnected) {
+    modalReturnFocus.focus();
+  }
+  modalReturnFocus = null;
+}
+
+function updateOutputs() {
+  refreshRailLabels();
+  renderRayLegend();
+  scheduleAutosave();
+  refreshSweepControls();
+  traceRequestId += 1;
+  const requestId = traceRequestId;
+
+  const hadErrors = traceErrors.length > 0;
+  traceErrors = validateTraceRequest(
+    { components: componentSequence, rays: rayState, beam: getBeamPayload(), two_plane: viewState.twoPlane },
+    componentLibrary,
+  );
+  markInvalidComponents();
+  if (traceErrors.length) {
+    showDesignStatus("The design could not be traced.", traceErrors.map(describeTraceError), "error");
+    return;
+  }
+  if (hadErrors && designStatus?.classList.contains("design-status--error")) {
+    hideDesignStatus();
+  }
+
+  if (shouldTraceInWorker()) {
+    getTraceWorker().postMessage({
+      id: requestId,
+      components: componentSequence,
+      rays: rayState,
+      beam: getBeamPayload(),
+      twoPlane: viewState.twoPlane,
+    });
+    return;
+  }
+
+  try {
+    applyTraceResult(
+      requestId,
+      viewState.twoPlane
+        ? computeTwoPlanePath(componentSequence, rayState, getBeamPayload())
+        : computeOpticalPath(componentSequence, rayState, getBeamPayload()),
+    );
+  } catch (err) {
+    reportTraceError(requestId, err.message);
+  }
+}
+
+// Designs that fail validateTraceRequest() are not traced at all; anything
+// the trace itself still throws is reported here. Either way the last good
+// result stays drawn.
+function reportTraceError(requestId, message) {
+  if (requestId !== traceRequestId) return;
+  showDesignStatus("The design could not be traced.", [message], "error");
+}
+
+// "Component 2 (Positive Lens): focal_length=0 is below the minimum 1."
+function describeTraceError(error) {
+  if (error.component !== undefined) {
+    const label = componentLibrary[componentSequence[error.component]?.type]?.label ?? "Component";
+    return `Component ${error.component + 1} (${label}): ${error.message}`;
+  }
+  if (error.ray !== undefined) {
+    return `${rayState[error.ray]?.label ?? `Ray ${error.ray + 1}`}: ${error.message}`;
+  }
+  return error.message;
+}
+
+// Marks the rail components named in traceErrors, and the tiles of groups
+// holding one, with their problems as a tooltip.
+function markInvalidComponents() {
+  opticalRail
+    .querySelectorAll(".rail-component--invalid, .rail-group__tile--invalid")
+    .forEach((element) => {
+      element.classList.remove("rail-component--invalid", "rail-group__tile--invalid");
+      element.removeAttribute("aria-invalid");
+      element.removeAttribute("title");
+    });
+  componentSequence.forEach((component, index) => {
+    const problems = traceErrors.filter((error) => error.component === index);
+    if (!problems.length) return;
+    const title = problems.map((error) => error.message).join("\n");
+    const element = getComponentElement(component.id);
+    element?.classList.add("rail-component--invalid");
+    element?.setAttribute("aria-invalid", "true");
+    element?.setAttribute("title", title);
+    const tile = component.groupId ? getRailGroupElement(component.groupId)?.querySelector(".rail-group__tile") : null;
+    if (tile) {
+      tile.classList.add("rail-group__tile--invalid");
+      tile.setAttribute("aria-invalid", "true");
+      const described = problems.map(describeTraceError).join("\n");
+      tile.setAttribute("title", [tile.title, described].filter(Boolean).join("\n"));
+    }
+  });
+}
+
+function applyTraceResult(requestId, data) {
+  // A newer edit has already been traced; drop the stale result.
+  if (requestId !== traceRequestId) return;
+  lastTraceResult = data;
+  renderMatrixOutput(data);
+  renderRailGroupMatrices(data);
+  renderRayOutput(data);
+  renderBeamOutput(data);
+  renderAnalysisOutput(data);
+  renderProbeOutput(data);
+  renderVisualization(data);
+  renderRayLegend(data);
+  scheduleTraceCrossCheck(requestId, data);
+}
+
+function getBeamPayload() {
+  if (!beamState.enabled) return null;
+  return {
+    waist_radius: beamState.waistRadius,
+    waist_position: beamState.waistPosition,
+    wavelength_nm: beamState.wavelengthNm,
+  };
+}
+
+function shouldTraceInWorker() {
+  if (typeof Worker === "undefined" || !window.APP_DATA.traceWorkerUrl) return false;
+  const steps = componentSequence.length * countRayPaths(componentSequence, rayState.length);
+  return steps > WORKER_TRACE_THRESHOLD;
+}
+
+function getTraceWorker() {
+  if (traceWorker) return traceWorker;
+  traceWorker = new Worker(window.APP_DATA.traceWorkerUrl);
+  traceWorker.addEventListener("message", (evt) => {
+    const { id, result, error } = evt.data;
+    if (error) {
+      reportTraceError(id, error);
+      return;
+    }
+    applyTraceResult(id, result);
+  });
+  traceWorker.addEventListener("error", (evt) => {
+    console.error("Trace worker error", evt.message);
+  });
+  return traceWorker;
+}
+
+// With ?crosscheck in the URL, the settled local result is compared against
+// /api/trace once edits pause, and any disagreement is logged.
+function scheduleTraceCrossCheck(requestId, data) {
+  if (!traceCrossCheckEnabled) return;
+  clearTimeout(crossCheckTimer);
+  const body = JSON.stringify({
+    components: componentSequence,
+    rays: rayState,
+    beam: getBeamPayload(),
+    two_plane: viewState.twoPlane,
+  });
+  crossCheckTimer = setTimeout(() => {
+    fetch("/api/trace", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    })
+      .then((res) => res.json())
+      .then((remote) => {
+        if (requestId !== traceRequestId) return;
+        if (remote.error) {
+          console.warn("Trace cross-check rejected", remote.errors?.length ? remote.errors : remote.error);
+          return;
+        }
+        const mismatches = compareTraceResults(remote, data, 1e-9);
+        if (mismatches.length) {
+          console.warn("Trace cross-check mismatch", mismatches);
+        }
+      })
+      .catch((err) => console.error("Trace cross-check error", err));
+  }, CROSS_CHECK_DELAY_MS);
+}
+
+function renderMatrixOutput(data) {
+  matrixOutput.innerHTML = "";
+
+  if (!componentSequence.length) {
+    const empty = document.createElement("p");
+    empty.textContent = "Add components to view matrices.";
+    matrixOutput.appendChild(empty);
+    return;
+  }
+
+  const units = document.createElement("p");
+  units.className = "matrix-units";
+  units.textContent = `Matrices act on [h (${displayUnits.length}), θ (${displayUnits.angle})].`;
+  matrixOutput.appendChild(units);
+
+  if (!data.sagittal) {
+    appendMatrixChain(data, "M_total =");
+    return;
+  }
+  appendMatrixChain(data, "M_total (tangential) =");
+  appendMatrixChain(data.sagittal, "M_total (sagittal) =");
+}
+
+// One M_total row followed by the product of the component matrices, in
+// which each group is a single term.
+function appendMatrixChain(data, totalLabel) {
+  const totalRow = document.createElement("div");
+  totalRow.className = "matrix-row";
+
+  const label = document.createElement("span");
+  label.className = "matrix-label";
+  label.textContent = totalLabel;
+  totalRow.appendChild(label);
+  totalRow.appendChild(createMatrixElement(convertMatrixUnits(data.total_matrix, displayUnits)));
+
+  const totalOffset = document.createElement("span");
+  totalOffset.className = "matrix-offset";
+  totalOffset.textContent = `Δx = ${formatLength(data.total_offset[0])}, Δθ = ${formatAngle(data.total_offset[1])}`;
+  totalRow.appendChild(totalOffset);
+
+  matrixOutput.appendChild(totalRow);
+
+  const productRow = document.createElement("div");
+  productRow.className = "matrix-product-line";
+
+  const equals = document.createElement("span");
+  equals.className = "matrix-operator";
+  equals.textContent = "=";
+  productRow.appendChild(equals);
+
+  const runs = getGroupRuns(componentSequence);
+  const terms = [];
+  let index = 0;
+  while (index < data.matrices.length) {
+    const run = runs.find((entry) => entry.start === index);
+    terms.push(run ? createMatrixGroupTerm(data, run) : createMatrixTerm(data, index));
+    index += run ? run.count : 1;
+  }
+  appendMatrixProduct(productRow, terms);
+
+  matrixOutput.appendChild(productRow);
+}
+
+function createMatrixTerm(data, index) {
+  const component = componentSequence[index];
+  const definition = componentLibrary[component.type];
+
+  const term = document.createElement("div");
+  term.className = "matrix-term";
+
+  const title = document.createElement("p");
+  title.className = "matrix-term__title";
+  title.textContent = `${definition.label}`;
+  term.appendChild(title);
+
+  term.appendChild(createMatrixElement(convertMatrixUnits(data.matrices[index], displayUnits)));
+
+  const paramsText = formatComponentParams(component);
+  appendMatrixTermDetails(term, paramsText ? [paramsText] : [], data.offsets[index]);
+  return term;
+}
+
+// A group is one term with its combined matrix while collapsed; expanded, it
+// brackets its members' terms under its name. The name toggles between them.
+function createMatrixGroupTerm(data, { groupId, start, count }) {
+  const group = railGroups.get(groupId);
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "matrix-group__toggle";
+  toggle.dataset.groupId = groupId;
+  toggle.textContent = `${group.collapsed ? "▸" : "▾"} ${group.label}`;
+  toggle.setAttribute("aria-expanded", String(!group.collapsed));
+  toggle.addEventListener("click", () => {
+    setRailGroupCollapsed(groupId, !group.collapsed);
+    // The output was redrawn; keep focus on the group's new toggle.
+    matrixOutput.querySelector(`.matrix-group__toggle[data-group-id="${groupId}"]`)?.focus();
+  });
+
+  if (group.collapsed) {
+    const { matrix, offset } = combineComponentRange(data, start, count);
+    const term = document.createElement("div");
+    term.className = "matrix-term matrix-term--group";
+    term.appendChild(toggle);
+    term.appendChild(createMatrixElement(convertMatrixUnits(matrix, displayUnits)));
+    appendMatrixTermDetails(term, [count === 1 ? "1 element" : `${count} elements`], offset);
+    return term;
+  }
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "matrix-group";
+  wrapper.appendChild(toggle);
+  const members = document.createElement("div");
+  members.className = "matrix-group__terms";
+  appendMatrixProduct(
+    members,
+    Array.from({ length: count }, (_, offset) => createMatrixTerm(data, start + offset)),
+  );
+  wrapper.appendChild(members);
+  return wrapper;
+}
+
+function appendMatrixTermDetails(term, detailParts, offset) {
+  const hasOffset = Math.abs(offset[0]) > 1e-6 || Math.abs(offset[1]) > 1e-6;
+  const parts = [...detailParts];
+  if (hasOffset) parts.push(`Δx=${formatLength(offset[0])}, Δθ=${formatAngle(offset[1])}`);
+  if (!parts.length) return;
+  const details = document.createElement("p");
+  details.className = "matrix-term__details";
+  details.textContent = parts.join(" · ");
+  term.appendChild(details);
+}
+
+// Appends terms to parent with × between them.
+function appendMatrixProduct(parent, terms) {
+  terms.forEach((term, index) => {
+    if (index > 0) {
+      const operator = document.createElement("span");
+      operator.className = "matrix-operator";
+      operator.textContent = "×";
+      parent.appendChild(operator);
+    }
+    parent.appendChild(term);
+  });
+}
+
+function createMatrixElement(matrix) {
+  const matrixEl = document.createElement("div");
+  matrixEl.className = "matrix";
+  matrix.flat().forEach((value) => {
+    const cell = document.createElement("span");
+    cell.textContent = Number(value).toFixed(3);
+    matrixEl.appendChild(cell);
+  });
+  return matrixEl;
+}
+
+function renderRayOutput(data) {
+  raysOutput.innerHTML = "";
+  const table = document.createElement("table");
+  const outputIndex = data.indices?.length ? data.indices[data.indices.length - 1] : INPUT_INDEX;
+  const caption = document.createElement("caption");
+  caption.className = "rays-output__caption";
+  caption.textContent = `Geometric angles in the output medium (n = ${outputIndex.toFixed(4)})`;
+  table.appendChild(caption);
+  const headerRow = document.createElement("tr");
+  ["Ray", "λ (nm)", withUnitLabel("Final Height", "mm"), withUnitLabel("Final Angle", "rad")].forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+
+  // Rays split at gratings are listed as a tree: the parent row says where it
+  // split and each diffraction order follows, indented under it.
+  data.propagated_rays.forEach((ray, index) => {
+    flattenRayBranches(ray).forEach(({ node, orders, depth }) => {
+      const row = document.createElement("tr");
+      const nameCell = document.createElement("td");
+      if (depth) {
+        row.classList.add("rays-output__branch");
+        nameCell.style.paddingLeft = `${0.75 + depth * 1.1}rem`;
+      }
+      const swatch = document.createElement("span");
+      swatch.className = "ray-swatch";
+      swatch.style.background = getBranchColor(index, orders);
+      nameCell.appendChild(swatch);
+      const name = depth ? `↳ ${formatOrder(orders[orders.length - 1])}` : rayState[index]?.label ?? "";
+      nameCell.appendChild(document.createTextNode(name));
+      row.appendChild(nameCell);
+      const wavelengthCell = document.createElement("td");
+      wavelengthCell.textContent = Number(node.wavelength_nm ?? REFERENCE_WAVELENGTH_NM).toFixed(1);
+      row.appendChild(wavelengthCell);
+      let message = null;
+      if (node.propagating === false) {
+        message = describeEvanescentOrder(node);
+        row.classList.add("rays-output__blocked");
+      } else if (node.split_at !== null && node.split_at !== undefined) {
+        const [arrivalHeight] = node.history[node.history.length - 1];
+        message = `Splits at ${describeRailComponent(node.split_at)} (h=${formatLength(arrivalHeight, 2)})`;
+      } else if (node.blocked) {
+        message = describeBlockedRay(node);
+        row.classList.add("rays-output__blocked");
+      }
+      if (message) {
+        const messageCell = document.createElement("td");
+        messageCell.colSpan = 2;
+        messageCell.textContent = message;
+        row.appendChild(messageCell);
+      } else {
+        const heightCell = document.createElement("td");
+        heightCell.textContent = toDisplayValue(node.height, "mm", displayUnits).toFixed(3);
+        const angleCell = document.createElement("td");
+        angleCell.textContent = toDisplayValue(node.angle, "rad", displayUnits).toFixed(3);
+        row.appendChild(heightCell);
+        row.appendChild(angleCell);
+      }
+      table.appendChild(row);
+    });
+  });
+
+  const scroller = document.createElement("div");
+  scroller.className = "rays-output__scroll";
+  scroller.appendChild(table);
+  raysOutput.appendChild(scroller);
+}
+
+function describeBlockedRay(ray) {
+  if (ray.evanescent) {
+    return `No propagating order at ${describeRailComponent(ray.split_at)}`;
+  }
+  const component = componentSequence[ray.blocked_at];
+  const label = componentLibrary[component?.type]?.label ?? "Component";
+  return `Blocked at ${ray.blocked_at + 1}. ${label} (h=${formatLength(ray.height, 2)})`;
+}
+
+function describeEvanescentOrder(node) {
+  return `${formatOrder(node.order)} is evanescent (|mλf| ≥ 1)`;
+}
+
+function formatOrder(order) {
+  return `m = ${order > 0 ? "+" : ""}${order}`;
+}
+
+// Depth-first list of a traced ray and its diffraction branches; orders is
+// the chain of orders taken to reach each node.
+function flattenRayBranches(ray, orders = [], depth = 0) {
+  const entries = [{ node: ray, orders, depth }];
+  (ray.branches ?? []).forEach((branch) => {
+    entries.push(...flattenRayBranches(branch, [...orders, branch.order], depth + 1));
+  });
+  return entries;
+}
+
+function describeRayBranch(rayIndex, orders) {
+  const label = rayState[rayIndex]?.label ?? "";
+  return orders.length ? `${label} (${orders.map(formatOrder).join(" → ")})` : label;
+}
+
+function renderBeamOutput(data) {
+  if (!beamOutput) return;
+  beamOutput.innerHTML = "";
+  const states = data?.gaussian_beam;
+  beamOutput.classList.toggle("hidden", !states);
+  if (!states) return;
+
+  const heading = document.createElement("h3");
+  heading.className = "beam-output__title";
+  heading.textContent = `Gaussian Beam (λ = ${Number(beamState.wavelengthNm).toFixed(1)} nm)`;
+  beamOutput.appendChild(heading);
+
+  const table = document.createElement("table");
+  const headerRow = document.createElement("tr");
+  [
+    "Position",
+    "n",
+    withUnitLabel("Radius w", "mm"),
+    withUnitLabel("Curvature R", "mm"),
+    withUnitLabel("Rayleigh z_R", "mm"),
+  ].forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+
+  states.forEach((state, index) => {
+    const component = componentSequence[index - 1];
+    const name =
+      index === 0
+        ? "Rail start"
+        : `${index}. ${componentLibrary[component?.type]?.label ?? "Component"}`;
+    const cells = [
+      name,
+      Number(state.refractive_index ?? INPUT_INDEX).toFixed(3),
+      toDisplayValue(state.radius, "mm", displayUnits).toFixed(4),
+      state.curvature === null ? "∞" : toDisplayValue(state.curvature, "mm", displayUnits).toFixed(3),
+      toDisplayValue(state.rayleigh_range, "mm", displayUnits).toFixed(3),
+    ];
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+
+  beamOutput.appendChild(table);
+}
+
+function bindAnalysisControls() {
+  syncAnalysisControls();
+  objectDistanceInput?.addEventListener("change", () => {
+    const value = fromDisplayValue(Number(objectDistanceInput.value), "mm", displayUnits);
+    if (!Number.isFinite(value)) {
+      syncAnalysisControls();
+      return;
+    }
+    withHistory("Edit Object Distance", () => {
+      analysisState.objectDistance = value;
+      updateOutputs();
+    });
+  });
+  cardinalMarkersToggle?.addEventListener("change", () => {
+    analysisState.showMarkers = cardinalMarkersToggle.checked;
+    updateOutputs();
+  });
+  foldedLayoutToggle?.addEventListener("change", () => {
+    viewState.layout = foldedLayoutToggle.checked ? "folded" : "unfolded";
+    updateOutputs();
+  });
+  twoPlaneToggle?.addEventListener("change", () => {
+    viewState.twoPlane = twoPlaneToggle.checked;
+    updateOutputs();
+  });
+}
+
+function bindUnitControls() {
+  [
+    [lengthUnitSelect, LENGTH_UNITS],
+    [angleUnitSelect, ANGLE_UNITS],
+  ].forEach(([select, table]) => {
+    if (!select) return;
+    Object.keys(table).forEach((unit) => {
+      const option = document.createElement("option");
+      option.value = unit;
+      option.textContent = unit;
+      select.appendChild(option);
+    });
+  });
+  syncUnitControls();
+  const onChange = () => {
+    // The sweep range is typed in display units; carry it across the switch.
+    const sweepConfig = getSweepParamConfig();
+    const range = ["from", "to"].map((name) =>
+      fromDisplayValue(Number(sweepForm?.elements[name].value), sweepConfig?.unit, displayUnits),
+    );
+    displayUnits.length = lengthUnitSelect?.value ?? displayUnits.length;
+    displayUnits.angle = angleUnitSelect?.value ?? displayUnits.angle;
+    syncUnitControls();
+    if (sweepForm) {
+      ["from", "to"].forEach((name, index) => {
+        if (Number.isFinite(range[index])) {
+          sweepForm.elements[name].value = toDisplayValue(range[index], sweepConfig?.unit, displayUnits);
+        }
+      });
+    }
+    refreshSweepControls();
+    renderSweepChart();
+    updateOutputs();
+  };
+  lengthUnitSelect?.addEventListener("change", onChange);
+  angleUnitSelect?.addEventListener("change", onChange);
+}
+
+// Brings the unit pickers, the object distance input and static [data-unit]
+// labels in line with displayUnits.
+function syncUnitControls() {
+  if (lengthUnitSelect) lengthUnitSelect.value = displayUnits.length;
+  if (angleUnitSelect) angleUnitSelect.value = displayUnits.angle;
+  document.querySelectorAll("[data-unit]").forEach((element) => {
+    element.textContent = getDisplayUnit(element.dataset.unit, displayUnits);
+  });
+  syncAnalysisControls();
+}
+
+function syncAnalysisControls() {
+  if (objectDistanceInput) {
+    objectDistanceInput.value = toDisplayValue(analysisState.objectDistance, "mm", displayUnits);
+  }
+  if (cardinalMarkersToggle) cardinalMarkersToggle.checked = analysisState.showMarkers;
+}
+
+// Physical length of the rail from its input plane to its output plane,
+// including the thickness of thick elements.
+function getRailLength(components = componentSequence) {
+  return components.reduce((total, component) => total + getComponentThickness(component), 0);
+}
+
+// Exit face of the last element that is not free space.
+function getLastElementPosition() {
+  let distance = 0;
+  let lastElement = 0;
+  componentSequence.forEach((component) => {
+    distance += getComponentThickness(component);
+    if (component.type !== "free_space") {
+      lastElement = distance;
+    }
+  });
+  return lastElement;
+}
+
+function getFirstOrderAnalysis(data) {
+  if (!data?.total_matrix) return null;
+  const outputIndex = data.indices?.length ? data.indices[data.indices.length - 1] : INPUT_INDEX;
+  return analyzeFirstOrder(
+    data.total_matrix,
+    getRailLength(),
+    analysisState.objectDistance,
+    INPUT_INDEX,
+    outputIndex,
+  );
+}
+
+function getApertureAnalysis(data) {
+  if (!data?.matrices || data.matrices.length !== componentSequence.length) return null;
+  const apertures = [];
+  componentSequence.forEach((component, index) => {
+    const radius = getApertureRadius(component.params ?? {});
+    if (radius !== null) apertures.push({ index, radius });
+  });
+  return analyzeApertures(data.matrices, apertures, analysisState.objectDistance, getRailLength());
+}
+
+function describeRailComponent(index) {
+  const component = componentSequence[index];
+  return `${index + 1}. ${componentLibrary[component?.type]?.label ?? "Component"}`;
+}
+
+function renderAnalysisOutput(data) {
+  if (!analysisTable) return;
+  analysisTable.innerHTML = "";
+  const analysis = getFirstOrderAnalysis(data);
+  if (!analysis) return;
+
+  const rows = [];
+
+  const determinantText = `${analysis.determinant.toFixed(6)}`;
+  const expectedText = `${analysis.expectedDeterminant.toFixed(6)}`;
+  const mediaDiffer = analysis.inputIndex !== analysis.outputIndex;
+  rows.push([
+    "det(M)",
+    analysis.determinantOk
+      ? `${determinantText} ✓`
+      : `${determinantText} — expected n_in/n_out = ${expectedText}: the chain reflects or rescales ray angles`,
+    !analysis.determinantOk,
+  ]);
+  rows.push([
+    "Media",
+    `n_in = ${analysis.inputIndex.toFixed(4)}, n_out = ${analysis.outputIndex.toFixed(4)}`,
+  ]);
+
+  if (analysis.afocal) {
+    rows.push(["System", "Afocal (C = 0): no finite focal points or principal planes"]);
+    rows.push(["Optical power", "0 D"]);
+    rows.push(["Afocal angular magnification", analysis.angularMagnification.toFixed(4)]);
+  } else {
+    if (mediaDiffer) {
+      rows.push(["Front focal length f", formatLength(analysis.frontEfl)]);
+      rows.push(["Rear focal length f′", formatLength(analysis.efl)]);
+    } else {
+      rows.push(["Effective focal length", formatLength(analysis.efl)]);
+    }
+    rows.push(["Optical power", `${(analysis.power * 1000).toFixed(3)} D`]);
+    rows.push(["Front focal distance", `${formatLength(analysis.frontFocalDistance)} before input`]);
+    rows.push(["Back focal distance", `${formatLength(analysis.backFocalDistance)} after output`]);
+    rows.push(["Principal planes H / H′", `z = ${formatLength(analysis.frontPrincipalZ)} / ${formatLength(analysis.rearPrincipalZ)}`]);
+    rows.push(["Nodal points N / N′", `z = ${formatLength(analysis.frontNodalZ)} / ${formatLength(analysis.rearNodalZ)}`]);
+  }
+
+  const { image } = analysis;
+  if (image.atInfinity) {
+    rows.push(["Image", "At infinity (object in the front focal plane)"]);
+  } else {
+    // Rays physically converge on the image only if it lies past the last element.
+    const kind = image.z >= getLastElementPosition() ? "real" : "virtual";
+    rows.push(["Image distance", `${formatLength(image.distance)} after output (${kind})`]);
+    rows.push(["Image position", `z = ${formatLength(image.z)}`]);
+    rows.push(["Lateral magnification", image.lateralMagnification.toFixed(4)]);
+    rows.push(["Angular magnification", image.angularMagnification.toFixed(4)]);
+  }
+
+  const sagittal = data.sagittal ? getFirstOrderAnalysis(data.sagittal) : null;
+  if (sagittal) {
+    rows.push([
+      "Sagittal focal length f′",
+      sagittal.afocal ? "Afocal (C = 0)" : `${formatLength(sagittal.efl)}, rear focus z = ${formatLength(sagittal.rearFocalZ)}`,
+    ]);
+    if (!analysis.afocal && !sagittal.afocal) {
+      rows.push([
+        "Astigmatic focal difference",
+        `${formatLength(sagittal.rearFocalZ - analysis.rearFocalZ)} (sagittal minus tangential rear focus)`,
+      ]);
+    }
+  }
+
+  const apertures = getApertureAnalysis(data);
+  if (!apertures) {
+    rows.push(["Aperture stop", "None: no clear aperture limits the axial ray cone"]);
+  } else {
+    const { apertureStop, fieldStop, entrancePupil, exitPupil } = apertures;
+    const formatPupil = (pupil) =>
+      pupil.atInfinity
+        ? "At infinity (telecentric)"
+        : `z = ${formatLength(pupil.z)}, ⌀ ${formatLength(pupil.radius * 2)}`;
+    rows.push([
+      "Aperture stop",
+      `${describeRailComponent(apertureStop.index)} (⌀ ${formatLength(apertureStop.radius * 2)})`,
+    ]);
+    rows.push(["Marginal ray slope", `${formatAngle(apertureStop.marginalSlope, 5)} (object side)`]);
+    rows.push(["Entrance pupil", formatPupil(entrancePupil)]);
+    rows.push(["Exit pupil", formatPupil(exitPupil)]);
+    rows.push([
+      "Field stop",
+      fieldStop
+        ? `${describeRailComponent(fieldStop.index)}: chief ray clipped above object height ${formatLength(fieldStop.fieldHeight)}`
+        : "None: no other aperture clips the chief ray",
+    ]);
+  }
+
+  const table = document.createElement("table");
+  rows.forEach(([name, value, warn]) => {
+    const row = document.createElement("tr");
+    if (warn) row.className = "analysis-warning";
+    const nameCell = document.createElement("th");
+    nameCell.scope = "row";
+    nameCell.textContent = name;
+    const valueCell = document.createElement("td");
+    valueCell.textContent = value;
+    row.appendChild(nameCell);
+    row.appendChild(valueCell);
+    table.appendChild(row);
+  });
+  analysisTable.appendChild(table);
+
+  const note = document.createElement("p");
+  note.className = "analysis-note";
+  note.textContent =
+    "Positions z are measured along the rail from its input plane; the object sits the given distance before it. " +
+    "Ray angles are geometric angles in the local medium, so det(M) = n_in/n_out." +
+    (sagittal ? " Rows without a plane name refer to the tangential plane." : "");
+  analysisTable.appendChild(note);
+}
+
+function getCardinalMarkers(data) {
+  if (!analysisState.showMarkers) return [];
+  const analysis = getFirstOrderAnalysis(data);
+  if (!analysis) return [];
+  const markers = [];
+  if (!analysis.afocal) {
+    markers.push({ label: "F", z: analysis.frontFocalZ, kind: "focal" });
+    markers.push({ label: "F′", z: analysis.rearFocalZ, kind: "focal" });
+    markers.push({ label: "H", z: analysis.frontPrincipalZ, kind: "principal" });
+    markers.push({ label: "H′", z: analysis.rearPrincipalZ, kind: "principal" });
+    if (Math.abs(analysis.frontNodalZ - analysis.frontPrincipalZ) > 1e-6) {
+      markers.push({ label: "N", z: analysis.frontNodalZ, kind: "nodal" });
+    }
+    if (Math.abs(analysis.rearNodalZ - analysis.rearPrincipalZ) > 1e-6) {
+      markers.push({ label: "N′", z: analysis.rearNodalZ, kind: "nodal" });
+    }
+  }
+  if (!analysis.image.atInfinity) {
+    markers.push({ label: "I", z: analysis.image.z, kind: "image" });
+  }
+  const apertures = getApertureAnalysis(data);
+  if (apertures) {
+    [
+      ["EP", apertures.entrancePupil],
+      ["XP", apertures.exitPupil],
+    ].forEach(([label, pupil]) => {
+      if (!pupil.atInfinity) markers.push({ label, z: pupil.z, kind: "pupil" });
+    });
+  }
+  return markers.filter((marker) => Number.isFinite(marker.z));
+}
+
+// Markers outside the drawable range are pinned to the edge with an arrow
+// pointing towards their true position.
+function drawCardinalMarkers(ctx, markers, layout, bounds) {
+  if (!markers.length) return;
+  const scale = layout.totalDistance > 0 ? layout.axisSpan / layout.totalDistance : 1;
+  const labelCounts = new Map();
+
+  ctx.save();
+  ctx.font = "11px 'Segoe UI', sans-serif";
+  ctx.textAlign = "center";
+  markers.forEach((marker) => {
+    const style = CARDINAL_MARKER_STYLES[marker.kind];
+    const rawX = layout.startX + marker.z * scale;
+    const x = clamp(rawX, bounds.left, bounds.right);
+    const offscreen = rawX < bounds.left ? "◀ " : rawX > bounds.right ? " ▶" : "";
+    const slot = Math.round(x / 14);
+    const stack = labelCounts.get(slot) ?? 0;
+    labelCounts.set(slot, stack + 1);
+
+    ctx.strokeStyle = style.color;
+    ctx.fillStyle = style.color;
+    ctx.globalAlpha = offscreen ? 0.5 : 0.85;
+    ctx.setLineDash(style.dash);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, bounds.axisY - 18);
+    ctx.lineTo(x, bounds.axisY + 18);
+    ctx.stroke();
+
+    const text = rawX < bounds.left ? `${offscreen}${marker.label}` : `${marker.label}${offscreen}`;
+    ctx.fillText(text, x, 14 + stack * 12);
+  });
+  ctx.restore();
+}
+
+function bindSweepControls() {
+  if (!sweepForm) return;
+  sweepComponentSelect.addEventListener("change", () => {
+    sweepState.componentId = sweepComponentSelect.value;
+    refreshSweepControls({ resetRange: true });
+  });
+  sweepParamSelect.addEventListener("change", () => refreshSweepRange());
+  sweepForm.addEventListener("submit", (evt) => {
+    evt.preventDefault();
+    runSweepFromForm();
+  });
+  sweepForm.querySelectorAll("input[name='element']").forEach((input) => {
+    input.addEventListener("change", renderSweepChart);
+  });
+  sweepSlider.addEventListener("input", () => {
+    sweepState.index = Number(sweepSlider.value);
+    previewSweepStep();
+    renderSweepChart();
+  });
+  sweepApplyButton.addEventListener("click", applySweepStep);
+  sweepExportButton.addEventListener("click", exportSweepCsv);
+}
+
+// Keeps the component picker in step with the rail, preserving the selection
+// and dropping sweep results whose component has been removed.
+function refreshSweepControls({ resetRange = false } = {}) {
+  if (!sweepComponentSelect) return;
+  if (!componentSequence.some((component) => component.id === sweepState.componentId)) {
+    sweepState.componentId = componentSequence[0]?.id ?? null;
+    resetRange = true;
+    clearSweepResult();
+  }
+
+  sweepComponentSelect.innerHTML = "";
+  componentSequence.forEach((component, index) => {
+    const option = document.createElement("option");
+    option.value = component.id;
+    option.textContent = `${index + 1}. ${componentLibrary[component.type].label}`;
+    option.selected = component.id === sweepState.componentId;
+    sweepComponentSelect.appendChild(option);
+  });
+
+  const component = getSweepComponent();
+  const previousParam = sweepParamSelect.value;
+  sweepParamSelect.innerHTML = "";
+  if (!component) return;
+  const { parameters } = componentLibrary[component.type];
+  getContinuousParams(componentLibrary[component.type]).forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = withUnitLabel(name.replace(/_/g, " "), parameters[name].unit);
+    option.selected = !resetRange && name === previousParam;
+    sweepParamSelect.appendChild(option);
+  });
+  if (resetRange) refreshSweepRange();
+}
+
+// Numeric parameters that can be solved for or swept; choice parameters such
+// as the glass selection are left out.
+function getContinuousParams(definition) {
+  return Object.keys(definition.parameters).filter((name) => !definition.parameters[name].options);
+}
+
+function getSweepComponent() {
+  return componentSequence.find((component) => component.id === sweepState.componentId) ?? null;
+}
+
+function getSweepParamConfig() {
+  const component = getSweepComponent();
+  return component ? componentLibrary[component.type].parameters[sweepParamSelect.value] ?? null : null;
+}
+
+function refreshSweepRange() {
+  const component = getSweepComponent();
+  const config = getSweepParamConfig();
+  if (!component || !config) return;
+  const current = Number(component.params[sweepParamSelect.value]);
+  const span = Math.max(Math.abs(current), 10);
+  sweepForm.elements.from.value = toDisplayValue(config.min ?? current - span, config.unit, displayUnits);
+  sweepForm.elements.to.value = toDisplayValue(config.max ?? current + span, config.unit, displayUnits);
+}
+
+function runSweepFromForm() {
+  const component = getSweepComponent();
+  if (!component) return;
+  const param = sweepParamSelect.value;
+  const config = componentLibrary[component.type].parameters[param];
+  let from = fromDisplayValue(Number(sweepForm.elements.from.value), config.unit, displayUnits);
+  let to = fromDisplayValue(Number(sweepForm.elements.to.value), config.unit, displayUnits);
+  const steps = Number(sweepForm.elements.steps.value);
+  if (![from, to, steps].every(Number.isFinite) || from === to) {
+    showDesignStatus("Enter a sweep range with two different finite values.", [], "error");
+    return;
+  }
+  if (config.min !== undefined) {
+    from = Math.max(from, config.min);
+    to = Math.max(to, config.min);
+  }
+  if (config.max !== undefined) {
+    from = Math.min(from, config.max);
+    to = Math.min(to, config.max);
+  }
+
+  sweepState.result = runParameterSweep({
+    components: componentSequence,
+    rays: rayState,
+    componentIndex: componentSequence.indexOf(component),
+    param,
+    from,
+    to,
+    steps,
+  });
+  sweepState.index = 0;
+  sweepSlider.max = String(sweepState.result.values.length - 1);
+  sweepSlider.value = "0";
+  sweepResults.classList.remove("hidden");
+  sweepExportButton.disabled = false;
+  renderSweepChart();
+  previewSweepStep();
+  const { values, failures } = sweepState.result;
+  if (failures.length) {
+    const [first] = failures;
+    showDesignStatus(
+      `${failures.length} of ${values.length} sweep steps could not be traced and are left out.`,
+      [`${formatSweepValue(sweepState.result, first.value)}: ${first.message}`],
+      "error",
+    );
+  }
+}
+
+function clearSweepResult() {
+  sweepState.result = null;
+  sweepResults?.classList.add("hidden");
+  if (sweepExportButton) sweepExportButton.disabled = true;
+}
+
+// Draws the main visualization at the scrubbed parameter value without
+// touching the saved design; Apply Value commits it.
+function previewSweepStep() {
+  const sweep = sweepState.result;
+  const component = getSweepComponent();
+  if (!sweep || !component) return;
+  const value = sweep.values[sweepState.index];
+  const original = component.params[sweep.param];
+  component.params[sweep.param] = value;
+  let data;
+  try {
+    data = computeOpticalPath(componentSequence, rayState, getBeamPayload());
+  } catch (err) {
+    showDesignStatus(`${formatSweepValue(sweep, value)} could not be traced.`, [err.message], "error");
+  } finally {
+    component.params[sweep.param] = original;
+  }
+  if (data) renderVisualization(data);
+  sweepReadout.textContent = `${formatSweepValue(sweep, value)} (${data ? "preview" : "not traced"})`;
+}
+
+function applySweepStep() {
+  const sweep = sweepState.result;
+  const component = getSweepComponent();
+  if (!sweep || !component) return;
+  const value = sweep.values[sweepState.index];
+  withHistory(`Edit ${componentLibrary[component.type].label}`, () => {
+    component.params[sweep.param] = value;
+    updateOutputs();
+  });
+  sweepReadout.textContent = formatSweepValue(sweep, value);
+}
+
+function getSweepUnit(sweep) {
+  const component = componentSequence[sweep.componentIndex];
+  return componentLibrary[component?.type]?.parameters[sweep.param]?.unit;
+}
+
+function formatSweepValue(sweep, value) {
+  const unit = getSweepUnit(sweep);
+  const text = toDisplayValue(value, unit, displayUnits).toFixed(4);
+  const label = getDisplayUnit(unit, displayUnits);
+  return `${sweep.param.replace(/_/g, " ")} = ${text}${label ? ` ${label}` : ""}`;
+}
+
+function exportSweepCsv() {
+  const sweep = sweepState.result;
+  if (!sweep) return;
+  const labels = rayState.map((ray) => ray.label);
+  downloadFile(
+    sweepToCsv(sweep, labels, { ...displayUnits, param: getSweepUnit(sweep) }),
+    `sweep-${sweep.param}.csv`,
+    "text/csv",
+  );
+}
+
+function getSelectedSweepElements() {
+  if (!sweepForm) return [];
+  return [...sweepForm.querySelectorAll("input[name='element']:checked")].map(
+    (input) => input.value,
+  );
+}
+
+function renderSweepChart() {
+  const sweep = sweepState.result;
+  if (!sweep || !sweepChart) return;
+  const ctx = sweepChart.getContext("2d");
+  if (!ctx) return;
+
+  const rect = sweepChart.getBoundingClientRect();
+  const width = rect.width || sweepChart.width || 640;
+  const height = rect.height || sweepChart.height || 360;
+  const dpr = window.devicePixelRatio || 1;
+  sweepChart.width = width * dpr;
+  sweepChart.height = height * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const toDisplay = (values, unit) =>
+    values.map((value) => (value === null ? null : toDisplayValue(value, unit, displayUnits)));
+  const panels = [
+    {
+      title: withUnitLabel("Final height", "mm"),
+      series: sweep.rays.map((series, index) => ({
+        color: getRayColor(index),
+        values: toDisplay(series.heights, "mm"),
+      })),
+    },
+    {
+      title: withUnitLabel("Final angle", "rad"),
+      series: sweep.rays.map((series, index) => ({
+        color: getRayColor(index),
+        values: toDisplay(series.angles, "rad"),
+      })),
+    },
+  ];
+  const elements = getSelectedSweepElements();
+  if (elements.length) {
+    panels.push({
+      title: `M_total ${elements.join(", ")}`,
+      series: elements.map((element) => {
+        const [row, column] = MATRIX_ELEMENTS[element];
+        return {
+          color: MATRIX_ELEMENT_COLORS[element],
+          values: sweep.matrices.map((matrix) =>
+            matrix ? convertMatrixUnits(matrix, displayUnits)[row][column] : null,
+          ),
+        };
+      }),
+    });
+  }
+
+  const left = 64;
+  const right = width - 16;
+  const top = 8;
+  const bottomAxis = 28;
+  const gap = 14;
+  const panelHeight = (height - top - bottomAxis - gap * (panels.length - 1)) / panels.length;
+  const xValues = toDisplay(sweep.values, getSweepUnit(sweep));
+  const first = xValues[0];
+  const last = xValues[xValues.length - 1];
+  const mapX = (value) => left + ((value - first) / (last - first || 1)) * (right - left);
+
+  ctx.save();
+  ctx.font = "11px 'Segoe UI', sans-serif";
+  panels.forEach((panel, panelIndex) => {
+    const panelTop = top + panelIndex * (panelHeight + gap);
+    const panelBottom = panelTop + panelHeight;
+    const finite = panel.series.flatMap((series) => series.values).filter(Number.isFinite);
+    let min = finite.length ? Math.min(...finite) : -1;
+    let max = finite.length ? Math.max(...finite) : 1;
+    if (max - min < 1e-12) {
+      min -= 1;
+      max += 1;
+    }
+    const pad = (max - min) * 0.06;
+    min -= pad;
+    max += pad;
+    const mapY = (value) => panelBottom - ((value - min) / (max - min)) * panelHeight;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+    ctx.fillRect(left, panelTop, right - left, panelHeight);
+    if (min < 0 && max > 0) {
+      ctx.strokeStyle = "rgba(240, 246, 255, 0.2)";
+      ctx.beginPath();
+      ctx.moveTo(left, mapY(0));
+      ctx.lineTo(right, mapY(0));
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = "rgba(240, 246, 255, 0.7)";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.fillText(max.toPrecision(3), left - 6, panelTop);
+    ctx.textBaseline = "bottom";
+    ctx.fillText(min.toPrecision(3), left - 6, panelBottom);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(panel.title, left + 6, panelTop + 4);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, panelTop, right - left, panelHeight);
+    ctx.clip();
+    ctx.lineWidth = panel.series.length > DENSE_RAY_COUNT ? 1 : 1.8;
+    panel.series.forEach((series) => {
+      ctx.strokeStyle = series.color;
+      ctx.beginPath();
+      let drawing = false;
+      series.values.forEach((value, step) => {
+        if (!Number.isFinite(value)) {
+          drawing = false;
+          return;
+        }
+        const x = mapX(xValues[step]);
+        if (drawing) {
+          ctx.lineTo(x, mapY(value));
+        } else {
+          ctx.moveTo(x, mapY(value));
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    });
+    ctx.restore();
+  });
+
+  const cursorX = mapX(xValues[sweepState.index]);
+  ctx.strokeStyle = "rgba(105, 210, 255, 0.8)";
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(cursorX, top);
+  ctx.lineTo(cursorX, height - bottomAxis);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = "rgba(240, 246, 255, 0.7)";
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText(Number(first).toPrecision(4), left, height - bottomAxis + 6);
+  ctx.textAlign = "right";
+  ctx.fillText(Number(last).toPrecision(4), right, height - bottomAxis + 6);
+  ctx.textAlign = "center";
+  ctx.fillText(
+    withUnitLabel(sweep.param.replace(/_/g, " "), getSweepUnit(sweep)),
+    (left + right) / 2,
+    height - bottomAxis + 6,
+  );
+  ctx.restore();
+}
+
+const RAY_COLORS = ["#69d2ff", "#ff9f1c", "#ff6f69", "#9b5de5", "#2ec4b6"];
+
+// Diffraction branches share their ray's color, lighter for orders above
+// m = 1 and darker below, so a split ray reads as one family.
+function getBranchColor(rayIndex, orders = []) {
+  const base = getRayColor(rayIndex);
+  const shift = orders.reduce((total, order) => total + (order - 1), 0);
+  if (!shift) return base;
+  const amount = clamp(shift * 0.22, -0.45, 0.6);
+  const target = amount > 0 ? 255 : 0;
+  const channels = [1, 3, 5].map((offset) => parseInt(base.slice(offset, offset + 2), 16));
+  return `#${channels
+    .map((value) =>
+      Math.round(value + (target - value) * Math.abs(amount))
+        .toString(16)
+        .padStart(2, "0"),
+    )
+    .join("")}`;
+}
+
+function getRayColor(index) {
+  const ray = rayState[index];
+  if (ray?.wavelength_nm !== undefined) return spectralColor(ray.wavelength_nm);
+  return ray?.color ?? RAY_COLORS[index % RAY_COLORS.length];
+}
+
+function renderRayLegend(traceData = lastTraceResult) {
+  if (!rayLegend) return;
+  rayLegend.innerHTML = "";
+  const compact = rayState.length > COMPACT_LEGEND_RAY_COUNT;
+  rayLegend.classList.toggle("ray-legend--compact", compact);
+
+  rayState.forEach((ray, index) => {
+    const item = document.createElement("div");
+    item.className = "ray-legend__item";
+    item.tabIndex = 0;
+
+    const swatch = document.createElement("span");
+    swatch.className = "ray-legend__swatch";
+    swatch.style.background = getRayColor(index);
+    item.appendChild(swatch);
+
+    const name = document.createElement("span");
+    name.textContent = ray.label;
+    item.appendChild(name);
+
+    const details = document.createElement("span");
+    details.className = "ray-legend__details";
+    const detailParts = [
+      `h₀=${formatLength(ray.height, 2)}`,
+      `θ₀=${formatAngle(ray.angle, 2)}`,
+    ];
+    if (ray.wavelength_nm !== undefined) {
+      detailParts.push(`λ=${Number(ray.wavelength_nm).toFixed(1)} nm`);
+    }
+    const traced =
+      traceData?.propagated_rays?.[index] && getPrimaryBranch(traceData.propagated_rays[index]);
+    if (traced?.blocked || traced?.evanescent) {
+      detailParts.push(`→ ${describeBlockedRay(traced)}`);
+    } else if (traced) {
+      detailParts.push(`→ h=${formatLength(traced.height, 2)}`);
+      detailParts.push(`θ=${formatAngle(traced.angle, 2)}`);
+    }
+    details.textContent = detailParts.join(" | ");
+    if (compact) {
+      item.title = details.textContent;
+    } else {
+      item.appendChild(details);
+    }
+
+    item.addEventListener("contextmenu", (evt) => {
+      evt.preventDefault();
+      showRayContextMenu(evt.clientX, evt.clientY, index);
+    });
+
+    item.addEventListener("keydown", (evt) => {
+      if (evt.key === "Enter" || evt.key === " ") {
+        evt.preventDefault();
+        openRayModal(index);
+      } else if (evt.key === "Delete") {
+        evt.preventDefault();
+        removeRay(index);
+      }
+    });
+
+    rayLegend.appendChild(item);
+  });
+
+  const beamStates = traceData?.gaussian_beam;
+  if (beamState.enabled && beamStates?.length) {
+    const item = document.createElement("div");
+    item.className = "ray-legend__item";
+    item.tabIndex = 0;
+
+    const swatch = document.createElement("span");
+    swatch.className = "ray-legend__swatch ray-legend__swatch--beam";
+    swatch.style.borderColor = BEAM_COLOR;
+    item.appendChild(swatch);
+
+    const name = document.createElement("span");
+    name.textContent = "Gaussian beam (1/e²)";
+    item.appendChild(name);
+
+    const details = document.createElement("span");
+    details.className = "ray-legend__details";
+    const finalState = beamStates[beamStates.length - 1];
+    details.textContent = [
+      `w₀=${formatLength(beamState.waistRadius)}`,
+      `λ=${Number(beamState.wavelengthNm).toFixed(1)} nm`,
+      `→ w=${formatLength(finalState.radius)}`,
+    ].join(" | ");
+    item.appendChild(details);
+
+    item.addEventListener("contextmenu", (evt) => {
+      evt.preventDefault();
+      openBeamModal();
+    });
+    item.addEventListener("keydown", (evt) => {
+      if (evt.key === "Enter" || evt.key === " ") {
+        evt.preventDefault();
+        openBeamModal();
+      }
+    });
+
+    rayLegend.appendChild(item);
+  }
+}
+
+function renderVisualization(data) {
+  if (!visualizationCanvas) return;
+  const ctx = visualizationCanvas.getContext("2d");
+  if (!ctx) return;
+
+  const rect = visualizationCanvas.getBoundingClientRect();
+  const width = rect.width || visualizationCanvas.width || 640;
+  const height = rect.height || visualizationCanvas.height || 260;
+  const dpr = window.devicePixelRatio || 1;
+  visualizationCanvas.width = width * dpr;
+  visualizationCanvas.height = height * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  canvasGeometry = drawVisualization(ctx, width, height, data);
+  drawCanvasEditOverlay(ctx, width, height);
+}
+
+// Draws the ray diagram into any Canvas 2D-compatible context, including the
+// SVG recording context used for figure export. Returns the geometry of the
+// unfolded (tangential) rail for canvas editing, or null for the folded view.
+function drawVisualization(ctx, width, height, data) {
+  if (viewState.layout === "folded") {
+    drawFoldedVisualization(ctx, width, height, data);
+    return null;
+  }
+  if (data?.sagittal) {
+    return drawTwoPlaneVisualization(ctx, width, height, data);
+  }
+  return drawRailVisualization(ctx, width, height, data);
+}
+
+// Tangential (y) and sagittal (x) traces side by side, each scaled to its own
+// ray heights.
+function drawTwoPlaneVisualization(ctx, width, height, data) {
+  ctx.clearRect(0, 0, width, height);
+  const panelWidth = (width - TWO_PLANE_GAP_PX) / 2;
+  const panels = [
+    [data, "Tangential (y)"],
+    [data.sagittal, "Sagittal (x)"],
+  ];
+  // Only the tangential panel, which starts at the canvas origin, is editable.
+  let geometry = null;
+  panels.forEach(([planeData, title], index) => {
+    ctx.save();
+    ctx.translate(index * (panelWidth + TWO_PLANE_GAP_PX), 0);
+    const panelGeometry = drawRailVisualization(ctx, panelWidth, height, planeData);
+    if (index === 0) geometry = panelGeometry;
+    ctx.fillStyle = "rgba(240, 246, 255, 0.65)";
+    ctx.font = "11px 'Segoe UI', sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(title, 8, 8);
+    ctx.restore();
+  });
+
+  ctx.save();
+  ctx.strokeStyle = "rgba(240, 246, 255, 0.15)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(width / 2, 8);
+  ctx.lineTo(width / 2, height - 8);
+  ctx.stroke();
+  ctx.restore();
+  return geometry;
+}
+
+// The unfolded rail in one plane: component glyphs and labels, apertures,
+// beam envelope, cardinal markers and ray paths.
+function drawRailVisualization(ctx, width, height, data) {
+  ctx.clearRect(0, 0, width, height);
+
+  const margin = Math.min(Math.max(width * 0.08, 36), 80);
+  const axisY = height / 2;
+  const layout = computeComponentLayout(width, margin);
+
+  const axisStart = Math.max(10, layout.startX - margin * 0.4);
+  const axisEnd = Math.min(width - 10, layout.endX + margin * 0.4);
+
+  ctx.save();
+  ctx.strokeStyle = "rgba(240, 246, 255, 0.25)";
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(axisStart, axisY);
+  ctx.lineTo(axisEnd, axisY);
+  ctx.stroke();
+  ctx.restore();
+
+  const labelFont = "12px 'Segoe UI', sans-serif";
+  const labelEntries = layout.positions.filter(
+    (entry) => entry.component.type !== "free_space",
+  );
+
+  ctx.save();
+  ctx.font = labelFont;
+  const measuredLabels = labelEntries
+    .map((entry) => {
+      const text = componentLibrary[entry.component.type]?.label ?? "Component";
+      const width = ctx.measureText(text).width;
+      entry.labelText = text;
+      entry.labelWidth = width;
+      return entry;
+    })
+    .sort((a, b) => a.renderX - b.renderX);
+
+  const spacingBuffer = 6;
+  let currentCluster = [];
+  const flushCluster = () => {
+    if (!currentCluster.length) return;
+    const size = currentCluster.length;
+    currentCluster.forEach((clusterEntry, index) => {
+      clusterEntry.labelGroupSize = size;
+      clusterEntry.labelGroupIndex = index;
+    });
+    currentCluster = [];
+  };
+
+  measuredLabels.forEach((entry) => {
+    if (!currentCluster.length) {
+      currentCluster.push(entry);
+      return;
+    }
+    const previous = currentCluster[currentCluster.length - 1];
+    const overlapThreshold =
+      (previous.labelWidth + entry.labelWidth) / 2 + spacingBuffer;
+    if (entry.renderX - previous.renderX < overlapThreshold) {
+      currentCluster.push(entry);
+    } else {
+      flushCluster();
+      currentCluster.push(entry);
+    }
+  });
+  flushCluster();
+  ctx.restore();
+
+  layout.positions.forEach((entry) => {
+    if (entry.component.type !== "free_space") {
+      drawComponentGlyph(ctx, entry, height, axisY, data?.plane);
+
+      ctx.save();
+      ctx.fillStyle = "rgba(240, 246, 255, 0.65)";
+      ctx.font = labelFont;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "alphabetic";
+      const stackSize = entry.stackSize ?? 1;
+      const stackIndex = entry.stackIndex ?? 0;
+      const stackSpacing = 16;
+      const stackOffset =
+        stackSize > 1 ? (stackIndex - (stackSize - 1) / 2) * stackSpacing : 0;
+      const labelGroupSize = entry.labelGroupSize ?? 1;
+      const labelGroupIndex = entry.labelGroupIndex ?? 0;
+      const labelGroupSpacing = 14;
+      const labelGroupOffset =
+        labelGroupSize > 1
+          ? (labelGroupIndex - (labelGroupSize - 1) / 2) * labelGroupSpacing
+          : 0;
+      const labelBaseline = height - 28;
+      const labelY = clamp(
+        labelBaseline + stackOffset + labelGroupOffset,
+        32,
+        height - 10,
+      );
+      ctx.fillText(entry.labelText ?? "Component", entry.renderX, labelY);
+      ctx.restore();
+    }
+  });
+
+  const paths = computeRayPaths(data);
+  const beamEnvelope = computeBeamEnvelope(data, layout);
+  let maxHeight = 0.5;
+  paths.forEach((path) => {
+    path.states.forEach((state) => {
+      maxHeight = Math.max(maxHeight, Math.abs(state.height));
+    });
+  });
+  beamEnvelope.forEach((point) => {
+    maxHeight = Math.max(maxHeight, point.radius);
+  });
+  layout.positions.forEach((entry) => {
+    maxHeight = Math.max(maxHeight, getApertureRadius(entry.component.params ?? {}) ?? 0);
+  });
+  const scale = maxHeight === 0 ? 1 : Math.min((height * 0.42) / maxHeight, 90);
+
+  const shouldExtendPath = shouldExtendPastRail();
+  const xPoints = [layout.startX];
+  layout.positions.forEach((entry) => {
+    xPoints.push(entry.physicalX);
+  });
+  if (shouldExtendPath) {
+    const lastX = xPoints[xPoints.length - 1] ?? layout.startX;
+    const trailingX = Math.min(
+      width - margin * 0.4,
+      Math.max(layout.endX, lastX) + margin * 0.6,
+    );
+    xPoints.push(trailingX);
+  }
+
+  const mapHeight = (value) => clamp(axisY - value * scale, 16, height - 16);
+
+  drawBeamEnvelope(ctx, beamEnvelope, mapHeight);
+  drawApertures(ctx, layout, mapHeight, height);
+  drawCardinalMarkers(ctx, getCardinalMarkers(data), layout, {
+    left: axisStart,
+    right: axisEnd,
+    axisY,
+  });
+
+  const dense = paths.length > DENSE_RAY_COUNT;
+
+  paths.forEach((path) => {
+    const color = path.color;
+    const states = path.states;
+    const heights = states.map((state) => state.height);
+    const lastHeight = heights[heights.length - 1] ?? heights[0] ?? 0;
+    while (!path.blocked && heights.length < xPoints.length) {
+      heights.push(lastHeight);
+    }
+    const pointCount = Math.min(heights.length, xPoints.length);
+
+    ctx.save();
+    ctx.lineJoin = "round";
+    ctx.lineCap = "round";
+
+    if (!dense) {
+      ctx.strokeStyle = `${color}33`;
+      ctx.lineWidth = 5;
+      ctx.beginPath();
+      ctx.moveTo(xPoints[0], mapHeight(heights[0]));
+      for (let i = 1; i < pointCount; i += 1) {
+        ctx.lineTo(xPoints[i], mapHeight(heights[i]));
+      }
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = dense ? 1.2 : 2.4;
+    ctx.beginPath();
+    ctx.moveTo(xPoints[0], mapHeight(heights[0]));
+    for (let i = 1; i < pointCount; i += 1) {
+      ctx.lineTo(xPoints[i], mapHeight(heights[i]));
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    const endpointRadius = dense ? 2 : 3.5;
+    ctx.beginPath();
+    ctx.arc(xPoints[0], mapHeight(heights[0]), endpointRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    const endX = xPoints[pointCount - 1];
+    const endY = mapHeight(heights[pointCount - 1]);
+    ctx.beginPath();
+    if (path.blocked) {
+      const size = endpointRadius + 1;
+      ctx.moveTo(endX - size, endY - size);
+      ctx.lineTo(endX + size, endY + size);
+      ctx.moveTo(endX - size, endY + size);
+      ctx.lineTo(endX + size, endY - size);
+      ctx.stroke();
+    } else {
+      ctx.arc(endX, endY, endpointRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    if (dense) {
+      ctx.restore();
+      return;
+    }
+
+    layout.positions.forEach((entry, posIndex) => {
+      const state = states[posIndex + 1];
+      if (!state) return;
+      ctx.beginPath();
+      ctx.arc(entry.physicalX, mapHeight(state.height), 2.4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.restore();
+  });
+
+  return { width, height, axisY, scale, layout, mapHeight };
+}
+
+function bindCanvasEditing() {
+  if (!visualizationCanvas) return;
+  if (canvasDragModeSelect) {
+    Object.entries(AXIS_DRAG_MODES).forEach(([mode, label]) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = label;
+      canvasDragModeSelect.appendChild(option);
+    });
+    canvasDragModeSelect.value = canvasEditState.mode;
+    canvasDragModeSelect.addEventListener("change", () => {
+      canvasEditState.mode = canvasDragModeSelect.value;
+    });
+  }
+  visualizationCanvas.addEventListener("pointerdown", beginCanvasDrag);
+  visualizationCanvas.addEventListener("pointermove", updateCanvasDrag);
+  visualizationCanvas.addEventListener("pointerup", finishCanvasDrag);
+  visualizationCanvas.addEventListener("pointercancel", () => endCanvasDrag({ revert: true }));
+  visualizationCanvas.addEventListener("pointerleave", () => {
+    if (!canvasEditState.drag) setCanvasHover(null, { clearFocus: true });
+  });
+}
+
+function getCanvasPoint(evt) {
+  const rect = visualizationCanvas.getBoundingClientRect();
+  return { x: evt.clientX - rect.left, y: evt.clientY - rect.top };
+}
+
+function getCanvasMmPerPixel(geometry) {
+  return geometry.layout.totalDistance / geometry.layout.axisSpan;
+}
+
+// The handle sits DIRECTION_HANDLE_PX along the axis from the launch point,
+// on the line the ray would follow through free space.
+function getDirectionHandle(geometry, ray) {
+  const distance = DIRECTION_HANDLE_PX * getCanvasMmPerPixel(geometry);
+  return {
+    x: geometry.layout.startX + DIRECTION_HANDLE_PX,
+    y: geometry.mapHeight(ray.height + ray.angle * distance),
+  };
+}
+
+// What a press at point would drag: the focused ray's direction handle, a ray
+// launch point, or an element with free space before it. Rays win over an
+// element sitting at the rail start.
+function hitTestCanvas(point) {
+  const geometry = canvasGeometry;
+  if (!geometry || point.x > geometry.width || geometry.layout.totalDistance <= 0) return null;
+  const isNear = ({ x, y }) => Math.hypot(point.x - x, point.y - y) <= CANVAS_HIT_RADIUS_PX;
+
+  const focused = rayState[canvasEditState.focusRay];
+  if (focused && isNear(getDirectionHandle(geometry, focused))) {
+    return { kind: "ray_angle", rayIndex: canvasEditState.focusRay };
+  }
+  for (let index = rayState.length - 1; index >= 0; index -= 1) {
+    if (isNear({ x: geometry.layout.startX, y: geometry.mapHeight(rayState[index].height) })) {
+      return { kind: "ray_height", rayIndex: index };
+    }
+  }
+  const probe = getProbes().find(({ z }) => Math.abs(point.x - getProbeX(geometry, z)) <= CANVAS_HIT_RADIUS_PX);
+  if (probe) return { kind: "probe", probe: probe.key };
+  const entry = geometry.layout.positions.find(
+    (candidate) =>
+      candidate.component.type !== "free_space" &&
+      Math.abs(point.x - candidate.renderX) <=
+        Math.max(CANVAS_HIT_RADIUS_PX, (candidate.physicalX - candidate.entryX) / 2) &&
+      getAxisDragNeighbors(componentSequence, candidate.index).before !== null,
+  );
+  return entry ? { kind: "component", index: entry.index } : null;
+}
+
+function setCanvasHover(target, { clearFocus = false } = {}) {
+  const previousFocus = canvasEditState.focusRay;
+  canvasEditState.hover = target;
+  if (target?.rayIndex !== undefined) {
+    canvasEditState.focusRay = target.rayIndex;
+  } else if (target || clearFocus) {
+    canvasEditState.focusRay = null;
+  }
+  visualizationCanvas.style.cursor = CANVAS_CURSORS[target?.kind] ?? "";
+  if (canvasEditState.focusRay !== previousFocus && lastTraceResult) {
+    renderVisualization(lastTraceResult);
+  }
+}
+
+// Canvas drags edit the design live. The mapping from pixels to mm is fixed
+// when the drag starts, so the view rescaling under the pointer does not feed
+// back into the values being set.
+function beginCanvasDrag(evt) {
+  if (canvasEditState.drag || !evt.isPrimary || evt.button !== 0) return;
+  const point = getCanvasPoint(evt);
+  let target = hitTestCanvas(point);
+  // With the probe on, pressing anywhere else on the rail moves it there.
+  if (!target && probeState.live !== null && canvasGeometry?.layout.totalDistance > 0) {
+    const { layout } = canvasGeometry;
+    if (point.x >= layout.startX && point.x <= layout.endX) {
+      const z = ((point.x - layout.startX) / layout.axisSpan) * layout.totalDistance;
+      setProbeZ("live", snapCanvasValue(z, "mm", getCanvasMmPerPixel(canvasGeometry), !evt.shiftKey));
+      refreshProbes();
+      target = { kind: "probe", probe: "live" };
+    }
+  }
+  if (!target) return;
+  evt.preventDefault();
+  visualizationCanvas.setPointerCapture?.(evt.pointerId);
+
+  const drag = {
+    ...target,
+    pointerId: evt.pointerId,
+    start: point,
+    point,
+    active: false,
+    geometry: canvasGeometry,
+    baseline: captureHistoryState(),
+  };
+  if (target.kind === "probe") {
+    drag.original = getProbeZ(target.probe);
+  } else if (target.kind === "component") {
+    const { before, after } = getAxisDragNeighbors(componentSequence, target.index);
+    drag.mode = canvasEditState.mode;
+    drag.neighbors = {
+      before,
+      after,
+      beforeLength: Number(componentSequence[before].params.length) || 0,
+      afterLength: after === null ? 0 : Number(componentSequence[after].params.length) || 0,
+    };
+  } else {
+    const ray = rayState[target.rayIndex];
+    drag.original = { height: ray.height, angle: ray.angle };
+  }
+  canvasEditState.drag = drag;
+}
+
+function updateCanvasDrag(evt) {
+  const drag = canvasEditState.drag;
+  const point = getCanvasPoint(evt);
+  if (!drag) {
+    setCanvasHover(hitTestCanvas(point));
+    return;
+  }
+  if (evt.pointerId !== drag.pointerId) return;
+  if (!drag.active) {
+    if (Math.hypot(point.x - drag.start.x, point.y - drag.start.y) < DRAG_START_DISTANCE_PX) return;
+    drag.active = true;
+    hideContextMenu();
+    hideRayContextMenu();
+  }
+  evt.preventDefault();
+  drag.point = point;
+  // Shift drags without snapping.
+  applyCanvasDrag(drag, point, !evt.shiftKey);
+  if (drag.kind === "probe") {
+    refreshProbes();
+  } else {
+    updateOutputs();
+  }
+}
+
+function applyCanvasDrag(drag, point, snap) {
+  const { geometry } = drag;
+  const mmPerPixel = getCanvasMmPerPixel(geometry);
+  if (drag.kind === "probe") {
+    const z = drag.original + (point.x - drag.start.x) * mmPerPixel;
+    setProbeZ(drag.probe, snapCanvasValue(z, "mm", mmPerPixel, snap));
+    return;
+  }
+  if (drag.kind === "component") {
+    const { neighbors } = drag;
+    const position = snapCanvasValue(
+      neighbors.beforeLength + (point.x - drag.start.x) * mmPerPixel,
+      "mm",
+      mmPerPixel,
+      snap,
+    );
+    const lengths = computeAxisDrag(neighbors, position - neighbors.beforeLength, drag.mode);
+    Object.entries(lengths).forEach(([index, length]) => {
+      componentSequence[index].params.length = length;
+    });
+    return;
+  }
+
+  const ray = rayState[drag.rayIndex];
+  const pointerHeight = (geometry.axisY - point.y) / geometry.scale;
+  if (drag.kind === "ray_height") {
+    ray.height = snapCanvasValue(pointerHeight, "mm", 1 / geometry.scale, snap);
+    return;
+  }
+  // The launch direction aims at the pointer.
+  const distance =
+    Math.max(point.x - geometry.layout.startX, CANVAS_HIT_RADIUS_PX) * mmPerPixel;
+  ray.angle = snapCanvasValue(
+    (pointerHeight - ray.height) / distance,
+    "rad",
+    1 / (geometry.scale * distance),
+    snap,
+  );
+}
+
+// Snaps in display units to a round step worth a few pixels, so readouts stay
+// tidy whichever units are selected.
+function snapCanvasValue(value, storageUnit, perPixel, snap) {
+  if (!snap) return value;
+  const step = getSnapStep(toDisplayValue(perPixel * CANVAS_SNAP_PX, storageUnit, displayUnits));
+  const display = snapToStep(toDisplayValue(value, storageUnit, displayUnits), step);
+  return fromDisplayValue(display, storageUnit, displayUnits);
+}
+
+function finishCanvasDrag(evt) {
+  const drag = canvasEditState.drag;
+  if (!drag || evt.pointerId !== drag.pointerId) return;
+  endCanvasDrag();
+  setCanvasHover(hitTestCanvas(getCanvasPoint(evt)));
+}
+
+// A finished drag is one undo step; a reverted one (Escape or a cancelled
+// pointer) puts the dragged values back and records nothing.
+function endCanvasDrag({ revert = false } = {}) {
+  const drag = canvasEditState.drag;
+  if (!drag) return;
+  canvasEditState.drag = null;
+  if (visualizationCanvas.hasPointerCapture?.(drag.pointerId)) {
+    visualizationCanvas.releasePointerCapture(drag.pointerId);
+  }
+  if (!drag.active) return;
+
+  // Probes are not part of the design, so moving one records no undo step.
+  if (drag.kind === "probe") {
+    if (revert) setProbeZ(drag.probe, drag.original);
+    refreshProbes();
+    return;
+  }
+  if (revert) {
+    if (drag.kind === "component") {
+      const { before, after, beforeLength, afterLength } = drag.neighbors;
+      componentSequence[before].params.length = beforeLength;
+      if (after !== null) componentSequence[after].params.length = afterLength;
+    } else {
+      Object.assign(rayState[drag.rayIndex], drag.original);
+    }
+    updateOutputs();
+    return;
+  }
+  const label =
+    drag.kind === "component"
+      ? `Move ${componentLibrary[componentSequence[drag.index].type].label}`
+      : `Edit ${rayState[drag.rayIndex].label}`;
+  pushHistory(label, drag.baseline);
+  if (lastTraceResult) renderVisualization(lastTraceResult);
+}
+
+function describeCanvasDrag(drag) {
+  if (drag.kind === "probe") {
+    return `${getProbeLabel(drag.probe)}: z = ${formatLength(getProbeZ(drag.probe), 1)}`;
+  }
+  if (drag.kind === "component") {
+    const { before, after } = drag.neighbors;
+    const parts = [`← ${formatLength(componentSequence[before].params.length, 1)}`];
+    if (drag.mode === "keep_track" && after !== null) {
+      parts.push(`${formatLength(componentSequence[after].params.length, 1)} →`);
+    }
+    return `${componentLibrary[componentSequence[drag.index].type].label}: ${parts.join(" | ")}`;
+  }
+  const ray = rayState[drag.rayIndex];
+  return drag.kind === "ray_height"
+    ? `${ray.label}: h₀ = ${formatLength(ray.height, 2)}`
+    : `${ray.label}: θ₀ = ${formatAngle(ray.angle, 3)}`;
+}
+
+// The focused ray's direction handle and, while dragging, a readout of the
+// value being set. Only drawn on screen, never into exported figures.
+function drawCanvasEditOverlay(ctx, width, height) {
+  const geometry = canvasGeometry;
+  if (!geometry || geometry.layout.totalDistance <= 0) return;
+  drawProbes(ctx, geometry);
+  const { drag } = canvasEditState;
+  const rayIndex = drag?.rayIndex ?? canvasEditState.focusRay;
+  const ray = rayState[rayIndex];
+  if (ray) {
+    const launchY = geometry.mapHeight(ray.height);
+    const handle = getDirectionHandle(geometry, ray);
+    ctx.save();
+    ctx.strokeStyle = getRayColor(rayIndex);
+    ctx.lineWidth = 1.2;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(geometry.layout.startX, launchY);
+    ctx.lineTo(handle.x, handle.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(handle.x, handle.y, 4.5, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+  if (!drag?.active) return;
+
+  const text = describeCanvasDrag(drag);
+  const padding = 5;
+  ctx.save();
+  ctx.font = FIGURE_FONT;
+  const boxWidth = ctx.measureText(text).width + padding * 2;
+  const boxHeight = 20;
+  const x = clamp(drag.point.x + 12, 4, width - boxWidth - 4);
+  const y = clamp(drag.point.y - boxHeight - 8, 4, height - boxHeight - 4);
+  ctx.fillStyle = "rgba(5, 9, 15, 0.85)";
+  ctx.fillRect(x, y, boxWidth, boxHeight);
+  ctx.fillStyle = FIGURE_TEXT_COLOR;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, x + padding, y + boxHeight / 2);
+  ctx.restore();
+}
+
+function bindProbeControls() {
+  probeToggle?.addEventListener("change", () => {
+    probeState.live = probeToggle.checked ? getRailLength() / 2 : null;
+    refreshProbes();
+  });
+}
+
+// Live probe first, then the pinned ones. key is "live" or the pinned index.
+function getProbes() {
+  const probes = probeState.pinned.map((z, index) => ({ key: index, z }));
+  if (probeState.live !== null) probes.unshift({ key: "live", z: probeState.live });
+  return probes.map((probe) => ({ ...probe, z: clamp(probe.z, 0, getRailLength()) }));
+}
+
+function getProbeZ(key) {
+  return key === "live" ? probeState.live : probeState.pinned[key];
+}
+
+function setProbeZ(key, z) {
+  const clamped = clamp(z, 0, getRailLength());
+  if (key === "live") {
+    probeState.live = clamped;
+  } else {
+    probeState.pinned[key] = clamped;
+  }
+}
+
+function getProbeLabel(key) {
+  return key === "live" ? "Probe" : `P${key + 1}`;
+}
+
+function pinLiveProbe() {
+  if (probeState.live === null) return;
+  probeState.pinned.push(clamp(probeState.live, 0, getRailLength()));
+  refreshProbes();
+}
+
+function removePinnedProbe(index) {
+  probeState.pinned.splice(index, 1);
+  refreshProbes();
+}
+
+// Probes only change readouts, so there is nothing to retrace.
+function refreshProbes() {
+  if (probeToggle) probeToggle.checked = probeState.live !== null;
+  if (!lastTraceResult) return;
+  renderProbeOutput(lastTraceResult);
+  renderVisualization(lastTraceResult);
+}
+
+function getProbeX(geometry, z) {
+  const { layout } = geometry;
+  return layout.startX + (z / layout.totalDistance) * layout.axisSpan;
+}
+
+function drawProbes(ctx, geometry) {
+  const probes = getProbes();
+  if (!probes.length) return;
+  ctx.save();
+  ctx.font = "11px 'Segoe UI', sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  probes.forEach(({ key, z }) => {
+    const x = getProbeX(geometry, z);
+    const live = key === "live";
+    ctx.strokeStyle = PROBE_COLOR;
+    ctx.fillStyle = PROBE_COLOR;
+    ctx.globalAlpha = live ? 0.9 : 0.6;
+    ctx.lineWidth = live ? 1.5 : 1;
+    ctx.setLineDash(live ? [] : [4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, 20);
+    ctx.lineTo(x, geometry.height - 8);
+    ctx.stroke();
+    const text = live ? `z = ${formatLength(z, 1)}` : getProbeLabel(key);
+    ctx.fillText(text, clamp(x, 30, geometry.width - 30), 6);
+  });
+  ctx.restore();
+}
+
+function renderProbeOutput(data) {
+  if (!probeOutput) return;
+  probeOutput.innerHTML = "";
+  const probes = getProbes();
+  probeOutput.classList.toggle("hidden", !probes.length);
+  if (!probes.length) return;
+
+  const heading = document.createElement("h3");
+  heading.className = "probe-output__title";
+  heading.textContent = "Probes";
+  probeOutput.appendChild(heading);
+
+  const planes = data.sagittal
+    ? [
+        [data, "Tangential: "],
+        [data.sagittal, "Sagittal: "],
+      ]
+    : [[data, ""]];
+  probes.forEach(({ key, z }) => {
+    const section = document.createElement("section");
+    section.className = "probe-reading";
+
+    const header = document.createElement("div");
+    header.className = "probe-reading__header";
+    const title = document.createElement("h4");
+    title.textContent = `${getProbeLabel(key)} at z = ${formatLength(z)}`;
+    const action = document.createElement("button");
+    action.type = "button";
+    action.className = "workspace-action";
+    action.textContent = key === "live" ? "Pin" : "Remove";
+    action.addEventListener("click", () => (key === "live" ? pinLiveProbe() : removePinnedProbe(key)));
+    header.appendChild(title);
+    header.appendChild(action);
+    section.appendChild(header);
+
+    planes.forEach(([planeData, planePrefix]) => {
+      const reading = readProbe(planeData, componentSequence, z);
+      const where = document.createElement("p");
+      where.className = "probe-reading__where";
+      where.textContent = `${planePrefix}${describeProbeLocation(reading)}, n = ${reading.index.toFixed(4)}`;
+      section.appendChild(where);
 
-    item.addEventListener("keydown", (evt) => {
-      if (evt.key === "Enter" || evt.key === " ") {
-        evt.preventDefault();
-        openRayModal(index);
+      const matrixRow = document.createElement("div");
+      matrixRow.className = "matrix-row";
+      const label = document.createElement("span");
+      label.className = "matrix-label";
+      label.textContent = "M(z) =";
+      matrixRow.appendChild(label);
+      matrixRow.appendChild(createMatrixElement(convertMatrixUnits(reading.matrix, displayUnits)));
+      if (reading.offset.some((value) => value !== 0)) {
+        const offset = document.createElement("span");
+        offset.className = "matrix-offset";
+        offset.textContent = `Δx = ${formatLength(reading.offset[0])}, Δθ = ${formatAngle(reading.offset[1])}`;
+        matrixRow.appendChild(offset);
       }
+      section.appendChild(matrixRow);
+      section.appendChild(createProbeTable(reading));
     });
-
-    rayLegend.appendChild(item);
+    probeOutput.appendChild(section);
   });
 }
 
-function renderVisualization(data) {
-  if (!visualizationCanvas) return;
-  const ctx = visualizationCanvas.getContext("2d");
-  if (!ctx) return;
+function describeProbeLocation(reading) {
+  if (reading.insideElement) {
+    return `Inside ${describeRailComponent(reading.inside)}, read at its entry face`;
+  }
+  if (reading.inside !== null) {
+    return `${formatLength(reading.into, 1)} into ${describeRailComponent(reading.inside)}`;
+  }
+  return reading.applied > 0 ? `Just after ${describeRailComponent(reading.applied - 1)}` : "Rail start";
+}
 
-  const rect = visualizationCanvas.getBoundingClientRect();
-  const width = rect.width || visualizationCanvas.width || 640;
-  const height = rect.height || visualizationCanvas.height || 260;
-  const dpr = window.devicePixelRatio || 1;
-  visualizationCanvas.width = width * dpr;
-  visualizationCanvas.height = height * dpr;
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+function createProbeTable(reading) {
+  const table = document.createElement("table");
+  const headerRow = document.createElement("tr");
+  ["Ray", withUnitLabel("Height", "mm"), withUnitLabel("Angle", "rad")].forEach((text) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+
+  reading.rays.forEach(({ rayIndex, orders, blocked, node, height, angle }) => {
+    const row = document.createElement("tr");
+    const nameCell = document.createElement("td");
+    const swatch = document.createElement("span");
+    swatch.className = "ray-swatch";
+    swatch.style.background = getBranchColor(rayIndex, orders);
+    nameCell.appendChild(swatch);
+    const order = orders.length ? ` ${formatOrder(orders[orders.length - 1])}` : "";
+    nameCell.appendChild(document.createTextNode(`${rayState[rayIndex]?.label ?? ""}${order}`));
+    row.appendChild(nameCell);
+    if (blocked) {
+      row.classList.add("rays-output__blocked");
+      const messageCell = document.createElement("td");
+      messageCell.colSpan = 2;
+      messageCell.textContent = describeBlockedRay(node);
+      row.appendChild(messageCell);
+    } else {
+      [toDisplayValue(height, "mm", displayUnits), toDisplayValue(angle, "rad", displayUnits)].forEach(
+        (value) => {
+          const cell = document.createElement("td");
+          cell.textContent = value.toFixed(3);
+          row.appendChild(cell);
+        },
+      );
+    }
+    table.appendChild(row);
+  });
+  return table;
+}
 
+// Top view of the optical table: the axis turns at each mirror (see
+// folded.js) and rays are drawn at true scale about it, so the footprint and
+// any overlap between beam paths can be read off directly.
+function drawFoldedVisualization(ctx, width, height, data) {
   ctx.clearRect(0, 0, width, height);
+  const { planes, vertices } = computeFoldedAxis(componentSequence);
+  const paths = computeRayPaths(data);
+  const railLength = getRailLength();
+  const extension = Math.max(railLength * FOLDED_EXTENSION_FRACTION, FOLDED_MIN_EXTENSION_MM);
+  const finalPlane = planes[planes.length - 1];
 
-  const margin = Math.min(Math.max(width * 0.08, 36), 80);
-  const axisY = height / 2;
-  const layout = computeComponentLayout(width, margin);
+  let maxHeight = 1;
+  paths.forEach((path) => {
+    path.states.forEach((state) => {
+      maxHeight = Math.max(maxHeight, Math.abs(state.height));
+    });
+  });
 
-  const axisStart = Math.max(10, layout.startX - margin * 0.4);
-  const axisEnd = Math.min(width - 10, layout.endX + margin * 0.4);
+  // Unblocked rays continue past the output plane so the exit direction shows.
+  const rayPoints = paths.map((path) => {
+    const points = path.states.map((state, index) => foldedPoint(planes[index], state.height));
+    const last = path.states[path.states.length - 1];
+    if (!path.blocked && path.states.length === planes.length) {
+      const end = {
+        point: [
+          finalPlane.point[0] + finalPlane.direction[0] * extension,
+          finalPlane.point[1] + finalPlane.direction[1] * extension,
+        ],
+        normal: finalPlane.normal,
+      };
+      points.push(foldedPoint(end, last.height + last.angle * extension));
+    }
+    return points;
+  });
+
+  const markers = [];
+  componentSequence.forEach((component, index) => {
+    if (component.type === "free_space") return;
+    const entry = planes[index];
+    const exit = planes[index + 1];
+    const halfLength = getApertureRadius(component.params ?? {}) ?? maxHeight * 1.3;
+    const along = exit.surface ?? exit.normal;
+    const center = [(entry.point[0] + exit.point[0]) / 2, (entry.point[1] + exit.point[1]) / 2];
+    markers.push({
+      index,
+      center,
+      from: [center[0] - along[0] * halfLength, center[1] - along[1] * halfLength],
+      to: [center[0] + along[0] * halfLength, center[1] + along[1] * halfLength],
+      mirror: Boolean(exit.surface),
+    });
+  });
+
+  const bounds = foldedBounds([
+    ...vertices,
+    ...rayPoints.flat(),
+    ...markers.flatMap((marker) => [marker.from, marker.to]),
+  ]);
+  const margin = 28;
+  const spanX = Math.max(bounds.maxX - bounds.minX, 1);
+  const spanY = Math.max(bounds.maxY - bounds.minY, 1);
+  const scale = Math.min((width - margin * 2) / spanX, (height - margin * 2) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  const toScreen = ([x, y]) => [
+    offsetX + (x - bounds.minX) * scale,
+    height - offsetY - (y - bounds.minY) * scale,
+  ];
+  const tracePolyline = (points) => {
+    ctx.beginPath();
+    points.forEach((point, index) => {
+      const [x, y] = toScreen(point);
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+  };
 
   ctx.save();
   ctx.strokeStyle = "rgba(240, 246, 255, 0.25)";
   ctx.lineWidth = 1.5;
-  ctx.beginPath();
-  ctx.moveTo(axisStart, axisY);
-  ctx.lineTo(axisEnd, axisY);
+  ctx.setLineDash([6, 4]);
+  tracePolyline(vertices);
   ctx.stroke();
   ctx.restore();
 
-  const labelFont = "12px 'Segoe UI', sans-serif";
-  const labelEntries = layout.positions.filter(
-    (entry) => entry.component.type !== "free_space",
-  );
+  ctx.save();
+  ctx.font = "12px 'Segoe UI', sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  markers.forEach((marker) => {
+    ctx.strokeStyle = marker.mirror ? GLYPH_COLOR : APERTURE_COLOR;
+    ctx.lineWidth = marker.mirror ? 3 : 2;
+    tracePolyline([marker.from, marker.to]);
+    ctx.stroke();
+    const [x, y] = toScreen(marker.to);
+    ctx.fillStyle = "rgba(240, 246, 255, 0.75)";
+    ctx.fillText(String(marker.index + 1), x, y - 9);
+  });
+  ctx.restore();
+
+  const dense = paths.length > DENSE_RAY_COUNT;
+  paths.forEach((path, pathIndex) => {
+    const points = rayPoints[pathIndex];
+    ctx.save();
+    ctx.lineJoin = "round";
+    ctx.lineCap = "round";
+    ctx.strokeStyle = path.color;
+    ctx.lineWidth = dense ? 1.2 : 2;
+    tracePolyline(points);
+    ctx.stroke();
+    const [endX, endY] = toScreen(points[points.length - 1]);
+    if (path.blocked) {
+      const size = 4;
+      ctx.beginPath();
+      ctx.moveTo(endX - size, endY - size);
+      ctx.lineTo(endX + size, endY + size);
+      ctx.moveTo(endX - size, endY + size);
+      ctx.lineTo(endX + size, endY - size);
+      ctx.stroke();
+    }
+    ctx.restore();
+  });
 
+  const footprintSize = (span) => toDisplayValue(span, "mm", displayUnits).toPrecision(3);
+  const footprint = `Footprint ${footprintSize(spanX)} × ${footprintSize(spanY)} ${displayUnits.length} (top view, true scale)`;
   ctx.save();
-  ctx.font = labelFont;
-  const measuredLabels = labelEntries
-    .map((entry) => {
-      const text = componentLibrary[entry.component.type]?.label ?? "Component";
-      const width = ctx.measureText(text).width;
-      entry.labelText = text;
-      entry.labelWidth = width;
-      return entry;
-    })
-    .sort((a, b) => a.renderX - b.renderX);
+  ctx.fillStyle = "rgba(240, 246, 255, 0.65)";
+  ctx.font = "11px 'Segoe UI', sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillText(footprint, 10, 8);
+  ctx.restore();
+}
 
-  const spacingBuffer = 6;
-  let currentCluster = [];
-  const flushCluster = () => {
-    if (!currentCluster.length) return;
-    const size = currentCluster.length;
-    currentCluster.forEach((clusterEntry, index) => {
-      clusterEntry.labelGroupSize = size;
-      clusterEntry.labelGroupIndex = index;
-    });
-    currentCluster = [];
-  };
+// Samples the 1/e² radius along the rail. Inside free-space segments the beam
+// is propagated analytically so waists between components are resolved.
+function computeBeamEnvelope(data, layout) {
+  const states = data?.gaussian_beam;
+  if (!beamState.enabled || !states?.length) return [];
+  const wavelengthMm = Math.max(Number(beamState.wavelengthNm), 1e-6) * 1e-6;
 
-  measuredLabels.forEach((entry) => {
-    if (!currentCluster.length) {
-      currentCluster.push(entry);
+  const points = [{ x: layout.startX, radius: states[0].radius }];
+  layout.positions.forEach((entry, index) => {
+    const before = states[index];
+    const after = states[index + 1];
+    if (!before || !after) return;
+    const fromX = index === 0 ? layout.startX : layout.positions[index - 1].physicalX;
+    const length = Number(entry.component.params?.length) || 0;
+    if (entry.component.type !== "free_space" || length <= 0) {
+      points.push({ x: entry.physicalX, radius: after.radius });
       return;
     }
-    const previous = currentCluster[currentCluster.length - 1];
-    const overlapThreshold =
-      (previous.labelWidth + entry.labelWidth) / 2 + spacingBuffer;
-    if (entry.renderX - previous.renderX < overlapThreshold) {
-      currentCluster.push(entry);
-    } else {
-      flushCluster();
-      currentCluster.push(entry);
+    for (let step = 1; step <= BEAM_ENVELOPE_SAMPLES; step += 1) {
+      const fraction = step / BEAM_ENVELOPE_SAMPLES;
+      const q = [before.q[0] + length * fraction, before.q[1]];
+      points.push({
+        x: fromX + (entry.physicalX - fromX) * fraction,
+        radius: describeGaussianBeam(q, wavelengthMm, before.refractive_index ?? INPUT_INDEX).radius,
+      });
     }
   });
-  flushCluster();
-  ctx.restore();
+  return points;
+}
 
-  layout.positions.forEach((entry) => {
-    if (entry.component.type !== "free_space") {
-      ctx.save();
-      const gradient = ctx.createLinearGradient(
-        entry.renderX,
-        20,
-        entry.renderX,
-        height - 20,
-      );
+// Components without a dedicated symbol keep the generic gradient line. Thick
+// elements span their physical extent, widened so they stay visible; curved
+// surfaces bow with the sign of their radius (R > 0: center to the right).
+function drawComponentGlyph(ctx, entry, height, axisY, plane = "tangential") {
+  const params = entry.component.params ?? {};
+  const top = 20;
+  const bottom = height - 20;
+  const x = entry.renderX;
+  const span = Math.max(entry.physicalX - entry.entryX, GLYPH_MIN_WIDTH_PX);
+  const left = x - span / 2;
+  const right = x + span / 2;
+  const edgeOffset = (radius) =>
+    Math.abs(Number(radius)) < 1e-9 ? 0 : Math.sign(radius) * GLYPH_SAG_PX;
+  // A surface through (surfaceX, axisY) whose rim is shifted by offset.
+  const surface = (surfaceX, offset, downward) => {
+    const [fromY, toY] = downward ? [top, bottom] : [bottom, top];
+    ctx.lineTo(surfaceX + offset, fromY);
+    ctx.quadraticCurveTo(surfaceX - offset, axisY, surfaceX + offset, toY);
+  };
+
+  ctx.save();
+  ctx.strokeStyle = GLYPH_COLOR;
+  ctx.fillStyle = GLYPH_FILL;
+  ctx.lineWidth = 2;
+  ctx.lineJoin = "round";
+
+  switch (isCustomType(entry.component.type) ? "custom" : entry.component.type) {
+    case "iris":
+      // No optical surface; drawApertures() draws its blades.
+      break;
+    case "custom":
+      // A user-defined matrix has no known shape; draw a dashed box.
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.rect(x - 6, top, 12, bottom - top);
+      ctx.fill();
+      ctx.stroke();
+      break;
+    case "thick_lens": {
+      const leftOffset = edgeOffset(params.radius_1);
+      ctx.beginPath();
+      ctx.moveTo(left + leftOffset, top);
+      surface(left, leftOffset, true);
+      surface(right, edgeOffset(params.radius_2), false);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      break;
+    }
+    case "spherical_interface": {
+      const offset = edgeOffset(params.radius);
+      ctx.beginPath();
+      ctx.moveTo(x + offset, top);
+      surface(x, offset, true);
+      ctx.stroke();
+      break;
+    }
+    case "curved_mirror": {
+      // A concave mirror (R > 0) curls its rim towards the incoming light.
+      const offset = -edgeOffset(params.radius_of_curvature);
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(x + offset, top);
+      surface(x, offset, true);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x + 4 + offset, top);
+      surface(x + 4, offset, true);
+      ctx.stroke();
+      break;
+    }
+    case "cylindrical_lens": {
+      // A lens line in its power plane; a dashed outline of the flat
+      // cylinder side in the other.
+      const powerPlane = Math.round(Number(params.power_plane ?? 0)) === 1 ? "sagittal" : "tangential";
+      if (plane === powerPlane) {
+        const gradient = ctx.createLinearGradient(x, top, x, bottom);
+        gradient.addColorStop(0, "rgba(105, 210, 255, 0)");
+        gradient.addColorStop(0.5, "rgba(105, 210, 255, 0.7)");
+        gradient.addColorStop(1, "rgba(105, 210, 255, 0)");
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+      } else {
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.rect(x - 3, top, 6, bottom - top);
+        ctx.stroke();
+      }
+      break;
+    }
+    case "dielectric_slab":
+      ctx.beginPath();
+      ctx.rect(left, top, right - left, bottom - top);
+      ctx.fill();
+      ctx.stroke();
+      break;
+    case "grin_rod": {
+      // Shading follows the index profile: highest on axis.
+      const profile = ctx.createLinearGradient(x, top, x, bottom);
+      profile.addColorStop(0, "rgba(105, 210, 255, 0.05)");
+      profile.addColorStop(0.5, "rgba(105, 210, 255, 0.45)");
+      profile.addColorStop(1, "rgba(105, 210, 255, 0.05)");
+      ctx.fillStyle = profile;
+      ctx.beginPath();
+      ctx.rect(left, top, right - left, bottom - top);
+      ctx.fill();
+      ctx.stroke();
+      break;
+    }
+    default: {
+      const gradient = ctx.createLinearGradient(x, top, x, bottom);
       gradient.addColorStop(0, "rgba(105, 210, 255, 0)");
       gradient.addColorStop(0.5, "rgba(105, 210, 255, 0.7)");
       gradient.addColorStop(1, "rgba(105, 210, 255, 0)");
       ctx.strokeStyle = gradient;
       ctx.lineWidth = 4;
       ctx.beginPath();
-      ctx.moveTo(entry.renderX, 20);
-      ctx.lineTo(entry.renderX, height - 20);
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, bottom);
       ctx.stroke();
-      ctx.restore();
-
-      ctx.save();
-      ctx.fillStyle = "rgba(240, 246, 255, 0.65)";
-      ctx.font = labelFont;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "alphabetic";
-      const stackSize = entry.stackSize ?? 1;
-      const stackIndex = entry.stackIndex ?? 0;
-      const stackSpacing = 16;
-      const stackOffset =
-        stackSize > 1 ? (stackIndex - (stackSize - 1) / 2) * stackSpacing : 0;
-      const labelGroupSize = entry.labelGroupSize ?? 1;
-      const labelGroupIndex = entry.labelGroupIndex ?? 0;
-      const labelGroupSpacing = 14;
-      const labelGroupOffset =
-        labelGroupSize > 1
-          ? (labelGroupIndex - (labelGroupSize - 1) / 2) * labelGroupSpacing
-          : 0;
-      const labelBaseline = height - 28;
-      const labelY = clamp(
-        labelBaseline + stackOffset + labelGroupOffset,
-        32,
-        height - 10,
-      );
-      ctx.fillText(entry.labelText ?? "Component", entry.renderX, labelY);
-      ctx.restore();
     }
-  });
-
-  const paths = computeRayPaths(data);
-  let maxHeight = 0.5;
-  paths.forEach((path) => {
-    path.states.forEach((state) => {
-      maxHeight = Math.max(maxHeight, Math.abs(state.height));
-    });
-  });
-  const scale = maxHeight === 0 ? 1 : Math.min((height * 0.42) / maxHeight, 90);
-
-  const shouldExtendPath = shouldExtendPastRail();
-  const xPoints = [layout.startX];
-  layout.positions.forEach((entry) => {
-    xPoints.push(entry.physicalX);
-  });
-  if (shouldExtendPath) {
-    const lastX = xPoints[xPoints.length - 1] ?? layout.startX;
-    const trailingX = Math.min(
-      width - margin * 0.4,
-      Math.max(layout.endX, lastX) + margin * 0.6,
-    );
-    xPoints.push(trailingX);
   }
+  ctx.restore();
+}
 
-  const mapHeight = (value) => clamp(axisY - value * scale, 16, height - 16);
-
-  paths.forEach((path, index) => {
-    const color = getRayColor(index);
-    const states = path.states;
-    const heights = states.map((state) => state.height);
-    const lastHeight = heights[heights.length - 1] ?? heights[0] ?? 0;
-    while (heights.length < xPoints.length) {
-      heights.push(lastHeight);
-    }
-
-    ctx.save();
-    ctx.lineJoin = "round";
-    ctx.lineCap = "round";
-
-    ctx.strokeStyle = `${color}33`;
-    ctx.lineWidth = 5;
-    ctx.beginPath();
-    ctx.moveTo(xPoints[0], mapHeight(heights[0]));
-    for (let i = 1; i < xPoints.length; i += 1) {
-      ctx.lineTo(xPoints[i], mapHeight(heights[i] ?? heights[heights.length - 1]));
-    }
-    ctx.stroke();
-
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2.4;
+// Finite clear apertures are drawn as blades from the aperture edge outward.
+function drawApertures(ctx, layout, mapHeight, height) {
+  ctx.save();
+  ctx.strokeStyle = APERTURE_COLOR;
+  ctx.lineWidth = 3;
+  layout.positions.forEach((entry) => {
+    const radius = getApertureRadius(entry.component.params ?? {});
+    if (radius === null) return;
     ctx.beginPath();
-    ctx.moveTo(xPoints[0], mapHeight(heights[0]));
-    for (let i = 1; i < xPoints.length; i += 1) {
-      ctx.lineTo(xPoints[i], mapHeight(heights[i] ?? heights[heights.length - 1]));
-    }
+    ctx.moveTo(entry.renderX, 12);
+    ctx.lineTo(entry.renderX, mapHeight(radius));
+    ctx.moveTo(entry.renderX, mapHeight(-radius));
+    ctx.lineTo(entry.renderX, height - 12);
     ctx.stroke();
+  });
+  ctx.restore();
+}
 
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(xPoints[0], mapHeight(heights[0]), 3.5, 0, Math.PI * 2);
-    ctx.fill();
+function drawBeamEnvelope(ctx, points, mapHeight) {
+  if (points.length < 2) return;
+  ctx.save();
+  ctx.fillStyle = `${BEAM_COLOR}26`;
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, mapHeight(points[0].radius));
+  points.forEach((point) => ctx.lineTo(point.x, mapHeight(point.radius)));
+  [...points].reverse().forEach((point) => ctx.lineTo(point.x, mapHeight(-point.radius)));
+  ctx.closePath();
+  ctx.fill();
 
+  ctx.strokeStyle = BEAM_COLOR;
+  ctx.lineWidth = 1.2;
+  ctx.setLineDash([6, 4]);
+  [1, -1].forEach((sign) => {
     ctx.beginPath();
-    ctx.arc(xPoints[xPoints.length - 1], mapHeight(heights[heights.length - 1]), 3.5, 0, Math.PI * 2);
-    ctx.fill();
-
-    layout.positions.forEach((entry, posIndex) => {
-      const state = states[posIndex + 1];
-      if (!state) return;
-      ctx.beginPath();
-      ctx.arc(entry.physicalX, mapHeight(state.height), 2.4, 0, Math.PI * 2);
-      ctx.fill();
-    });
-
-    ctx.restore();
+    ctx.moveTo(points[0].x, mapHeight(sign * points[0].radius));
+    points.forEach((point) => ctx.lineTo(point.x, mapHeight(sign * point.radius)));
+    ctx.stroke();
   });
+  ctx.restore();
 }
 
+// Each traced ray carries its own history, evaluated at its wavelength; a
+// blocked ray's history ends on the aperture at its arrival height. A ray
+// split at gratings yields one path per propagating order, each drawn from
+// the rail start; when no order propagates the ray ends at the grating.
 function computeRayPaths(data) {
-  const matrices = data?.matrices ?? [];
-  const offsets = data?.offsets ?? [];
-  return rayState.map((ray) => {
-    const states = [{ height: ray.height, angle: ray.angle }];
-    let vec = [ray.height, ray.angle];
-    matrices.forEach((matrix, index) => {
-      vec = applyComponentTransform(matrix, offsets[index], vec);
-      states.push({ height: vec[0], angle: vec[1] });
-    });
-    return { states };
+  return rayState.flatMap((ray, index) => {
+    const traced = data?.propagated_rays?.[index];
+    if (!traced?.history) {
+      return [
+        { states: [{ height: ray.height, angle: ray.angle }], blocked: false, color: getRayColor(index) },
+      ];
+    }
+    return getRayPaths(traced).map(({ node, orders }) => ({
+      states: node.history.map(([height, angle]) => ({ height, angle })),
+      blocked: node.blocked || node.branches.length > 0,
+      color: getBranchColor(index, orders),
+    }));
   });
 }
 
-function applyComponentTransform(matrix, offset, vec) {
-  return [
-    matrix[0][0] * vec[0] + matrix[0][1] * vec[1] + (offset?.[0] ?? 0),
-    matrix[1][0] * vec[0] + matrix[1][1] * vec[1] + (offset?.[1] ?? 0),
-  ];
-}
-
 function shouldExtendPastRail() {
   return getTrailingNonPropagationRunLength() >= 2;
 }
@@ -816,26 +5563,26 @@ function computeComponentLayout(width, margin) {
     return { startX, endX, axisSpan: span, positions: [], totalDistance: 0 };
   }
 
+  // distance is where a component ends (its exit face); thick elements start
+  // at startDistance, and rays are drawn straight through them.
   let cumulativeDistance = 0;
   const basePositions = componentSequence.map((component, index) => {
-    const entry = { component, index, distance: cumulativeDistance };
-    if (component.type === "free_space") {
-      const length = Math.max(Number(component.params.length) || 0, 0);
-      cumulativeDistance += length;
-      entry.distance = cumulativeDistance;
-    }
-    return entry;
+    const startDistance = cumulativeDistance;
+    cumulativeDistance += getComponentThickness(component);
+    return { component, index, startDistance, distance: cumulativeDistance };
   });
 
   const totalDistance = cumulativeDistance;
   const normalizer = totalDistance > 0 ? totalDistance : 1;
+  const toX = (distance) => startX + (totalDistance > 0 ? distance / normalizer : 0) * span;
   const positions = basePositions.map((entry) => {
-    const ratio = totalDistance > 0 ? entry.distance / normalizer : 0;
-    const physicalX = startX + ratio * span;
+    const physicalX = toX(entry.distance);
+    const entryX = toX(entry.startDistance);
     return {
       ...entry,
       physicalX,
-      renderX: physicalX,
+      entryX,
+      renderX: entry.component.type === "free_space" ? physicalX : (entryX + physicalX) / 2,
     };
   });
 
@@ -863,12 +5610,32 @@ function computeComponentLayout(width, margin) {
   return { startX, endX, axisSpan: span, positions, totalDistance };
 }
 
-function formatComponentParams(params) {
-  return Object.entries(params)
-    .map(([key, value]) => `${key.replace(/_/g, " ")}=${Number(value).toFixed(2)}`)
+function formatComponentParams(component) {
+  const parameters = componentLibrary[component.type]?.parameters ?? {};
+  return Object.entries(component.params)
+    .map(([key, value]) => {
+      const unit = parameters[key]?.unit;
+      const label = getDisplayUnit(unit, displayUnits);
+      const text = toDisplayValue(value, unit, displayUnits).toFixed(2);
+      return `${key.replace(/_/g, " ")}=${text}${label ? ` ${label}` : ""}`;
+    })
     .join(", ");
 }
 
+function formatLength(value, digits = 3) {
+  return formatWithUnit(value, "mm", displayUnits, digits);
+}
+
+function formatAngle(value, digits = 3) {
+  return formatWithUnit(value, "rad", displayUnits, digits);
+}
+
+// "Text (unit)" in display units, or the bare text for dimensionless values.
+function withUnitLabel(text, storageUnit) {
+  const unit = getDisplayUnit(storageUnit, displayUnits);
+  return unit ? `${text} (${unit})` : text;
+}
+
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
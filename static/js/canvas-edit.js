@@ -0,0 +1,45 @@
+// Direct manipulation on the ray canvas: moving elements along the axis and
+// snapping dragged values. These helpers work on plain design data; app.js
+// owns hit testing, pointer handling and undo history.
+
+const AXIS_DRAG_MODES = {
+  keep_track: "Keep total length",
+  push: "Push downstream",
+};
+
+// Indices of the free-space segments directly before and after the component
+// at index, or null where the neighbor is not free space. The segment before
+// sets the component's position, so without one it cannot be dragged.
+function getAxisDragNeighbors(components, index) {
+  const isFreeSpace = (neighbor) => components[neighbor]?.type === "free_space";
+  return {
+    before: isFreeSpace(index - 1) ? index - 1 : null,
+    after: isFreeSpace(index + 1) ? index + 1 : null,
+  };
+}
+
+// New free-space lengths, keyed by component index, for moving a component
+// by delta mm from its position at the start of the drag. "keep_track" trades
+// length between the two neighboring segments so everything downstream stays
+// put; "push" (or keep_track with no segment after) only changes the segment
+// before and carries the rest of the rail along. Lengths never go negative,
+// so the move stops at the neighboring element.
+function computeAxisDrag({ before, after, beforeLength, afterLength }, delta, mode) {
+  if (before === null) return {};
+  if (mode === "keep_track" && after !== null) {
+    const shift = Math.min(Math.max(delta, -beforeLength), afterLength);
+    return { [before]: beforeLength + shift, [after]: afterLength - shift };
+  }
+  return { [before]: Math.max(beforeLength + delta, 0) };
+}
+
+// Smallest 1-2-5 step of at least `minimum`, so snapped readouts stay round.
+function getSnapStep(minimum) {
+  if (!(minimum > 0) || !Number.isFinite(minimum)) return 0;
+  const base = 10 ** Math.floor(Math.log10(minimum));
+  return [1, 2, 5, 10].map((multiple) => multiple * base).find((step) => step >= minimum);
+}
+
+function snapToStep(value, step) {
+  return step > 0 ? Math.round(value / step) * step : value;
+}
@@ -0,0 +1,160 @@
+// User-defined components: a named element whose ABCD matrix and offset are
+// expressions of its own parameters (see expression.js and
+// calculateCustomTransform() in trace.js). These helpers validate and name
+// definitions; app.js owns the toolbox, the editor and local storage.
+
+const CUSTOM_MATRIX_ENTRIES = [
+  ["A", 0, 0],
+  ["B", 0, 1],
+  ["C", 1, 0],
+  ["D", 1, 1],
+];
+// How close AD − BC must be to 0 to count as singular, or to 1 to pass.
+const CUSTOM_DETERMINANT_TOLERANCE = 1e-9;
+
+function createCustomDefinition() {
+  return {
+    label: "Custom Element",
+    description: "",
+    parameters: {
+      f: { default: 100, min: -10000, max: 10000, step: 1, unit: "mm" },
+    },
+    matrix: [
+      ["1", "0"],
+      ["-1/f", "1"],
+    ],
+    offset: ["0", "0"],
+  };
+}
+
+// A "custom:<slug>" type for label that is not already in use.
+function createCustomType(label, existingTypes) {
+  return createLibraryType(CUSTOM_TYPE_PREFIX, label, existingTypes);
+}
+
+// A "<prefix><slug>" key for label, numbered when existingTypes has it.
+function createLibraryType(prefix, label, existingTypes) {
+  const slug = String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "") || "element";
+  let type = `${prefix}${slug}`;
+  for (let suffix = 2; existingTypes.includes(type); suffix += 1) {
+    type = `${prefix}${slug}_${suffix}`;
+  }
+  return type;
+}
+
+function cloneCustomDefinition(definition) {
+  return JSON.parse(JSON.stringify(definition));
+}
+
+// Checks a definition's shape, parameters and expressions, then evaluates it
+// at the parameter defaults. Errors make the definition unusable; warnings
+// (a determinant other than 1) are shown but allowed, since an element may
+// stand for a change of medium or a deliberately lossy system.
+function validateCustomDefinition(definition) {
+  const errors = [];
+  const warnings = [];
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    return { errors: ["Custom element definition must be an object."], warnings, determinant: null };
+  }
+  if (typeof definition.label !== "string" || !definition.label.trim()) {
+    errors.push("Custom element needs a name.");
+  }
+
+  const parameters = definition.parameters ?? {};
+  if (typeof parameters !== "object" || Array.isArray(parameters)) {
+    errors.push("Parameters must be an object keyed by name.");
+  } else {
+    Object.entries(parameters).forEach(([name, config]) => {
+      if (!/^[A-Za-z_]\w*$/.test(name)) {
+        errors.push(`Parameter "${name}" must start with a letter and use only letters, digits and _.`);
+        return;
+      }
+      if (isReservedParameterName(name)) {
+        errors.push(`Parameter "${name}" is a reserved name.`);
+        return;
+      }
+      const numbers = ["default", "min", "max", "step"].filter((key) => config?.[key] !== undefined);
+      if (!numbers.includes("default")) {
+        errors.push(`Parameter "${name}" needs a default value.`);
+      }
+      numbers.forEach((key) => {
+        if (typeof config[key] !== "number" || !Number.isFinite(config[key])) {
+          errors.push(`Parameter "${name}": ${key} must be a finite number.`);
+        }
+      });
+      if (config?.min !== undefined && config?.max !== undefined && config.min > config.max) {
+        errors.push(`Parameter "${name}": min is above max.`);
+      } else if (
+        (config?.min !== undefined && config.default < config.min) ||
+        (config?.max !== undefined && config.default > config.max)
+      ) {
+        errors.push(`Parameter "${name}": the default lies outside min to max.`);
+      }
+      if (config?.step !== undefined && !(config.step > 0)) {
+        errors.push(`Parameter "${name}": step must be positive.`);
+      }
+      if (!CUSTOM_PARAMETER_UNITS.includes(config?.unit ?? "")) {
+        errors.push(`Parameter "${name}": unknown unit "${config.unit}".`);
+      }
+    });
+  }
+
+  const matrix = definition.matrix;
+  const offset = definition.offset ?? ["0", "0"];
+  const isPair = (row) => Array.isArray(row) && row.length === 2;
+  if (!isPair(matrix) || !matrix.every(isPair)) {
+    errors.push("Matrix must be [[A, B], [C, D]].");
+  }
+  if (!isPair(offset)) {
+    errors.push("Offset must be [Δh, Δθ].");
+  }
+  if (errors.length) return { errors, warnings, determinant: null };
+
+  const entries = [
+    ...CUSTOM_MATRIX_ENTRIES.map(([label, row, column]) => [label, matrix[row][column]]),
+    ["Δh", offset[0]],
+    ["Δθ", offset[1]],
+  ];
+  entries.forEach(([label, text]) => {
+    try {
+      getExpressionNames(String(text)).forEach((name) => {
+        if (!Object.prototype.hasOwnProperty.call(parameters, name)) {
+          errors.push(`${label}: "${name}" is not a parameter.`);
+        }
+      });
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+    }
+  });
+  if (errors.length) return { errors, warnings, determinant: null };
+
+  let determinant = null;
+  try {
+    const [[[A, B], [C, D]]] = calculateCustomTransform(definition, {});
+    determinant = A * D - B * C;
+  } catch (err) {
+    errors.push(`At the default values: ${err.message}`);
+    return { errors, warnings, determinant };
+  }
+  if (!Number.isFinite(determinant) || Math.abs(determinant) < CUSTOM_DETERMINANT_TOLERANCE) {
+    errors.push("The matrix is singular at the default values (AD − BC = 0).");
+  } else if (Math.abs(determinant - 1) > CUSTOM_DETERMINANT_TOLERANCE) {
+    warnings.push(
+      `AD − BC = ${Number(determinant.toPrecision(6))} at the default values; an element between two ` +
+        "regions of the same index has AD − BC = 1.",
+    );
+  }
+  return { errors, warnings, determinant };
+}
+
+// Function and constant names, and names every object already has.
+function isReservedParameterName(name) {
+  return (
+    name in Object.prototype ||
+    Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, name) ||
+    Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, name)
+  );
+}
@@ -0,0 +1,219 @@
+// Versioned design format used for JSON export/import, local autosave and
+// shareable URL hashes. Everything here is pure data handling; app.js owns
+// applying a validated design to the rail.
+
+const DESIGN_FORMAT = "abcd-raytracer-design";
+const DESIGN_VERSION = 1;
+const DESIGN_HASH_PREFIX = "#design=";
+
+function serializeDesign({ components, rays, view, groups = [] }) {
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    components: components.map((component) => ({
+      type: component.type,
+      params: { ...component.params },
+      ...(component.definition ? { definition: cloneCustomDefinition(component.definition) } : {}),
+    })),
+    rays: rays.map((ray) => ({ ...ray })),
+    groups: groups.map((group) => ({ ...group })),
+    view: JSON.parse(JSON.stringify(view ?? {})),
+  };
+}
+
+// Checks a parsed design against the component library. Custom components
+// carry their own definition and are checked against that instead. Returns
+// the cleaned design together with a list of problems; callers should refuse
+// to load a design whose error list is not empty.
+function validateDesign(data, library) {
+  const errors = [];
+  const design = { components: [], rays: [], groups: [], view: {} };
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { design, errors: ["Design must be a JSON object."] };
+  }
+  if (data.format !== DESIGN_FORMAT) {
+    errors.push(`Unrecognized format "${data.format ?? ""}"; expected "${DESIGN_FORMAT}".`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push("Design version is missing or invalid.");
+  } else if (data.version > DESIGN_VERSION) {
+    errors.push(
+      `Design version ${data.version} is newer than supported version ${DESIGN_VERSION}.`,
+    );
+  }
+
+  if (!Array.isArray(data.components)) {
+    errors.push("Design is missing its components list.");
+  } else {
+    data.components.forEach((component, index) => {
+      const where = `Component ${index + 1}`;
+      const custom = isCustomType(component?.type);
+      const known = !custom && Object.prototype.hasOwnProperty.call(library, component?.type);
+      const definition = custom ? component.definition : known ? library[component.type] : null;
+      if (!definition) {
+        errors.push(
+          custom
+            ? `${where}: custom component "${component.type}" is missing its definition.`
+            : `${where}: unknown component type "${component?.type}".`,
+        );
+        return;
+      }
+      if (custom) {
+        const problems = validateCustomDefinition(definition).errors;
+        if (problems.length) {
+          problems.forEach((problem) => errors.push(`${where} (${component.type}): ${problem}`));
+          return;
+        }
+      }
+      const params = {};
+      const rawParams = component.params ?? {};
+      Object.keys(rawParams).forEach((name) => {
+        if (!Object.prototype.hasOwnProperty.call(definition.parameters, name)) {
+          errors.push(`${where} (${definition.label}): unknown parameter "${name}".`);
+        }
+      });
+      Object.entries(definition.parameters).forEach(([name, config]) => {
+        if (!Object.prototype.hasOwnProperty.call(rawParams, name)) {
+          params[name] = config.default ?? 0;
+          return;
+        }
+        const value = rawParams[name];
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          errors.push(`${where} (${definition.label}): ${name} must be a finite number.`);
+          return;
+        }
+        if (config.min !== undefined && value < config.min) {
+          errors.push(`${where} (${definition.label}): ${name}=${value} is below the minimum ${config.min}.`);
+        }
+        if (config.max !== undefined && value > config.max) {
+          errors.push(`${where} (${definition.label}): ${name}=${value} is above the maximum ${config.max}.`);
+        }
+        params[name] = value;
+      });
+      design.components.push(
+        custom
+          ? { type: component.type, params, definition: cloneCustomDefinition(definition) }
+          : { type: component.type, params },
+      );
+    });
+  }
+
+  // Groups are optional; designs saved before they existed have none.
+  if (data.groups !== undefined && Array.isArray(data.components)) {
+    const checked = validateDesignGroups(data.groups, data.components.length);
+    errors.push(...checked.errors);
+    design.groups = checked.groups;
+  }
+
+  if (!Array.isArray(data.rays)) {
+    errors.push("Design is missing its rays list.");
+  } else {
+    data.rays.forEach((ray, index) => {
+      const where = `Ray ${index + 1}`;
+      if (!ray || typeof ray !== "object") {
+        errors.push(`${where}: must be an object.`);
+        return;
+      }
+      ["height", "angle"].forEach((key) => {
+        if (typeof ray[key] !== "number" || !Number.isFinite(ray[key])) {
+          errors.push(`${where}: ${key} must be a finite number.`);
+        }
+      });
+      if (
+        ray.wavelength_nm !== undefined &&
+        (typeof ray.wavelength_nm !== "number" || !(ray.wavelength_nm > 0) || !Number.isFinite(ray.wavelength_nm))
+      ) {
+        errors.push(`${where}: wavelength_nm must be a positive number of nanometers.`);
+      }
+      ["sagittal_height", "sagittal_angle"].forEach((key) => {
+        if (ray[key] !== undefined && (typeof ray[key] !== "number" || !Number.isFinite(ray[key]))) {
+          errors.push(`${where}: ${key} must be a finite number when present.`);
+        }
+      });
+      if (ray.color !== undefined && !/^#[0-9a-f]{6}$/i.test(ray.color)) {
+        errors.push(`${where}: color must be a hex color such as #69d2ff.`);
+      }
+      design.rays.push({
+        ...ray,
+        label: typeof ray.label === "string" && ray.label ? ray.label : `Ray ${index + 1}`,
+      });
+    });
+  }
+
+  const view = data.view ?? {};
+  if (typeof view !== "object" || Array.isArray(view)) {
+    errors.push("View settings must be an object.");
+  } else {
+    if (view.beam !== undefined) {
+      const beam = view.beam;
+      const checks = [
+        ["waist_radius", (value) => value > 0],
+        ["waist_position", () => true],
+        ["wavelength_nm", (value) => value > 0],
+      ];
+      checks.forEach(([key, isValid]) => {
+        const value = beam?.[key];
+        if (typeof value !== "number" || !Number.isFinite(value) || !isValid(value)) {
+          errors.push(`Gaussian beam: ${key} is missing or out of range.`);
+        }
+      });
+    }
+    if (view.analysis !== undefined) {
+      const distance = view.analysis?.object_distance;
+      if (typeof distance !== "number" || !Number.isFinite(distance)) {
+        errors.push("First-order analysis: object_distance must be a finite number.");
+      }
+    }
+    if (view.layout !== undefined && !["unfolded", "folded"].includes(view.layout)) {
+      errors.push('View layout must be "unfolded" or "folded".');
+    }
+    if (view.two_plane !== undefined && typeof view.two_plane !== "boolean") {
+      errors.push("View two_plane must be true or false.");
+    }
+    if (view.units !== undefined && !isValidDisplayUnits(view.units)) {
+      errors.push(
+        `View units must name a length unit (${Object.keys(LENGTH_UNITS).join(", ")}) ` +
+          `and an angle unit (${Object.keys(ANGLE_UNITS).join(", ")}).`,
+      );
+    }
+    design.view = view;
+  }
+
+  return { design, errors };
+}
+
+function parseDesignText(text, library) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { design: null, errors: [`File is not valid JSON: ${err.message}`] };
+  }
+  return validateDesign(data, library);
+}
+
+function encodeDesignToHash(design) {
+  const bytes = new TextEncoder().encode(JSON.stringify(design));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  const base64 = btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `${DESIGN_HASH_PREFIX}${base64}`;
+}
+
+// Returns null when the hash does not carry a design at all.
+function decodeDesignFromHash(hash, library) {
+  if (!hash || !hash.startsWith(DESIGN_HASH_PREFIX)) return null;
+  const base64 = hash.slice(DESIGN_HASH_PREFIX.length).replace(/-/g, "+").replace(/_/g, "/");
+  let text;
+  try {
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    text = new TextDecoder().decode(bytes);
+  } catch (err) {
+    return { design: null, errors: ["The shared link is corrupted and could not be decoded."] };
+  }
+  return parseDesignText(text, library);
+}
@@ -0,0 +1,190 @@
+// Arithmetic expressions for custom components, mirroring parse_expression()
+// and evaluate_expression() in app.py. Expressions are parsed into a small
+// syntax tree and evaluated against named values instead of being run as
+// code, so a shared design can do nothing but arithmetic. Loaded by the page
+// and by the trace worker, so it must not touch the DOM.
+//
+// Supported: numbers, names, the constants pi and e, + - * /, ^ or ** for
+// powers (right associative, binding tighter than unary minus), parentheses
+// and the functions in EXPRESSION_FUNCTIONS. Any result that is not a finite
+// number (division by zero, sqrt of a negative, ...) is an error. Length and
+// nesting are capped as in app.py, and only the most recently used syntax
+// trees are cached.
+
+const EXPRESSION_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: Math.log,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+};
+const EXPRESSION_CONSTANTS = { pi: Math.PI, e: Math.E };
+const EXPRESSION_TOKEN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^()]))/y;
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_EXPRESSION_NESTING = 100;
+const EXPRESSION_CACHE_SIZE = 256;
+const parsedExpressions = new Map();
+
+function tokenizeExpression(text) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      if (!text.slice(start).trim()) break;
+      throw new Error(`Unexpected "${text.slice(start).trim()[0]}" in "${text}".`);
+    }
+    if (match[1] !== undefined) tokens.push({ kind: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ kind: "name", value: match[2] });
+    else tokens.push({ kind: "operator", value: match[3] === "**" ? "^" : match[3] });
+  }
+  return tokens;
+}
+
+// Returns the syntax tree for text, throwing an Error that quotes the
+// expression when it cannot be parsed. Trees are cached by source text.
+function parseExpression(text) {
+  const source = String(text);
+  if (parsedExpressions.has(source)) {
+    // Re-inserting keeps the Map in least recently used order.
+    const cached = parsedExpressions.get(source);
+    parsedExpressions.delete(source);
+    parsedExpressions.set(source, cached);
+    return cached;
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters.`);
+  }
+
+  const tokens = tokenizeExpression(source);
+  let position = 0;
+  // Brackets, signs and powers each parse their operand through parseUnary,
+  // so its depth bounds the recursion.
+  let depth = 0;
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.kind === "operator" && peek().value === value;
+  const fail = (message) => {
+    throw new Error(`${message} in "${source}".`);
+  };
+  const expect = (value) => {
+    if (!isOperator(value)) fail(`Expected "${value}"`);
+    position += 1;
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOperator("+") || isOperator("-")) {
+      const operator = tokens[position].value;
+      position += 1;
+      node = { op: operator, args: [node, parseProduct()] };
+    }
+    return node;
+  };
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isOperator("*") || isOperator("/")) {
+      const operator = tokens[position].value;
+      position += 1;
+      node = { op: operator, args: [node, parseUnary()] };
+    }
+    return node;
+  };
+  const parseUnary = () => {
+    depth += 1;
+    if (depth > MAX_EXPRESSION_NESTING) fail(`Nested more than ${MAX_EXPRESSION_NESTING} levels deep`);
+    try {
+      if (isOperator("-") || isOperator("+")) {
+        const operator = tokens[position].value;
+        position += 1;
+        const operand = parseUnary();
+        return operator === "-" ? { op: "neg", args: [operand] } : operand;
+      }
+      return parsePower();
+    } finally {
+      depth -= 1;
+    }
+  };
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOperator("^")) return base;
+    position += 1;
+    return { op: "^", args: [base, parseUnary()] };
+  };
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail("Unexpected end");
+    position += 1;
+    if (token.kind === "number") return { op: "number", value: token.value };
+    if (token.kind === "name") {
+      if (!isOperator("(")) return { op: "name", name: token.value };
+      if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, token.value)) {
+        fail(`Unknown function "${token.value}"`);
+      }
+      position += 1;
+      const argument = parseSum();
+      expect(")");
+      return { op: "call", name: token.value, args: [argument] };
+    }
+    if (token.value === "(") {
+      const inner = parseSum();
+      expect(")");
+      return inner;
+    }
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  if (!tokens.length) fail("Empty expression");
+  const tree = parseSum();
+  if (position < tokens.length) fail(`Unexpected "${tokens[position].value}"`);
+  parsedExpressions.set(source, tree);
+  if (parsedExpressions.size > EXPRESSION_CACHE_SIZE) {
+    parsedExpressions.delete(parsedExpressions.keys().next().value);
+  }
+  return tree;
+}
+
+// Names an expression refers to, other than the built-in constants.
+function getExpressionNames(text) {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.op === "name" && !Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, node.name)) {
+      names.add(node.name);
+    }
+    (node.args ?? []).forEach(visit);
+  };
+  visit(parseExpression(text));
+  return [...names];
+}
+
+function evaluateExpression(text, values) {
+  const evaluate = (node) => {
+    if (node.op === "number") return node.value;
+    if (node.op === "name") {
+      if (Object.prototype.hasOwnProperty.call(values, node.name)) return Number(values[node.name]);
+      if (Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, node.name)) {
+        return EXPRESSION_CONSTANTS[node.name];
+      }
+      throw new Error(`Unknown name "${node.name}" in "${text}".`);
+    }
+    const args = node.args.map(evaluate);
+    let result;
+    if (node.op === "call") result = EXPRESSION_FUNCTIONS[node.name](args[0]);
+    else if (node.op === "neg") result = -args[0];
+    else if (node.op === "+") result = args[0] + args[1];
+    else if (node.op === "-") result = args[0] - args[1];
+    else if (node.op === "*") result = args[0] * args[1];
+    else if (node.op === "/") result = args[0] / args[1];
+    else result = args[0] ** args[1];
+    if (!Number.isFinite(result)) {
+      throw new Error(`"${text}" is undefined for these parameter values.`);
+    }
+    return result;
+  };
+  return evaluate(parseExpression(text));
+}
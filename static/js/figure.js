@@ -0,0 +1,219 @@
+// Figure export helpers. createSvgContext() returns an object implementing the
+// subset of the Canvas 2D API used by the visualization code and records every
+// call as SVG, so the same drawing routines produce both PNG and SVG output.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function createSvgContext(width, height) {
+  const measureContext = document.createElement("canvas").getContext("2d");
+  const defs = [];
+  const body = [];
+  let idCounter = 0;
+  let path = [];
+  let state = createSvgState();
+  const stack = [];
+
+  const nextId = (prefix) => {
+    idCounter += 1;
+    return `${prefix}${idCounter}`;
+  };
+  const point = (x, y) => `${formatSvgNumber(x + state.tx)} ${formatSvgNumber(y + state.ty)}`;
+
+  const paintAttributes = (kind) => {
+    const style = kind === "fill" ? state.fillStyle : state.strokeStyle;
+    const attributes = [];
+    if (style && typeof style === "object" && style.id) {
+      attributes.push(`${kind}="url(#${style.id})"`);
+    } else {
+      const { color, opacity } = parseSvgColor(String(style));
+      attributes.push(`${kind}="${color}"`);
+      if (opacity < 1) attributes.push(`${kind}-opacity="${formatSvgNumber(opacity)}"`);
+    }
+    if (state.globalAlpha < 1) attributes.push(`opacity="${formatSvgNumber(state.globalAlpha)}"`);
+    if (state.clip) attributes.push(`clip-path="url(#${state.clip})"`);
+    return attributes;
+  };
+
+  const context = {
+    canvas: { width, height },
+    save() {
+      stack.push({ ...state, lineDash: [...state.lineDash] });
+    },
+    restore() {
+      state = stack.pop() ?? createSvgState();
+    },
+    setTransform() {},
+    translate(x, y) {
+      state.tx += x;
+      state.ty += y;
+    },
+    setLineDash(segments) {
+      state.lineDash = [...segments];
+    },
+    clearRect() {},
+    beginPath() {
+      path = [];
+    },
+    moveTo(x, y) {
+      path.push(`M ${point(x, y)}`);
+    },
+    lineTo(x, y) {
+      path.push(`${path.length ? "L" : "M"} ${point(x, y)}`);
+    },
+    quadraticCurveTo(cpx, cpy, x, y) {
+      if (!path.length) path.push(`M ${point(cpx, cpy)}`);
+      path.push(`Q ${point(cpx, cpy)} ${point(x, y)}`);
+    },
+    closePath() {
+      path.push("Z");
+    },
+    rect(x, y, w, h) {
+      path.push(`M ${point(x, y)} L ${point(x + w, y)} L ${point(x + w, y + h)} L ${point(x, y + h)} Z`);
+    },
+    arc(x, y, radius, startAngle, endAngle) {
+      const r = formatSvgNumber(radius);
+      const start = [x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle)];
+      path.push(`${path.length ? "L" : "M"} ${point(start[0], start[1])}`);
+      const sweep = endAngle - startAngle;
+      if (Math.abs(sweep) >= Math.PI * 2 - 1e-9) {
+        const opposite = [x - radius * Math.cos(startAngle), y - radius * Math.sin(startAngle)];
+        path.push(`A ${r} ${r} 0 1 1 ${point(opposite[0], opposite[1])}`);
+        path.push(`A ${r} ${r} 0 1 1 ${point(start[0], start[1])}`);
+        return;
+      }
+      const end = [x + radius * Math.cos(endAngle), y + radius * Math.sin(endAngle)];
+      const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+      path.push(`A ${r} ${r} 0 ${largeArc} ${sweep > 0 ? 1 : 0} ${point(end[0], end[1])}`);
+    },
+    stroke() {
+      if (!path.length) return;
+      const attributes = paintAttributes("stroke");
+      attributes.push(`stroke-width="${formatSvgNumber(state.lineWidth)}"`, 'fill="none"');
+      attributes.push(`stroke-linejoin="${state.lineJoin}"`, `stroke-linecap="${state.lineCap}"`);
+      if (state.lineDash.length) attributes.push(`stroke-dasharray="${state.lineDash.join(" ")}"`);
+      body.push(`<path d="${path.join(" ")}" ${attributes.join(" ")}/>`);
+    },
+    fill() {
+      if (!path.length) return;
+      body.push(`<path d="${path.join(" ")}" ${paintAttributes("fill").join(" ")}/>`);
+    },
+    fillRect(x, y, w, h) {
+      body.push(
+        `<rect x="${formatSvgNumber(x + state.tx)}" y="${formatSvgNumber(y + state.ty)}" width="${formatSvgNumber(w)}" height="${formatSvgNumber(h)}" ${paintAttributes("fill").join(" ")}/>`,
+      );
+    },
+    clip() {
+      const id = nextId("clip");
+      defs.push(`<clipPath id="${id}"><path d="${path.join(" ")}"/></clipPath>`);
+      state.clip = id;
+    },
+    fillText(text, x, y) {
+      const anchor = { center: "middle", right: "end", end: "end" }[state.textAlign] ?? "start";
+      const baseline =
+        { top: "hanging", middle: "middle", bottom: "text-after-edge" }[state.textBaseline] ??
+        "alphabetic";
+      const attributes = paintAttributes("fill");
+      body.push(
+        `<text x="${formatSvgNumber(x + state.tx)}" y="${formatSvgNumber(y + state.ty)}" text-anchor="${anchor}" dominant-baseline="${baseline}" style="font: ${escapeSvgText(state.font)}" ${attributes.join(" ")}>${escapeSvgText(String(text))}</text>`,
+      );
+    },
+    measureText(text) {
+      measureContext.font = state.font;
+      return measureContext.measureText(text);
+    },
+    createLinearGradient(x0, y0, x1, y1) {
+      const id = nextId("gradient");
+      const stops = [];
+      const [gx0, gy0, gx1, gy1] = [x0 + state.tx, y0 + state.ty, x1 + state.tx, y1 + state.ty];
+      const gradient = {
+        id,
+        addColorStop(offset, color) {
+          const { color: stopColor, opacity } = parseSvgColor(color);
+          stops.push(
+            `<stop offset="${formatSvgNumber(offset)}" stop-color="${stopColor}" stop-opacity="${formatSvgNumber(opacity)}"/>`,
+          );
+        },
+      };
+      // Stops are collected lazily, so the definition is rendered on output.
+      defs.push({
+        toString: () =>
+          `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${formatSvgNumber(gx0)}" y1="${formatSvgNumber(gy0)}" x2="${formatSvgNumber(gx1)}" y2="${formatSvgNumber(gy1)}">${stops.join("")}</linearGradient>`,
+      });
+      return gradient;
+    },
+    toSVG() {
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="${SVG_NS}" width="${formatSvgNumber(width)}" height="${formatSvgNumber(height)}" viewBox="0 0 ${formatSvgNumber(width)} ${formatSvgNumber(height)}">`,
+        `<defs>${defs.map(String).join("")}</defs>`,
+        ...body,
+        "</svg>",
+      ].join("\n");
+    },
+  };
+
+  ["strokeStyle", "fillStyle", "lineWidth", "lineJoin", "lineCap", "font", "textAlign", "textBaseline", "globalAlpha"].forEach(
+    (key) => {
+      Object.defineProperty(context, key, {
+        get: () => state[key],
+        set: (value) => {
+          state[key] = value;
+        },
+      });
+    },
+  );
+
+  return context;
+}
+
+function createSvgState() {
+  return {
+    strokeStyle: "#000000",
+    fillStyle: "#000000",
+    lineWidth: 1,
+    lineJoin: "miter",
+    lineCap: "butt",
+    lineDash: [],
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic",
+    globalAlpha: 1,
+    clip: null,
+    tx: 0,
+    ty: 0,
+  };
+}
+
+// SVG 1.1 viewers do not understand #rrggbbaa or rgba(), so alpha is split
+// out into a separate opacity attribute.
+function parseSvgColor(value) {
+  const text = String(value).trim();
+  const hex = text.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  if (hex) {
+    return {
+      color: `#${hex[1]}`,
+      opacity: hex[2] ? parseInt(hex[2], 16) / 255 : 1,
+    };
+  }
+  const rgba = text.match(/^rgba?\(([^)]+)\)$/i);
+  if (rgba) {
+    const parts = rgba[1].split(",").map((part) => part.trim());
+    return {
+      color: `rgb(${parts.slice(0, 3).join(", ")})`,
+      opacity: parts[3] !== undefined ? Number(parts[3]) : 1,
+    };
+  }
+  return { color: text, opacity: 1 };
+}
+
+function formatSvgNumber(value) {
+  return String(Math.round(Number(value) * 100) / 100);
+}
+
+function escapeSvgText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
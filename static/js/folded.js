@@ -0,0 +1,75 @@
+// Geometry for the folded layout view, in mm on the optical table. The axis
+// starts at the origin heading along +x. Each mirror turns it by
+// 180° - 2·tilt_angle, counterclockwise when flip_orientation >= 0, so an
+// untilted mirror sends the beam straight back. Ray heights are measured along
+// a transverse axis that is reflected with the beam, so a ray keeps its
+// physical side of the axis at every mirror.
+
+const FOLDING_COMPONENT_TYPES = ["mirror", "curved_mirror"];
+
+// Returns one plane for the rail start and one after each component, each
+// with its point on the axis, the axis direction and the transverse (height)
+// direction. Mirror planes also carry the direction of the mirror surface.
+function computeFoldedAxis(components) {
+  let point = [0, 0];
+  let direction = [1, 0];
+  let normal = [0, 1];
+  const planes = [{ point, direction, normal }];
+  const vertices = [point];
+
+  components.forEach((component) => {
+    const length = getComponentThickness(component);
+    point = [point[0] + direction[0] * length, point[1] + direction[1] * length];
+    if (!FOLDING_COMPONENT_TYPES.includes(component.type)) {
+      planes.push({ point, direction, normal });
+      return;
+    }
+    const params = component.params ?? {};
+    const tilt = (Math.min(Math.max(Number(params.tilt_angle) || 0, 0), 89) * Math.PI) / 180;
+    const turn = (Math.PI - 2 * tilt) * (Number(params.flip_orientation ?? 1) >= 0 ? 1 : -1);
+    const turned = rotateVector(direction, turn);
+    // The mirror normal bisects the incoming and reversed outgoing directions.
+    const mirrorNormal = normalizeVector([direction[0] - turned[0], direction[1] - turned[1]]);
+    normal = reflectVector(normal, mirrorNormal);
+    direction = turned;
+    vertices.push(point);
+    planes.push({ point, direction, normal, surface: rotateVector(mirrorNormal, Math.PI / 2) });
+  });
+
+  vertices.push(point);
+  return { planes, vertices };
+}
+
+// Table position of a ray at height h on a plane.
+function foldedPoint(plane, h) {
+  return [plane.point[0] + plane.normal[0] * h, plane.point[1] + plane.normal[1] * h];
+}
+
+// Bounding box of a list of [x, y] points, or null when there are none.
+function foldedBounds(points) {
+  if (!points.length) return null;
+  const xs = points.map((point) => point[0]);
+  const ys = points.map((point) => point[1]);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys),
+  };
+}
+
+function rotateVector([x, y], angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [x * cos - y * sin, x * sin + y * cos];
+}
+
+function normalizeVector([x, y]) {
+  const length = Math.hypot(x, y) || 1;
+  return [x / length, y / length];
+}
+
+function reflectVector(vector, unitNormal) {
+  const dot = vector[0] * unitNormal[0] + vector[1] * unitNormal[1];
+  return [vector[0] - 2 * dot * unitNormal[0], vector[1] - 2 * dot * unitNormal[1]];
+}
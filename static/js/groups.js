@@ -0,0 +1,107 @@
+// Component groups and sub-assemblies. A group is a named, contiguous run of
+// rail components shown as one tile; the trace still sees the flat component
+// list, so a group's matrix is just the product over its members. Saved
+// sub-assemblies are such runs kept in the toolbox for reuse. These helpers
+// work on plain data; app.js owns the rail, the toolbox and local storage.
+
+const ASSEMBLY_TYPE_PREFIX = "assembly:";
+
+function isAssemblyType(type) {
+  return typeof type === "string" && type.startsWith(ASSEMBLY_TYPE_PREFIX);
+}
+
+// Contiguous runs of components sharing a groupId, in rail order.
+function getGroupRuns(components) {
+  const runs = [];
+  components.forEach((component, index) => {
+    const groupId = component.groupId ?? null;
+    if (groupId === null) return;
+    const last = runs[runs.length - 1];
+    if (last && last.groupId === groupId && last.start + last.count === index) {
+      last.count += 1;
+    } else {
+      runs.push({ groupId, start: index, count: 1 });
+    }
+  });
+  return runs;
+}
+
+// Combined matrix and offset of count components from start in a trace
+// result, applied in rail order: M = M_last ··· M_first.
+function combineComponentRange(data, start, count) {
+  let matrix = IDENTITY_MATRIX;
+  let offset = [0, 0];
+  data.matrices.slice(start, start + count).forEach((componentMatrix, index) => {
+    matrix = multiplyMatrices(componentMatrix, matrix);
+    offset = combineOffsets(componentMatrix, offset, data.offsets[start + index]);
+  });
+  return { matrix, offset };
+}
+
+// Checks the groups list of a design against its component count. Groups
+// are { label, start, count, collapsed } ranges that must not overlap.
+function validateDesignGroups(groups, componentCount) {
+  const errors = [];
+  const cleaned = [];
+  if (!Array.isArray(groups)) {
+    return { groups: cleaned, errors: ["Design groups must be a list."] };
+  }
+  groups.forEach((group, index) => {
+    const where = `Group ${index + 1}`;
+    if (!group || typeof group !== "object") {
+      errors.push(`${where}: must be an object.`);
+      return;
+    }
+    if (typeof group.label !== "string" || !group.label.trim()) {
+      errors.push(`${where}: label must be a non-empty string.`);
+    }
+    if (!Number.isInteger(group.start) || group.start < 0) {
+      errors.push(`${where}: start must be a component index.`);
+    }
+    if (!Number.isInteger(group.count) || group.count < 1) {
+      errors.push(`${where}: count must be a positive integer.`);
+    } else if (Number.isInteger(group.start) && group.start + group.count > componentCount) {
+      errors.push(`${where}: runs past the last component.`);
+    }
+    if (group.collapsed !== undefined && typeof group.collapsed !== "boolean") {
+      errors.push(`${where}: collapsed must be true or false.`);
+    }
+    cleaned.push({
+      label: String(group.label ?? "").trim(),
+      start: group.start,
+      count: group.count,
+      collapsed: group.collapsed !== false,
+    });
+  });
+  if (errors.length) return { groups: cleaned, errors };
+
+  cleaned.sort((a, b) => a.start - b.start);
+  cleaned.slice(1).forEach((group, index) => {
+    const previous = cleaned[index];
+    if (group.start < previous.start + previous.count) {
+      errors.push(`Groups "${previous.label}" and "${group.label}" overlap.`);
+    }
+  });
+  return { groups: cleaned, errors };
+}
+
+// Checks a stored sub-assembly, { label, components }, by validating its
+// components as a design of their own.
+function validateAssembly(assembly, library) {
+  if (!assembly || typeof assembly !== "object" || typeof assembly.label !== "string") {
+    return ["Sub-assembly must be an object with a label."];
+  }
+  if (!Array.isArray(assembly.components) || !assembly.components.length) {
+    return [`${assembly.label}: has no components.`];
+  }
+  const { errors } = validateDesign(
+    {
+      format: DESIGN_FORMAT,
+      version: DESIGN_VERSION,
+      components: assembly.components,
+      rays: [],
+    },
+    library,
+  );
+  return errors.map((error) => `${assembly.label}: ${error}`);
+}
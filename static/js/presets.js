@@ -0,0 +1,207 @@
+// Preset gallery: classic systems that load as complete designs, with rays
+// chosen to show what each system does and a note on what to look for in the
+// trace. Entries hold the parts of a design (see design.js); buildPresetDesign
+// adds the format fields and default view, and app.js validates the result
+// like any imported design before loading it. Lengths are in mm, ray angles
+// in rad and component parameters in their declared units.
+
+// View settings every preset starts from, so a preset looks the same whatever
+// was loaded before it.
+const PRESET_VIEW = {
+  beam: { enabled: false, waist_radius: 0.5, waist_position: 0, wavelength_nm: 632.8 },
+  analysis: { object_distance: 0, show_markers: true },
+  layout: "unfolded",
+  two_plane: false,
+};
+
+// Rays for the afocal presets: a collimated bundle plus one field ray.
+const COLLIMATED_PRESET_RAYS = [
+  { label: "Axis", height: 0, angle: 0 },
+  { label: "Upper edge", height: 5, angle: 0, color: "#69d2ff" },
+  { label: "Lower edge", height: -5, angle: 0, color: "#69d2ff" },
+  { label: "Field", height: 0, angle: 0.01, color: "#ff9f1c" },
+];
+
+// Rays fanning out from an object point 5 mm above the axis at the input
+// plane, plus one from the axial object point.
+const OBJECT_PRESET_RAYS = [
+  { label: "Object, up", height: 5, angle: 0.02, color: "#69d2ff" },
+  { label: "Object, level", height: 5, angle: 0, color: "#69d2ff" },
+  { label: "Object, down", height: 5, angle: -0.02, color: "#69d2ff" },
+  { label: "Axial", height: 0, angle: 0.02, color: "#ff9f1c" },
+];
+
+// The Littrow preset's input angle: its 632.8 nm first order leaves the
+// grating along the axis. The grating maps θ to θ/cos θ₁ + θ₁, where
+// θ₁ = asin(300 lines/mm · λ) for the first order at normal incidence.
+const LITTROW_GRATING_ANGLE = Math.asin(300 * 632.8e-6);
+const LITTROW_INPUT_ANGLE = -LITTROW_GRATING_ANGLE * Math.cos(LITTROW_GRATING_ANGLE);
+
+const DESIGN_PRESETS = [
+  {
+    id: "keplerian_telescope",
+    label: "Keplerian Telescope",
+    description:
+      "Two positive lenses 250 mm apart share a focus, so the system is afocal (C = 0). The " +
+      "collimated bundle comes out collimated, 4× narrower and upside down, and the field ray's " +
+      "angle is multiplied by D = −4. The bundle crosses the axis at the shared focus between the lenses.",
+    components: [
+      { type: "free_space", params: { length: 50 } },
+      { type: "positive_lens", params: { focal_length: 200 } },
+      { type: "free_space", params: { length: 250 } },
+      { type: "positive_lens", params: { focal_length: 50 } },
+      { type: "free_space", params: { length: 100 } },
+    ],
+    rays: COLLIMATED_PRESET_RAYS,
+    groups: [{ label: "Telescope", start: 1, count: 3, collapsed: true }],
+  },
+  {
+    id: "galilean_telescope",
+    label: "Galilean Telescope",
+    description:
+      "A negative eyepiece sits 150 mm behind the objective, before its focus, so the rays never " +
+      "cross. The output is collimated and 4× narrower like the Keplerian telescope, but upright: " +
+      "the field ray's angle is multiplied by D = +4, and the tube is 100 mm shorter.",
+    components: [
+      { type: "free_space", params: { length: 50 } },
+      { type: "positive_lens", params: { focal_length: 200 } },
+      { type: "free_space", params: { length: 150 } },
+      { type: "negative_lens", params: { focal_length: -50 } },
+      { type: "free_space", params: { length: 100 } },
+    ],
+    rays: COLLIMATED_PRESET_RAYS,
+    groups: [{ label: "Telescope", start: 1, count: 3, collapsed: true }],
+  },
+  {
+    id: "four_f_imaging",
+    label: "4f Imaging System",
+    description:
+      "Two 100 mm lenses spaced 2f apart, with the object f before the first and the image f after " +
+      "the second. M_total = −I: the image is inverted at unit magnification. Rays leaving the object " +
+      "at the same angle meet in the Fourier plane midway between the lenses, where a filter would go.",
+    components: [
+      { type: "free_space", params: { length: 100 } },
+      { type: "positive_lens", params: { focal_length: 100 } },
+      { type: "free_space", params: { length: 200 } },
+      { type: "positive_lens", params: { focal_length: 100 } },
+      { type: "free_space", params: { length: 100 } },
+    ],
+    rays: OBJECT_PRESET_RAYS,
+  },
+  {
+    id: "beam_expander",
+    label: "Beam Expander",
+    description:
+      "A 25 mm lens and a 125 mm lens, 150 mm apart, expand a HeNe laser beam 5×. Watch the " +
+      "Gaussian beam envelope: the 0.5 mm waist is focused between the lenses and leaves 2.5 mm " +
+      "wide, with the divergence 5× smaller. The edge rays show the same 5× growth geometrically.",
+    components: [
+      { type: "free_space", params: { length: 50 } },
+      { type: "positive_lens", params: { focal_length: 25 } },
+      { type: "free_space", params: { length: 150 } },
+      { type: "positive_lens", params: { focal_length: 125 } },
+      { type: "free_space", params: { length: 150 } },
+    ],
+    rays: [
+      { label: "Axis", height: 0, angle: 0 },
+      { label: "Upper edge", height: 0.5, angle: 0, color: "#69d2ff" },
+      { label: "Lower edge", height: -0.5, angle: 0, color: "#69d2ff" },
+    ],
+    groups: [{ label: "5× Expander", start: 1, count: 3, collapsed: true }],
+    view: {
+      beam: { enabled: true, waist_radius: 0.5, waist_position: 0, wavelength_nm: 632.8 },
+    },
+  },
+  {
+    id: "single_lens_2f",
+    label: "Single-Lens Imager (2f–2f)",
+    description:
+      "An object 2f = 200 mm in front of a 100 mm lens is imaged 2f behind it. B = 0 in M_total, so " +
+      "every ray from the object point lands on the same image point, and A = −1: the image is " +
+      "inverted at unit magnification. The analysis panel puts the image at the output plane.",
+    components: [
+      { type: "free_space", params: { length: 200 } },
+      { type: "positive_lens", params: { focal_length: 100 } },
+      { type: "free_space", params: { length: 200 } },
+    ],
+    rays: OBJECT_PRESET_RAYS,
+  },
+  {
+    id: "prism_pair",
+    label: "Prism Pair",
+    description:
+      "Two opposed 10° N-SF11 prisms: the second undoes the first one's deviation, so each color " +
+      "leaves parallel to the axis again, but the dispersion between them has shifted the colors " +
+      "sideways. Blue is bent most and ends lowest; red ends highest.",
+    components: [
+      { type: "free_space", params: { length: 50 } },
+      { type: "prism", params: { angle_offset: 10, thickness: 10, glass: 2 } },
+      { type: "free_space", params: { length: 300 } },
+      { type: "prism", params: { angle_offset: -10, thickness: 10, glass: 2 } },
+      { type: "free_space", params: { length: 100 } },
+    ],
+    rays: [
+      { label: "Blue 450 nm", height: 0, angle: 0, wavelength_nm: 450, color: spectralColor(450) },
+      { label: "Green 550 nm", height: 0, angle: 0, wavelength_nm: 550, color: spectralColor(550) },
+      { label: "Red 650 nm", height: 0, angle: 0, wavelength_nm: 650, color: spectralColor(650) },
+    ],
+  },
+  {
+    id: "littrow_grating",
+    label: "Littrow Grating Setup",
+    description:
+      "The rail is unfolded along the beam a 300 lines/mm grating sends back to the laser. The input " +
+      "arrives at the angle that sends the first order of 632.8 nm straight down the axis; a lens " +
+      "then focuses the returning light onto a 0.3 mm iris standing in for the laser facet. Only " +
+      "632.8 nm gets through, while 622.8 nm and 642.8 nm land beside it: tilting the grating tunes " +
+      "the laser. The zeroth order, which would be the laser's output, keeps the input angle and " +
+      "misses the facet.",
+    components: [
+      { type: "free_space", params: { length: 30 } },
+      { type: "grating", params: { spatial_frequency: 300, min_order: 0, max_order: 1 } },
+      { type: "free_space", params: { length: 50 } },
+      { type: "positive_lens", params: { focal_length: 100 } },
+      { type: "free_space", params: { length: 100 } },
+      { type: "iris", params: { clear_aperture: 0.3 } },
+    ],
+    rays: [622.8, 632.8, 642.8].map((wavelengthNm) => ({
+      label: `λ ${wavelengthNm} nm`,
+      height: -LITTROW_INPUT_ANGLE * 30,
+      angle: LITTROW_INPUT_ANGLE,
+      wavelength_nm: wavelengthNm,
+      color: spectralColor(wavelengthNm),
+    })),
+  },
+  {
+    id: "periscope",
+    label: "Flat-Mirror Periscope",
+    description:
+      "Two parallel mirrors at 45° turn the beam through 90° and back, so the folded layout shows it " +
+      "leaving 100 mm to the side of where it came in, heading the same way. Flat mirrors have no " +
+      "power: C = 0 in M_total, and the collimated bundle keeps its 10 mm width.",
+    components: [
+      { type: "free_space", params: { length: 80 } },
+      { type: "mirror", params: { flip_orientation: 1, tilt_angle: 45 } },
+      { type: "free_space", params: { length: 100 } },
+      { type: "mirror", params: { flip_orientation: -1, tilt_angle: 45 } },
+      { type: "free_space", params: { length: 80 } },
+    ],
+    rays: COLLIMATED_PRESET_RAYS,
+    view: { layout: "folded" },
+  },
+];
+
+function getDesignPreset(id) {
+  return DESIGN_PRESETS.find((preset) => preset.id === id) ?? null;
+}
+
+function buildPresetDesign(preset) {
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    components: preset.components,
+    rays: preset.rays,
+    groups: preset.groups ?? [],
+    view: { ...PRESET_VIEW, ...preset.view },
+  };
+}
@@ -0,0 +1,85 @@
+// Measurement probes: ray states and the cumulative ABCD matrix at an axial
+// position z, in mm along the rail from its input plane, including part way
+// along a free-space segment. Readings are taken from a computeOpticalPath
+// result, so each ray keeps its own wavelength and diffraction orders.
+
+// Locates z on the rail. `applied` components end at or before z, so a probe
+// at an element's position reads just after it; `inside` is the index of the
+// thick component z falls within (null at a boundary) and `into` how far in.
+function locateProbe(components, z) {
+  let start = 0;
+  for (let index = 0; index < components.length; index += 1) {
+    const end = start + getComponentThickness(components[index]);
+    if (end > z) {
+      const inside = z > start ? index : null;
+      return { applied: index, inside, into: inside === null ? 0 : z - start };
+    }
+    start = end;
+  }
+  return { applied: components.length, inside: null, into: 0 };
+}
+
+// Inside a free-space segment the rays are propagated the rest of the way to
+// z. Inside any other thick element the reading is taken at its entry face,
+// which insideElement flags.
+function readProbe(data, components, z) {
+  const { applied, inside, into } = locateProbe(components, z);
+  const inFreeSpace = inside !== null && components[inside].type === "free_space";
+  const propagation = [
+    [1, inFreeSpace ? into : 0],
+    [0, 1],
+  ];
+
+  let matrix = IDENTITY_MATRIX;
+  let offset = [0, 0];
+  data.matrices.slice(0, applied).forEach((componentMatrix, index) => {
+    matrix = multiplyMatrices(componentMatrix, matrix);
+    offset = combineOffsets(componentMatrix, offset, data.offsets[index]);
+  });
+  matrix = multiplyMatrices(propagation, matrix);
+  offset = combineOffsets(propagation, offset, [0, 0]);
+
+  const rays = [];
+  data.propagated_rays.forEach((ray, rayIndex) => {
+    collectProbeNodes(ray, applied).forEach(({ node, orders }) => {
+      // A ray blocked at component b never gets past b's entry face.
+      const blocked =
+        node.blocked && (applied > node.blocked_at || (applied === node.blocked_at && inside !== null));
+      if (blocked) {
+        rays.push({ rayIndex, orders, blocked: true, node });
+        return;
+      }
+      const [height, angle] = node.history[applied];
+      rays.push({
+        rayIndex,
+        orders,
+        blocked: false,
+        height: height + (inFreeSpace ? angle * into : 0),
+        angle,
+      });
+    });
+  });
+
+  return {
+    z,
+    applied,
+    inside,
+    into,
+    insideElement: inside !== null && !inFreeSpace,
+    index: applied > 0 ? data.indices[applied - 1] : INPUT_INDEX,
+    matrix,
+    offset,
+    rays,
+  };
+}
+
+// The traced nodes carrying a ray past `applied` components: the ray itself,
+// or beyond a grating each of its propagating orders.
+function collectProbeNodes(node, applied, orders = []) {
+  if (node.split_at === null || node.split_at === undefined || applied <= node.split_at) {
+    return [{ node, orders }];
+  }
+  return node.branches
+    .filter((branch) => branch.propagating)
+    .flatMap((branch) => collectProbeNodes(branch, applied, [...orders, branch.order]));
+}
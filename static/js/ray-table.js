@@ -0,0 +1,255 @@
+// Ray tables: input rays imported from CSV, and trace results laid out as
+// tables for CSV export. The "final" table has one row per ray path with its
+// launch and final state; the "history" table has one row per path and step
+// with the state at the rail start and after each component. /api/trace/batch
+// answers with the same columns after a leading "design" one.
+
+const MAX_IMPORTED_RAYS = 2000;
+// Problems listed for a rejected import before the rest are summarized.
+const MAX_LISTED_CSV_ERRORS = 10;
+
+// Column names with the storage unit of each length or angle column; the unit
+// is added to the heading, as in "final_height (mm)".
+const RAY_TABLE_COLUMNS = {
+  final: [
+    ["ray"],
+    ["label"],
+    ["wavelength_nm"],
+    ["orders"],
+    ["status"],
+    ["stopped_at"],
+    ["input_height", "mm"],
+    ["input_angle", "rad"],
+    ["final_height", "mm"],
+    ["final_angle", "rad"],
+  ],
+  history: [
+    ["ray"],
+    ["label"],
+    ["wavelength_nm"],
+    ["orders"],
+    ["step"],
+    ["component"],
+    ["height", "mm"],
+    ["angle", "rad"],
+  ],
+};
+
+// Headings an imported CSV may use for each ray field, so exported tables
+// read back in as their input rays. Rows repeating a "ray" number, such as
+// the other grating orders or later steps of that ray, are skipped.
+const RAY_CSV_FIELDS = {
+  ray: "ray",
+  label: "label",
+  name: "label",
+  height: "height",
+  input_height: "height",
+  angle: "angle",
+  input_angle: "angle",
+  wavelength: "wavelength_nm",
+  wavelength_nm: "wavelength_nm",
+  color: "color",
+};
+// Column order of a CSV without a heading row.
+const RAY_CSV_DEFAULT_FIELDS = ["label", "height", "angle", "wavelength_nm"];
+
+function getRayTableColumns(table, units = STORAGE_DISPLAY_UNITS) {
+  return RAY_TABLE_COLUMNS[table].map(([name, unit]) =>
+    unit ? `${name} (${getDisplayUnit(unit, units)})` : name,
+  );
+}
+
+// Lays out a trace result (in storage units) for rays as the given table,
+// with lengths and angles in units. Paths are those of getRayPaths(); rays
+// that end early have no final state, which leaves those cells empty.
+function buildRayTable(table, data, rays, components, units = STORAGE_DISPLAY_UNITS) {
+  const length = (value) => (value === null ? null : toDisplayValue(value, "mm", units));
+  const angle = (value) => (value === null ? null : toDisplayValue(value, "rad", units));
+  const rows = [];
+  data.propagated_rays.forEach((traced, index) => {
+    const ray = rays[index];
+    getRayPaths(traced).forEach(({ node, orders }) => {
+      const cells = [index + 1, ray.label ?? `Ray ${index + 1}`, node.wavelength_nm, orders.join(";")];
+      if (table === "history") {
+        node.history.forEach(([height, stateAngle], step) => {
+          rows.push([...cells, step, step ? components[step - 1].type : "", length(height), angle(stateAngle)]);
+        });
+        return;
+      }
+      const { status, stoppedAt } = getRayPathStatus(node);
+      const ended = status !== "transmitted";
+      rows.push([
+        ...cells,
+        status,
+        stoppedAt,
+        length(ray.height ?? 0),
+        angle(ray.angle ?? 0),
+        ended ? null : length(node.height),
+        ended ? null : angle(node.angle),
+      ]);
+    });
+  });
+  return { columns: getRayTableColumns(table, units), rows };
+}
+
+// How a path from getRayPaths() ends, with the 1-based number of the
+// component it stopped at.
+function getRayPathStatus(node) {
+  if (node.blocked) return { status: "blocked", stoppedAt: node.blocked_at + 1 };
+  if (node.branches?.length) return { status: "evanescent", stoppedAt: node.split_at + 1 };
+  return { status: "transmitted", stoppedAt: null };
+}
+
+function rayTableToCsv({ columns, rows }) {
+  return [columns, ...rows].map(toCsvRow).join("\n");
+}
+
+// Rows of a CSV text as arrays of cells. Cells holding commas, quotes or line
+// breaks are wrapped in double quotes, with quotes doubled, as toCsvRow()
+// writes them.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = String(text).replace(/^\uFEFF/, "");
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Reads rays from CSV text into ray objects in storage units. A heading row
+// names the columns (see RAY_CSV_FIELDS) and may give a column's unit, as in
+// "height (cm)"; other columns use units. Without a heading row the columns
+// are label, height, angle and an optional wavelength_nm. Height and angle
+// are required; unknown columns are ignored. Errors name spreadsheet rows,
+// counting the heading as row 1.
+function parseRaysCsv(text, units = STORAGE_DISPLAY_UNITS) {
+  const records = parseCsv(text)
+    .map((cells, index) => ({ cells: cells.map((cell) => cell.trim()), number: index + 1 }))
+    .filter(({ cells }) => cells.some(Boolean));
+  if (!records.length) return { rays: [], errors: ["The CSV has no rays."] };
+
+  const headings = records[0].cells.map(parseRayCsvHeading);
+  const fields = headings.map((heading) => heading.field);
+  let columns;
+  let body;
+  if (fields.includes("height") && fields.includes("angle")) {
+    columns = headings;
+    body = records.slice(1);
+  } else if (records[0].cells.slice(1, 3).every((cell) => cell && Number.isFinite(Number(cell)))) {
+    columns = RAY_CSV_DEFAULT_FIELDS.map((field) => ({ field, unit: null }));
+    body = records;
+  } else {
+    return {
+      rays: [],
+      errors: ['The first row must name the columns, such as "label,height,angle,wavelength_nm".'],
+    };
+  }
+
+  const errors = [];
+  const columnUnits = { ...units };
+  columns.forEach(({ field, unit }) => {
+    if (!field || !unit) return;
+    if (field === "height" && LENGTH_UNITS[unit] !== undefined) {
+      columnUnits.length = unit;
+    } else if (field === "angle" && ANGLE_UNITS[unit] !== undefined) {
+      columnUnits.angle = unit;
+    } else if (field !== "wavelength_nm" || unit !== "nm") {
+      errors.push(`Column "${field}" has an unknown unit "${unit}".`);
+    }
+  });
+  if (!body.length) errors.push("The CSV has no rays.");
+  if (body.length > MAX_IMPORTED_RAYS) {
+    errors.push(`The CSV has ${body.length} rays; at most ${MAX_IMPORTED_RAYS} can be imported at once.`);
+  }
+  if (errors.length) return { rays: [], errors };
+
+  const rays = [];
+  const problems = [];
+  const seen = new Set();
+  body.forEach(({ cells, number }) => {
+    const values = {};
+    columns.forEach(({ field }, column) => {
+      if (field && cells[column]) values[field] = cells[column];
+    });
+    if (values.ray !== undefined) {
+      if (seen.has(values.ray)) return;
+      seen.add(values.ray);
+    }
+    const height = fromDisplayValue(Number(values.height ?? NaN), "mm", columnUnits);
+    const angle = fromDisplayValue(Number(values.angle ?? NaN), "rad", columnUnits);
+    const wavelengthNm = values.wavelength_nm === undefined ? null : Number(values.wavelength_nm);
+    const rowProblems = [];
+    if (!Number.isFinite(height)) rowProblems.push("height must be a number");
+    if (!Number.isFinite(angle)) rowProblems.push("angle must be a number");
+    if (wavelengthNm !== null && !(Number.isFinite(wavelengthNm) && wavelengthNm > 0)) {
+      rowProblems.push("wavelength_nm must be a positive number of nanometers");
+    }
+    if (values.color !== undefined && !/^#[0-9a-f]{6}$/i.test(values.color)) {
+      rowProblems.push("color must be a hex color such as #69d2ff");
+    }
+    if (rowProblems.length) {
+      problems.push(`Row ${number}: ${rowProblems.join("; ")}.`);
+      return;
+    }
+    const index = rays.length + problems.length;
+    const ray = {
+      label: values.label ?? `Ray ${index + 1}`,
+      height,
+      angle,
+      // Rays without a color or wavelength get a ramp color below.
+      color: values.color ?? (wavelengthNm === null ? null : spectralColor(wavelengthNm)),
+    };
+    if (wavelengthNm !== null) ray.wavelength_nm = wavelengthNm;
+    rays.push(ray);
+  });
+
+  rays.forEach((ray, index) => {
+    ray.color ??= rampColor(index, rays.length);
+  });
+  if (problems.length > MAX_LISTED_CSV_ERRORS) {
+    const rest = problems.length - MAX_LISTED_CSV_ERRORS;
+    problems.splice(MAX_LISTED_CSV_ERRORS, rest, `…and ${rest} more rows with problems.`);
+  }
+  return problems.length ? { rays: [], errors: problems } : { rays, errors: [] };
+}
+
+// "Height (cm)" → { field: "height", unit: "cm" }; field is null for
+// columns that are not ray fields.
+function parseRayCsvHeading(text) {
+  const [, name, unit] = /^(.*?)\s*(?:\(([^)]*)\))?$/.exec(text);
+  const key = name.toLowerCase().replace(/[\s-]+/g, "_");
+  return {
+    field: Object.prototype.hasOwnProperty.call(RAY_CSV_FIELDS, key) ? RAY_CSV_FIELDS[key] : null,
+    unit: unit?.trim() === "um" ? "µm" : unit?.trim() || null,
+  };
+}
@@ -0,0 +1,108 @@
+// Generators for standard ray bundles. Heights are in mm and angles in rad,
+// the storage units the tracer uses. Each generator returns plain ray objects
+// ready to be pushed into rayState.
+
+const MAX_GENERATED_RAYS = 200;
+
+function spreadValues(count, from, to) {
+  const total = clampRayCount(count);
+  if (total === 1) return [(from + to) / 2];
+  return Array.from({ length: total }, (_, index) => from + ((to - from) * index) / (total - 1));
+}
+
+function clampRayCount(count) {
+  return Math.min(Math.max(Math.round(Number(count) || 1), 1), MAX_GENERATED_RAYS);
+}
+
+// Parallel rays spread evenly across a height range.
+function generateHeightFan({ count, minHeight, maxHeight, angle }) {
+  const heights = spreadValues(count, minHeight, maxHeight);
+  return heights.map((height, index) => ({
+    label: `Fan h${index + 1}`,
+    height,
+    angle,
+    color: rampColor(index, heights.length),
+  }));
+}
+
+// Rays leaving a single point at the rail start over an angular range.
+function generateAngularFan({ count, height, minAngle, maxAngle }) {
+  const angles = spreadValues(count, minAngle, maxAngle);
+  return angles.map((angle, index) => ({
+    label: `Fan θ${index + 1}`,
+    height,
+    angle,
+    color: rampColor(index, angles.length),
+  }));
+}
+
+// Marginal ray from the on-axis object point to the aperture edge, and chief
+// ray from the field edge through the aperture centre. The object sits at the
+// rail start and the aperture stopDistance mm downstream.
+function generateMarginalChiefPair({ fieldHeight, apertureRadius, stopDistance }) {
+  const distance = Math.abs(stopDistance) > 1e-9 ? stopDistance : 1e-9;
+  return [
+    { label: "Marginal", height: 0, angle: apertureRadius / distance, color: "#ff9f1c" },
+    { label: "Chief", height: fieldHeight, angle: -fieldHeight / distance, color: "#69d2ff" },
+  ];
+}
+
+// One ray per wavelength, spread evenly across the band, all launched from the
+// same point so chromatic spread and prism or grating dispersion stand out.
+function generatePolychromaticSource({ count, height, angle, minWavelength, maxWavelength }) {
+  const wavelengths = spreadValues(Math.max(count, 2), minWavelength, maxWavelength);
+  return wavelengths.map((wavelength) => {
+    const wavelengthNm = Math.round(wavelength * 10) / 10;
+    return {
+      label: `λ ${wavelengthNm} nm`,
+      height,
+      angle,
+      wavelength_nm: wavelengthNm,
+      color: spectralColor(wavelengthNm),
+    };
+  });
+}
+
+function rampColor(index, count) {
+  const hue = count > 1 ? 200 - (index / (count - 1)) * 180 : 200;
+  return hslToHex(hue, 85, 62);
+}
+
+function hslToHex(hue, saturation, lightness) {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const k = (n) => (n + hue / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const value = l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return Math.round(value * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Approximate display color of a vacuum wavelength. Intensity falls off
+// towards the edges of the visible band but never below a floor, so deep
+// violet and red rays stay legible on the dark canvas; wavelengths outside
+// 380–780 nm are drawn gray.
+function spectralColor(wavelengthNm) {
+  const w = Number(wavelengthNm);
+  if (!(w >= 380 && w <= 780)) return "#9e9e9e";
+  let rgb;
+  if (w < 440) rgb = [(440 - w) / 60, 0, 1];
+  else if (w < 490) rgb = [0, (w - 440) / 50, 1];
+  else if (w < 510) rgb = [0, 1, (510 - w) / 20];
+  else if (w < 580) rgb = [(w - 510) / 70, 1, 0];
+  else if (w < 645) rgb = [1, (645 - w) / 65, 0];
+  else rgb = [1, 0, 0];
+  let intensity = 1;
+  if (w < 420) intensity = 0.3 + (0.7 * (w - 380)) / 40;
+  else if (w > 700) intensity = 0.3 + (0.7 * (780 - w)) / 80;
+  intensity = Math.max(intensity, 0.55);
+  const toHex = (value) =>
+    Math.round(255 * (value * intensity) ** 0.8)
+      .toString(16)
+      .padStart(2, "0");
+  return `#${rgb.map(toHex).join("")}`;
+}
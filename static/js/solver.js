@@ -0,0 +1,89 @@
+// One-dimensional root finder used to solve for a single component parameter.
+// The residual is sampled across the search range to bracket sign changes,
+// each bracket is refined by bisection, and brackets that straddle a pole
+// (e.g. 1/f blowing up) are rejected rather than reported as solutions.
+
+const SOLVER_SAMPLES = 400;
+const SOLVER_ITERATIONS = 80;
+
+function solveParameter({ evaluate, lower, upper, initial }) {
+  if (!(Number.isFinite(lower) && Number.isFinite(upper)) || upper < lower) {
+    return { solved: false, reason: "The search range is empty or not finite." };
+  }
+
+  const samples = [];
+  for (let index = 0; index <= SOLVER_SAMPLES; index += 1) {
+    const x = lower + ((upper - lower) * index) / SOLVER_SAMPLES;
+    samples.push({ x, g: safeEvaluate(evaluate, x) });
+  }
+
+  const finite = samples.filter((sample) => Number.isFinite(sample.g));
+  if (!finite.length) {
+    return { solved: false, reason: "The goal cannot be evaluated anywhere in the range." };
+  }
+  const magnitudes = finite.map((sample) => Math.abs(sample.g)).sort((a, b) => a - b);
+  const typical = magnitudes[Math.floor(magnitudes.length / 2)] || 1;
+  const tolerance = Math.max(typical, 1e-12) * 1e-6;
+
+  const roots = [];
+  samples.forEach((sample, index) => {
+    if (Number.isFinite(sample.g) && Math.abs(sample.g) <= tolerance) {
+      roots.push({ x: sample.x, g: sample.g });
+      return;
+    }
+    const next = samples[index + 1];
+    if (!next || !Number.isFinite(sample.g) || !Number.isFinite(next.g)) return;
+    if (Math.sign(sample.g) === Math.sign(next.g) || Math.abs(next.g) <= tolerance) return;
+    const root = bisect(evaluate, sample, next);
+    if (Math.abs(root.g) <= tolerance) {
+      roots.push(root);
+    }
+  });
+
+  if (!roots.length) {
+    const closest = finite.reduce((best, sample) =>
+      Math.abs(sample.g) < Math.abs(best.g) ? sample : best,
+    );
+    return {
+      solved: false,
+      reason: `No solution between ${formatSolverValue(lower)} and ${formatSolverValue(upper)}.`,
+      closest,
+    };
+  }
+
+  const reference = Number.isFinite(initial) ? initial : (lower + upper) / 2;
+  roots.sort((a, b) => Math.abs(a.x - reference) - Math.abs(b.x - reference));
+  return { solved: true, value: roots[0].x, residual: roots[0].g, alternatives: roots.length - 1 };
+}
+
+function bisect(evaluate, left, right) {
+  let a = left;
+  let b = right;
+  for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration += 1) {
+    const x = (a.x + b.x) / 2;
+    const g = safeEvaluate(evaluate, x);
+    if (!Number.isFinite(g)) break;
+    const mid = { x, g };
+    if (g === 0) return mid;
+    if (Math.sign(g) === Math.sign(a.g)) {
+      a = mid;
+    } else {
+      b = mid;
+    }
+  }
+  return Math.abs(a.g) < Math.abs(b.g) ? a : b;
+}
+
+function safeEvaluate(evaluate, x) {
+  try {
+    return Number(evaluate(x));
+  } catch (err) {
+    return Number.NaN;
+  }
+}
+
+function formatSolverValue(value) {
+  const text = Number(value).toPrecision(6);
+  if (text.includes("e") || !text.includes(".")) return text;
+  return text.replace(/0+$/, "").replace(/\.$/, "");
+}
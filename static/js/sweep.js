@@ -0,0 +1,93 @@
+// Parameter sweeps: trace the rail repeatedly while one component parameter
+// steps across a range, and export the collected series as CSV.
+
+const MAX_SWEEP_STEPS = 2000;
+const MATRIX_ELEMENTS = {
+  A: [0, 0],
+  B: [0, 1],
+  C: [1, 0],
+  D: [1, 1],
+};
+
+function runParameterSweep({ components, rays, componentIndex, param, from, to, steps }) {
+  const count = Math.min(Math.max(Math.round(steps), 2), MAX_SWEEP_STEPS);
+  const values = [];
+  const raySeries = rays.map(() => ({ heights: [], angles: [] }));
+  const matrices = [];
+  const failures = [];
+
+  for (let step = 0; step < count; step += 1) {
+    const value = from + ((to - from) * step) / (count - 1);
+    const swept = components.map((component, index) =>
+      index === componentIndex
+        ? { ...component, params: { ...component.params, [param]: value } }
+        : component,
+    );
+    values.push(value);
+    let result;
+    try {
+      result = computeOpticalPath(swept, rays);
+    } catch (err) {
+      // A custom element can be undefined at this value (1/f at f = 0, say);
+      // the sample is recorded as null, leaving a gap like a vignetted ray.
+      failures.push({ value, message: err.message });
+      matrices.push(null);
+      raySeries.forEach((series) => {
+        series.heights.push(null);
+        series.angles.push(null);
+      });
+      continue;
+    }
+    matrices.push(result.total_matrix);
+    // Vignetted rays have no final state; null leaves a gap in the plot and
+    // an empty CSV cell. Rays split at gratings follow their primary order.
+    result.propagated_rays.forEach((ray, rayIndex) => {
+      const final = getPrimaryBranch(ray);
+      const ended = final.blocked || final.evanescent;
+      raySeries[rayIndex].heights.push(ended ? null : final.height);
+      raySeries[rayIndex].angles.push(ended ? null : final.angle);
+    });
+  }
+
+  return { componentIndex, param, values, rays: raySeries, matrices, failures };
+}
+
+// Columns are written in storage units unless `units` gives display units,
+// with `units.param` naming the storage unit of the swept parameter.
+function sweepToCsv(sweep, rayLabels, units = null) {
+  const convert = (value, unit) =>
+    units && value !== null ? toDisplayValue(value, unit, units) : value;
+  const heading = (text, unit) => {
+    const label = getDisplayUnit(unit, units ?? STORAGE_DISPLAY_UNITS);
+    return label ? `${text} (${label})` : text;
+  };
+  const header = [heading(sweep.param, units?.param)];
+  rayLabels.forEach((label) => {
+    header.push(heading(`${label} height`, "mm"), heading(`${label} angle`, "rad"));
+  });
+  Object.keys(MATRIX_ELEMENTS).forEach((element) => header.push(`M_${element}`));
+
+  const rows = [header];
+  sweep.values.forEach((value, step) => {
+    const cells = [convert(value, units?.param)];
+    sweep.rays.forEach((series) => {
+      cells.push(convert(series.heights[step], "mm"), convert(series.angles[step], "rad"));
+    });
+    let matrix = sweep.matrices[step];
+    if (units && matrix) matrix = convertMatrixUnits(matrix, units);
+    Object.values(MATRIX_ELEMENTS).forEach(([matrixRow, matrixColumn]) => {
+      cells.push(matrix ? matrix[matrixRow][matrixColumn] : null);
+    });
+    rows.push(cells);
+  });
+  return rows.map(toCsvRow).join("\n");
+}
+
+function toCsvRow(cells) {
+  return cells
+    .map((cell) => {
+      const text = String(cell ?? "");
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
@@ -0,0 +1,292 @@
+// Parity suite comparing the client-side trace engine with /api/trace on a
+// fixed set of designs. Run it from the console with runTraceParitySuite(), or
+// open the page with ?parity in the URL to run it on load. Designs marked
+// invalid must instead be refused by validateTraceRequest() and the API with
+// the same errors.
+
+const PARITY_RAYS = [
+  { label: "Axis", height: 0, angle: 0 },
+  { label: "Upper", height: 5, angle: -5 },
+  { label: "Lower", height: -5, angle: 5 },
+  { label: "Steep", height: 1.5, angle: 12 },
+];
+
+const TRACE_PARITY_DESIGNS = [
+  { name: "Empty rail", components: [] },
+  {
+    name: "Free space only",
+    components: [{ type: "free_space", params: { length: 100 } }],
+  },
+  {
+    name: "Single lens imager",
+    components: [
+      { type: "free_space", params: { length: 100 } },
+      { type: "positive_lens", params: { focal_length: 50 } },
+      { type: "free_space", params: { length: 100 } },
+    ],
+  },
+  {
+    name: "Galilean expander",
+    components: [
+      { type: "negative_lens", params: { focal_length: -25 } },
+      { type: "free_space", params: { length: 50 } },
+      { type: "positive_lens", params: { focal_length: 75 } },
+    ],
+  },
+  {
+    name: "Prism and mirror",
+    components: [
+      { type: "free_space", params: { length: 40 } },
+      { type: "prism", params: { angle_offset: 4.5, thickness: 30 } },
+      { type: "free_space", params: { length: 20 } },
+      { type: "mirror", params: { flip_orientation: -1 } },
+      { type: "free_space", params: { length: 60 } },
+    ],
+  },
+  {
+    name: "Grating chain",
+    components: [
+      { type: "grating", params: { spatial_frequency: 600 } },
+      { type: "free_space", params: { length: 80 } },
+      { type: "grating", params: { spatial_frequency: 2400 } },
+      { type: "free_space", params: { length: 10 } },
+    ],
+  },
+  {
+    name: "Out-of-range parameters",
+    invalid: true,
+    components: [
+      { type: "positive_lens", params: { focal_length: 0 } },
+      { type: "negative_lens", params: { focal_length: 0 } },
+      { type: "prism", params: { angle_offset: -30, thickness: -5 } },
+      { type: "mirror", params: { flip_orientation: 0 } },
+    ],
+  },
+  {
+    name: "Apertures and iris",
+    components: [
+      { type: "free_space", params: { length: 100 } },
+      { type: "positive_lens", params: { focal_length: 50, clear_aperture: 25 } },
+      { type: "free_space", params: { length: 30 } },
+      { type: "iris", params: { clear_aperture: 4 } },
+      { type: "free_space", params: { length: 70 } },
+      { type: "mirror", params: { flip_orientation: 1, clear_aperture: 8 } },
+    ],
+    rays: [
+      { label: "Axis", height: 0, angle: 0 },
+      { label: "Inside", height: 1, angle: 0.01 },
+      { label: "Clipped by lens", height: 20, angle: 0 },
+      { label: "Clipped by iris", height: 3, angle: 0.02 },
+    ],
+  },
+  {
+    name: "Thick elements and curved surfaces",
+    components: [
+      { type: "free_space", params: { length: 60 } },
+      { type: "thick_lens", params: { radius_1: 80, radius_2: -120, thickness: 12, refractive_index: 1.62 } },
+      { type: "free_space", params: { length: 40 } },
+      { type: "dielectric_slab", params: { thickness: 25, refractive_index: 1.45 } },
+      { type: "grin_rod", params: { gradient_constant: 0.3, length: 5.24, refractive_index: 1.6 } },
+      { type: "grin_rod", params: { gradient_constant: 0, length: 10, refractive_index: 1.5 } },
+      { type: "free_space", params: { length: 30 } },
+      { type: "curved_mirror", params: { radius_of_curvature: -150, flip_orientation: 1 } },
+      { type: "spherical_interface", params: { radius: 0, n2: 1.33 } },
+      { type: "spherical_interface", params: { radius: -40, n2: 1 } },
+    ],
+  },
+  {
+    name: "Immersion medium",
+    components: [
+      { type: "free_space", params: { length: 40 } },
+      { type: "positive_lens", params: { focal_length: 60 } },
+      { type: "medium", params: { refractive_index: 1.45 } },
+      { type: "free_space", params: { length: 30 } },
+      { type: "prism", params: { angle_offset: 4, thickness: 15, refractive_index: 1.7 } },
+      { type: "grating", params: { spatial_frequency: 300 } },
+      { type: "thick_lens", params: { radius_1: 60, radius_2: -60, thickness: 8, refractive_index: 1.8 } },
+      { type: "spherical_interface", params: { radius: 50, n2: 1 } },
+      { type: "free_space", params: { length: 70 } },
+    ],
+    beam: { waist_radius: 0.3, waist_position: -10, wavelength_nm: 532 },
+  },
+  {
+    name: "Dispersion",
+    components: [
+      { type: "free_space", params: { length: 30 } },
+      { type: "positive_lens", params: { focal_length: 80, glass: 1 } },
+      { type: "free_space", params: { length: 40 } },
+      { type: "prism", params: { angle_offset: 5, thickness: 12, refractive_index: 1.5, glass: 2 } },
+      { type: "thick_lens", params: { radius_1: 90, radius_2: -90, thickness: 6, refractive_index: 1.5, glass: 6 } },
+      { type: "dielectric_slab", params: { thickness: 20, refractive_index: 1.5, glass: 4 } },
+      { type: "grating", params: { spatial_frequency: 600 } },
+      { type: "free_space", params: { length: 60 } },
+    ],
+    rays: [
+      { label: "Reference", height: 2, angle: 0 },
+      { label: "Blue", height: 2, angle: 0, wavelength_nm: 450 },
+      { label: "Red", height: 2, angle: 0, wavelength_nm: 650 },
+      { label: "Near IR", height: -1, angle: 0.5, wavelength_nm: 1064 },
+    ],
+    beam: { waist_radius: 0.5, waist_position: 0, wavelength_nm: 532 },
+  },
+  {
+    name: "Diffraction orders",
+    components: [
+      { type: "free_space", params: { length: 20 } },
+      { type: "grating", params: { spatial_frequency: 1200, min_order: -2, max_order: 2 } },
+      { type: "free_space", params: { length: 30 } },
+      { type: "iris", params: { clear_aperture: 40 } },
+      { type: "grating", params: { spatial_frequency: 300, min_order: 0, max_order: 1 } },
+      { type: "free_space", params: { length: 50 } },
+      { type: "grating", params: { spatial_frequency: 2400, min_order: 1, max_order: 1 } },
+    ],
+    rays: [
+      { label: "Reference", height: 1, angle: 0 },
+      { label: "Violet", height: 0, angle: 0.2, wavelength_nm: 400 },
+      { label: "Red", height: -1, angle: 0, wavelength_nm: 700 },
+    ],
+  },
+  {
+    name: "Astigmatic planes",
+    twoPlane: true,
+    components: [
+      { type: "free_space", params: { length: 50 } },
+      { type: "cylindrical_lens", params: { focal_length: 40, power_plane: 0 } },
+      { type: "free_space", params: { length: 30 } },
+      { type: "cylindrical_lens", params: { focal_length: -60, power_plane: 1, glass: 1 } },
+      { type: "free_space", params: { length: 60 } },
+      { type: "curved_mirror", params: { radius_of_curvature: 150, tilt_angle: 20, flip_orientation: 1 } },
+      { type: "prism", params: { angle_offset: 3, thickness: 10 } },
+      { type: "grating", params: { spatial_frequency: 600, min_order: 0, max_order: 1 } },
+      { type: "free_space", params: { length: 40 } },
+    ],
+    rays: [
+      { label: "Same launch", height: 2, angle: 0 },
+      { label: "Skew", height: 1, angle: 0.01, sagittal_height: -3, sagittal_angle: 0.02 },
+      { label: "Blue", height: -1, angle: 0, wavelength_nm: 450 },
+    ],
+    beam: { waist_radius: 0.5, waist_position: 0, wavelength_nm: 633 },
+  },
+  {
+    name: "Gaussian beam relay",
+    components: [
+      { type: "free_space", params: { length: 150 } },
+      { type: "positive_lens", params: { focal_length: 100 } },
+      { type: "free_space", params: { length: 200 } },
+      { type: "mirror", params: { flip_orientation: 1 } },
+      { type: "negative_lens", params: { focal_length: -40 } },
+      { type: "free_space", params: { length: 50 } },
+    ],
+    beam: { waist_radius: 0.4, waist_position: 20, wavelength_nm: 1064 },
+  },
+  {
+    name: "Custom elements",
+    components: [
+      { type: "free_space", params: { length: 60 } },
+      {
+        type: "custom:lens_and_gap",
+        params: { f: 80, d: 20 },
+        definition: {
+          label: "Lens and gap",
+          parameters: {
+            f: { default: 100, min: 1, max: 1000, step: 1, unit: "mm" },
+            d: { default: 10, min: 0, max: 500, step: 1, unit: "mm" },
+          },
+          matrix: [
+            ["1 - d/f", "d"],
+            ["-1/f", "1"],
+          ],
+          offset: ["0", "0"],
+        },
+      },
+      {
+        type: "custom:tilted_wedge",
+        params: { k: 1.2, tilt: 0.004, clear_aperture: 12 },
+        definition: {
+          label: "Tilted wedge",
+          parameters: {
+            k: { default: 1, min: 0.1, max: 10, step: 0.1 },
+            tilt: { default: 0, min: -0.1, max: 0.1, step: 0.001, unit: "rad" },
+            clear_aperture: { default: 0, min: 0, max: 100, step: 1, unit: "mm" },
+          },
+          matrix: [
+            ["k", "0"],
+            ["0", "1/k"],
+          ],
+          offset: ["-tilt * 2^-3^2", "asin(sin(tilt)) + sqrt(abs(-tilt)) * 0"],
+        },
+      },
+      { type: "free_space", params: { length: 40 } },
+    ],
+    twoPlane: true,
+  },
+];
+
+// Compares two validation error lists entry by entry and key by key, since the
+// API's JSON lists each error's keys in sorted order.
+function compareTraceErrors(expected, actual) {
+  if (expected.length !== actual.length) {
+    return [`errors: expected ${expected.length}, got ${actual.length}`];
+  }
+  const mismatches = [];
+  expected.forEach((error, index) => {
+    const keys = new Set([...Object.keys(error), ...Object.keys(actual[index])]);
+    keys.forEach((key) => {
+      if (error[key] !== actual[index][key]) {
+        mismatches.push(`errors[${index}].${key}: expected ${error[key]}, got ${actual[index][key]}`);
+      }
+    });
+  });
+  return mismatches;
+}
+
+async function runTraceParitySuite(designs = TRACE_PARITY_DESIGNS, tolerance = 1e-9) {
+  const report = [];
+
+  for (const design of designs) {
+    const rays = design.rays ?? PARITY_RAYS;
+    const beam = design.beam ?? null;
+    const twoPlane = Boolean(design.twoPlane);
+    const body = { components: design.components, rays, beam, two_plane: twoPlane };
+    const errors = validateTraceRequest(body, componentLibrary);
+    let mismatches;
+    try {
+      const res = await fetch("/api/trace", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const remote = await res.json();
+      if (design.invalid || errors.length) {
+        mismatches = compareTraceErrors(remote.errors ?? [], errors);
+        if (!errors.length) mismatches.push("the design passes validation");
+        else if (!design.invalid) mismatches.push("the design fails validation");
+      } else {
+        const local = twoPlane
+          ? computeTwoPlanePath(design.components, rays, beam)
+          : computeOpticalPath(design.components, rays, beam);
+        mismatches = compareTraceResults(remote, local, tolerance);
+      }
+    } catch (err) {
+      mismatches = [`request failed: ${err}`];
+    }
+    report.push({ design: design.name, passed: mismatches.length === 0, mismatches });
+  }
+
+  const failures = report.filter((entry) => !entry.passed);
+  console.table(
+    report.map(({ design, passed, mismatches }) => ({
+      design,
+      passed,
+      mismatches: mismatches.length,
+    })),
+  );
+  failures.forEach((entry) => console.warn(`Parity mismatch in ${entry.design}`, entry.mismatches));
+  return report;
+}
+
+if (new URLSearchParams(window.location.search).has("parity")) {
+  window.addEventListener("load", () => {
+    runTraceParitySuite();
+  });
+}
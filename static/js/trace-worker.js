@@ -0,0 +1,15 @@
+// Runs large traces off the main thread. Each message carries an id that is
+// echoed back so the page can discard responses that have been superseded.
+importScripts("expression.js", "trace.js");
+
+self.addEventListener("message", (evt) => {
+  const { id, components, rays, beam, twoPlane } = evt.data;
+  try {
+    const result = twoPlane
+      ? computeTwoPlanePath(components, rays, beam)
+      : computeOpticalPath(components, rays, beam);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err instanceof Error ? err.message : String(err) });
+  }
+});
@@ -0,0 +1,906 @@
+// Client-side ABCD trace engine. Mirrors the calculations in app.py so the
+// rail can be traced without a server round-trip. Loaded as a classic script
+// by the page and through importScripts() by the trace worker, so it must not
+// touch the DOM.
+
+const IDENTITY_MATRIX = [
+  [1.0, 0.0],
+  [0.0, 1.0],
+];
+// Rays enter the rail in air. Heights are in mm and angles are geometric (not
+// reduced) angles in rad, measured in whichever medium the ray is travelling
+// through; units.js converts to and from the display units.
+const INPUT_INDEX = 1.0;
+const ANGLE_CONVENTION = "geometric";
+// Rays without their own wavelength_nm are traced at the reference
+// wavelength; the reported matrices and thin-lens focal lengths refer to it.
+const REFERENCE_WAVELENGTH_NM = 550.0;
+// Gaussian beams are limited to waists up to 1 m and wavelengths from 1 nm
+// to 100 µm, which keeps the Rayleigh range πw₀²/λ finite.
+const MAX_BEAM_WAIST_RADIUS = 1000.0;
+const BEAM_WAVELENGTH_RANGE_NM = [1.0, 100000.0];
+// A grating splits each ray into one path per selected order, so the paths
+// multiply at every grating; a trace may hold at most this many.
+const MAX_RAY_PATHS = 20000;
+// User-defined components have types "custom:<slug>" and carry their own
+// definition: parameters like a library entry, plus a "matrix" [[A, B],
+// [C, D]] and "offset" [Δx, Δθ] of expressions in those parameters. They have
+// no thickness and leave the medium unchanged. The expressions are evaluated
+// by expression.js, which is loaded before this file.
+const CUSTOM_TYPE_PREFIX = "custom:";
+// Parameter units a definition may declare; values are always in storage
+// units.
+const CUSTOM_PARAMETER_UNITS = ["", "mm", "rad", "1/mm"];
+// The tangential plane is the one drawn on the rail and the one mirrors fold
+// in; the sagittal plane is perpendicular to it. Elements are aligned to these
+// planes, so each is traced independently with its own 2×2 matrices.
+const TRACE_PLANES = ["tangential", "sagittal"];
+
+// Same catalog as app.py. Sellmeier terms are [B, C] pairs in µm²; Cauchy
+// coefficients are [A, B, C] for n = A + B/λ² + C/λ⁴ with λ in µm. Option 0 of
+// a "glass" parameter keeps the fixed refractive_index.
+const GLASS_CATALOG = [
+  {
+    label: "N-BK7",
+    model: "sellmeier",
+    terms: [[1.03961212, 0.00600069867], [0.231792344, 0.0200179144], [1.01046945, 103.560653]],
+  },
+  {
+    label: "N-SF11",
+    model: "sellmeier",
+    terms: [[1.73759695, 0.013188707], [0.313747346, 0.0623068142], [1.89878101, 155.23629]],
+  },
+  {
+    label: "F2",
+    model: "sellmeier",
+    terms: [[1.34533359, 0.00997743871], [0.209073176, 0.0470450767], [0.937357162, 111.886764]],
+  },
+  {
+    label: "Fused silica",
+    model: "sellmeier",
+    terms: [[0.6961663, 0.0046791483], [0.4079426, 0.0135120631], [0.8974794, 97.9340025]],
+  },
+  {
+    label: "CaF2",
+    model: "sellmeier",
+    terms: [[0.5675888, 0.00252643], [0.4710914, 0.010078333], [3.8484723, 1200.556]],
+  },
+  { label: "PMMA (acrylic)", model: "cauchy", coefficients: [1.4816, 0.00353, 0.0] },
+  { label: "Polycarbonate", model: "cauchy", coefficients: [1.556, 0.01, 0.0] },
+];
+
+// Rays arriving outside a component's clear aperture stop there and are
+// reported with blocked_at set to that component's index. The rail carries
+// the current medium index between components; with geometric angles the
+// matrices are index-aware and det(M_total) = n_in / n_out. Dispersive
+// components are evaluated at each ray's own wavelength; the reported
+// matrices use the reference wavelength. history lists a ray's state at the
+// rail start and after each component it reaches, ending on the blocking
+// aperture when it is blocked. A ray reaching a grating keeps the final state
+// of its primary order (see getPrimaryBranch()) in height, angle and blocked,
+// while its history ends at the grating, split_at is set and branches holds
+// one entry per selected diffraction order, each with its order and full
+// history; orders that do not propagate have propagating = false. plane picks the tangential or sagittal matrices;
+// sagittal rays start from sagittal_height/sagittal_angle when set, and
+// apertures clip each plane separately.
+function computeOpticalPath(components, rays, beam = null, plane = "tangential") {
+  const apertures = components.map((component) => getApertureRadius(component.params ?? {}));
+  const spectral = new Map([
+    [REFERENCE_WAVELENGTH_NM, buildComponentMatrices(components, REFERENCE_WAVELENGTH_NM, plane)],
+  ]);
+  const matricesFor = (wavelengthNm) => {
+    if (!spectral.has(wavelengthNm)) {
+      spectral.set(wavelengthNm, buildComponentMatrices(components, wavelengthNm, plane));
+    }
+    return spectral.get(wavelengthNm);
+  };
+  const { matrices, offsets, indices } = spectral.get(REFERENCE_WAVELENGTH_NM);
+
+  let totalMatrix = IDENTITY_MATRIX.map((row) => [...row]);
+  let totalOffset = [0.0, 0.0];
+
+  matrices.forEach((matrix, index) => {
+    totalMatrix = multiplyMatrices(matrix, totalMatrix);
+    totalOffset = combineOffsets(matrix, totalOffset, offsets[index]);
+  });
+
+  const traceBranch = (start, startHistory, wavelengthNm) => {
+    const traced = matricesFor(wavelengthNm);
+    let history = startHistory;
+    let vec = history[history.length - 1];
+    for (let index = start; index < components.length; index += 1) {
+      const radius = apertures[index];
+      if (radius !== null && Math.abs(vec[0]) > radius) {
+        return createRayNode(vec, [...history, vec], wavelengthNm, { blockedAt: index });
+      }
+      const component = components[index];
+      if (component.type === "grating") {
+        const params = component.params ?? {};
+        const medium = index > 0 ? traced.indices[index - 1] : INPUT_INDEX;
+        const arrival = [...history, vec];
+        const branches = getGratingOrders(params).map((order) => {
+          const transform = getGratingOrderTransform(params, medium, wavelengthNm, order, plane);
+          if (!transform) return createEvanescentNode(order, arrival, wavelengthNm);
+          const branchVec = applyComponent(transform[0], transform[1], vec);
+          const branch = traceBranch(index + 1, [...history, branchVec], wavelengthNm);
+          return { order, propagating: true, ...branch };
+        });
+        const node = createRayNode(vec, arrival, wavelengthNm, { splitAt: index, branches });
+        const primary = getPrimaryOrder(branches);
+        if (primary) {
+          Object.assign(node, {
+            height: primary.height,
+            angle: primary.angle,
+            blocked: primary.blocked,
+            blocked_at: primary.blocked_at,
+          });
+        }
+        return node;
+      }
+      vec = applyComponent(traced.matrices[index], traced.offsets[index], vec);
+      history = [...history, vec];
+    }
+    return createRayNode(vec, history, wavelengthNm);
+  };
+
+  const propagatedRays = rays.map((ray) =>
+    traceBranch(0, [getRayLaunch(ray, plane)], getRayWavelength(ray)),
+  );
+
+  const result = {
+    matrices,
+    offsets,
+    total_matrix: totalMatrix,
+    total_offset: totalOffset,
+    propagated_rays: propagatedRays,
+    indices,
+    angle_convention: ANGLE_CONVENTION,
+    reference_wavelength_nm: REFERENCE_WAVELENGTH_NM,
+    plane,
+  };
+  if (beam) {
+    const traced = matricesFor(getBeamWavelength(beam));
+    result.gaussian_beam = propagateGaussianBeam(traced.matrices, beam, traced.indices);
+  }
+  return result;
+}
+
+// The tangential trace with the sagittal trace attached as result.sagittal.
+function computeTwoPlanePath(components, rays, beam = null) {
+  const result = computeOpticalPath(components, rays, beam, "tangential");
+  result.sagittal = computeOpticalPath(components, rays, beam, "sagittal");
+  return result;
+}
+
+// Checks a trace request ({ components, rays, beam, two_plane }) like
+// validate_trace_request() in app.py, returning one error per offending
+// field: { field, message } plus the component or ray index and the param
+// name where they apply. The page always traces in storage units, so
+// parameter limits are compared as declared; library supplies the built-in
+// types and custom components are checked against their own definition.
+function validateTraceRequest({ components = [], rays = [], beam = null, two_plane: twoPlane }, library) {
+  const errors = [];
+  if (!Array.isArray(components)) {
+    errors.push({ field: "components", message: "Components must be a list." });
+  } else {
+    components.forEach((component, index) => {
+      errors.push(...validateTraceComponent(component, index, library));
+    });
+  }
+
+  if (!Array.isArray(rays)) {
+    errors.push({ field: "rays", message: "Rays must be a list." });
+  } else {
+    rays.forEach((ray, index) => errors.push(...validateTraceRay(ray, index)));
+  }
+  if (!errors.length && countRayPaths(components, rays.length) > MAX_RAY_PATHS) {
+    errors.push({
+      field: "components",
+      message: `The gratings split the rays into more than ${MAX_RAY_PATHS} paths; select fewer orders or rays.`,
+    });
+  }
+
+  if (beam !== null && beam !== undefined) {
+    if (typeof beam !== "object" || Array.isArray(beam)) {
+      errors.push({ field: "beam", message: "Gaussian beam must be an object or null." });
+    } else {
+      [
+        ["waist_radius", true],
+        ["waist_position", false],
+        ["wavelength_nm", true],
+      ].forEach(([key, positive]) => {
+        const value = beam[key];
+        if (value === undefined || value === null) return;
+        if (!isFiniteNumber(value)) {
+          errors.push({ field: `beam.${key}`, message: `${key} must be a finite number.` });
+        } else if (positive && value <= 0) {
+          errors.push({ field: `beam.${key}`, message: `${key} must be positive.` });
+        } else if (key === "waist_radius" && value > MAX_BEAM_WAIST_RADIUS) {
+          const message = `waist_radius must be at most ${MAX_BEAM_WAIST_RADIUS} mm.`;
+          errors.push({ field: `beam.${key}`, message });
+        } else if (
+          key === "wavelength_nm" &&
+          !(value >= BEAM_WAVELENGTH_RANGE_NM[0] && value <= BEAM_WAVELENGTH_RANGE_NM[1])
+        ) {
+          const [low, high] = BEAM_WAVELENGTH_RANGE_NM;
+          const message = `wavelength_nm must be between ${low} and ${high} nm.`;
+          errors.push({ field: `beam.${key}`, message });
+        }
+      });
+    }
+  }
+
+  if (twoPlane !== undefined && twoPlane !== null && typeof twoPlane !== "boolean") {
+    errors.push({ field: "two_plane", message: "two_plane must be true or false." });
+  }
+  return errors;
+}
+
+function validateTraceComponent(component, index, library) {
+  const where = `components[${index}]`;
+  if (!component || typeof component !== "object" || Array.isArray(component)) {
+    return [{ field: where, component: index, message: "Component must be an object." }];
+  }
+  const custom = isCustomType(component.type);
+  let parameters;
+  if (custom) {
+    const problem = getCustomDefinitionProblem(component.definition);
+    if (problem) return [{ field: `${where}.definition`, component: index, message: problem }];
+    parameters = component.definition.parameters ?? {};
+  } else if (typeof component.type === "string" && Object.prototype.hasOwnProperty.call(library, component.type)) {
+    parameters = library[component.type].parameters;
+  } else {
+    return [{ field: `${where}.type`, component: index, message: `Unknown component type "${component.type}".` }];
+  }
+
+  const params = component.params ?? {};
+  if (typeof params !== "object" || Array.isArray(params)) {
+    return [{ field: `${where}.params`, component: index, message: "Parameters must be an object keyed by name." }];
+  }
+  const errors = [];
+  Object.entries(params).forEach(([name, value]) => {
+    const error = (message) => ({ field: `${where}.params.${name}`, component: index, param: name, message });
+    const config = Object.prototype.hasOwnProperty.call(parameters, name) ? parameters[name] : null;
+    if (!config) {
+      errors.push(error(`Unknown parameter "${name}".`));
+      return;
+    }
+    if (!isFiniteNumber(value)) {
+      errors.push(error(`${name} must be a finite number.`));
+      return;
+    }
+    if (config.min !== undefined && value < config.min) {
+      errors.push(error(`${name}=${value} is below the minimum ${config.min}.`));
+    }
+    if (config.max !== undefined && value > config.max) {
+      errors.push(error(`${name}=${value} is above the maximum ${config.max}.`));
+    }
+  });
+
+  if (custom && !errors.length) {
+    try {
+      calculateCustomTransform(component.definition, params);
+    } catch (err) {
+      errors.push({ field: `${where}.definition`, component: index, message: err.message });
+    }
+  }
+  return errors;
+}
+
+// What keeps a custom definition from being evaluated, or null.
+function getCustomDefinitionProblem(definition) {
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    return "Custom component is missing its definition.";
+  }
+  const parameters = definition.parameters ?? {};
+  const configs = typeof parameters === "object" && !Array.isArray(parameters) ? Object.values(parameters) : null;
+  if (!configs || !configs.every((config) => config && typeof config === "object")) {
+    return "Definition parameters must be an object of parameter settings keyed by name.";
+  }
+  for (const [name, config] of Object.entries(parameters)) {
+    if (["default", "min", "max"].some((key) => config[key] !== undefined && !isFiniteNumber(config[key]))) {
+      return `Parameter "${name}": default, min and max must be finite numbers.`;
+    }
+    if (!CUSTOM_PARAMETER_UNITS.includes(config.unit ?? "")) {
+      return `Parameter "${name}": unit must be one of ${CUSTOM_PARAMETER_UNITS.map((unit) => `"${unit}"`).join(", ")}.`;
+    }
+  }
+  const isPair = (row) => Array.isArray(row) && row.length === 2;
+  const matrix = definition.matrix ?? [
+    ["1", "0"],
+    ["0", "1"],
+  ];
+  if (!isPair(matrix) || !matrix.every(isPair)) return "Matrix must be [[A, B], [C, D]].";
+  if (!isPair(definition.offset ?? ["0", "0"])) return "Offset must be [Δh, Δθ].";
+  return null;
+}
+
+function validateTraceRay(ray, index) {
+  const where = `rays[${index}]`;
+  if (!ray || typeof ray !== "object" || Array.isArray(ray)) {
+    return [{ field: where, ray: index, message: "Ray must be an object." }];
+  }
+  const errors = [];
+  ["height", "angle", "sagittal_height", "sagittal_angle"].forEach((key) => {
+    if (ray[key] !== undefined && ray[key] !== null && !isFiniteNumber(ray[key])) {
+      errors.push({ field: `${where}.${key}`, ray: index, message: `${key} must be a finite number.` });
+    }
+  });
+  const wavelength = ray.wavelength_nm;
+  if (wavelength !== undefined && wavelength !== null && !(isFiniteNumber(wavelength) && wavelength > 0)) {
+    errors.push({
+      field: `${where}.wavelength_nm`,
+      ray: index,
+      message: "wavelength_nm must be a positive number of nanometers.",
+    });
+  }
+  return errors;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function createRayNode(vec, history, wavelengthNm, { blockedAt = null, splitAt = null, branches = [] } = {}) {
+  return {
+    height: vec[0],
+    angle: vec[1],
+    blocked: blockedAt !== null,
+    blocked_at: blockedAt,
+    wavelength_nm: wavelengthNm,
+    history,
+    split_at: splitAt,
+    branches,
+  };
+}
+
+function createEvanescentNode(order, history, wavelengthNm) {
+  return {
+    order,
+    propagating: false,
+    height: null,
+    angle: null,
+    blocked: false,
+    blocked_at: null,
+    wavelength_nm: wavelengthNm,
+    history,
+    split_at: null,
+    branches: [],
+  };
+}
+
+// Follows a traced ray through its splits along the propagating order closest
+// to m = 1 (the single order traced before orders were selectable). When no
+// order propagates, the ray is reported as ending at that grating.
+function getPrimaryBranch(ray) {
+  let node = ray;
+  while (node.branches?.length) {
+    const primary = getPrimaryOrder(node.branches);
+    if (!primary) {
+      return { ...node, branches: [], evanescent: true };
+    }
+    node = primary;
+  }
+  return node;
+}
+
+// The propagating branch closest to m = 1, or null when none propagates.
+function getPrimaryOrder(branches) {
+  const propagating = branches.filter((branch) => branch.propagating);
+  if (!propagating.length) return null;
+  return propagating.reduce((best, branch) =>
+    Math.abs(branch.order - 1) < Math.abs(best.order - 1) ? branch : best,
+  );
+}
+
+// The paths a traced ray takes, as the node each one ends on and the orders
+// it was diffracted into. A path follows the propagating orders at each
+// grating and ends where it leaves the rail, is blocked, or reaches a grating
+// none of whose orders propagate.
+function getRayPaths(ray, orders = []) {
+  const propagating = (ray.branches ?? []).filter((branch) => branch.propagating);
+  if (!propagating.length) return [{ node: ray, orders }];
+  return propagating.flatMap((branch) => getRayPaths(branch, [...orders, branch.order]));
+}
+
+// Every end point of a traced ray: unsplit branches and non-propagating orders.
+function getRayLeaves(ray) {
+  if (!ray.branches?.length) return [ray];
+  return ray.branches.flatMap((branch) => getRayLeaves(branch));
+}
+
+function buildComponentMatrices(components, wavelengthNm, plane = "tangential") {
+  const matrices = [];
+  const offsets = [];
+  const indices = [];
+  let medium = INPUT_INDEX;
+  components.forEach((component) => {
+    const params = component.params ?? {};
+    const [matrix, offset] = isCustomType(component.type)
+      ? calculateCustomTransform(component.definition, params)
+      : calculateMatrix(component.type, params, medium, wavelengthNm, plane);
+    matrices.push(matrix);
+    offsets.push(offset);
+    medium = getExitMedium(component.type, params, medium);
+    indices.push(medium);
+  });
+  return { matrices, offsets, indices };
+}
+
+function getRayLaunch(ray, plane) {
+  if (plane === "sagittal") {
+    return [
+      Number(ray.sagittal_height ?? ray.height ?? 0),
+      Number(ray.sagittal_angle ?? ray.angle ?? 0),
+    ];
+  }
+  return [Number(ray.height ?? 0), Number(ray.angle ?? 0)];
+}
+
+function getRayWavelength(ray) {
+  const value = ray.wavelength_nm;
+  return value === undefined || value === null
+    ? REFERENCE_WAVELENGTH_NM
+    : Math.max(Number(value), 1.0);
+}
+
+function getBeamWavelength(beam) {
+  return Math.max(Number(beam.wavelength_nm ?? 632.8), 1e-6);
+}
+
+// medium is the index the component sits in. Thin lenses and mirrors are
+// specified in that medium; elements with surfaces refract out of and back
+// into it. wavelengthNm selects the index of dispersive glasses and the grating
+// diffraction angle. plane selects the tangential or sagittal matrix; prisms
+// and gratings deviate rays in the tangential plane only. Throws for an
+// unknown component type.
+function calculateMatrix(
+  componentType,
+  params,
+  medium = INPUT_INDEX,
+  wavelengthNm = REFERENCE_WAVELENGTH_NM,
+  plane = "tangential",
+) {
+  if (componentType === "free_space") {
+    const length = Number(params.length ?? 0.0);
+    return [[[1.0, length], [0.0, 1.0]], [0.0, 0.0]];
+  }
+
+  if (componentType === "positive_lens") {
+    const focal = Math.max(Number(params.focal_length ?? 50.0), 1e-6);
+    const scale = getLensDispersionScale(params, wavelengthNm);
+    return [[[1.0, 0.0], [-scale / focal, 1.0]], [0.0, 0.0]];
+  }
+
+  if (componentType === "negative_lens") {
+    const focal = Math.min(Number(params.focal_length ?? -50.0), -1e-6);
+    const scale = getLensDispersionScale(params, wavelengthNm);
+    return [[[1.0, 0.0], [-scale / focal, 1.0]], [0.0, 0.0]];
+  }
+
+  if (componentType === "cylindrical_lens") {
+    const powerPlane = Math.round(Number(params.power_plane ?? 0)) === 1 ? "sagittal" : "tangential";
+    const focal = Number(params.focal_length ?? 50.0);
+    if (plane !== powerPlane || Math.abs(focal) < 1e-6) {
+      return [IDENTITY_MATRIX.map((row) => [...row]), [0.0, 0.0]];
+    }
+    const scale = getLensDispersionScale(params, wavelengthNm);
+    return [[[1.0, 0.0], [-scale / focal, 1.0]], [0.0, 0.0]];
+  }
+
+  if (componentType === "prism") {
+    const [matrix, offset] = calculatePrismTransform(params, medium, wavelengthNm);
+    return [matrix, plane === "sagittal" ? [0.0, 0.0] : offset];
+  }
+
+  if (componentType === "grating") {
+    return calculateGratingTransform(params, medium, wavelengthNm, plane);
+  }
+
+  if (componentType === "mirror") {
+    const orientation = Number(params.flip_orientation ?? 1.0) >= 0 ? 1.0 : -1.0;
+    return [[[1.0, 0.0], [0.0, -orientation]], [0.0, 0.0]];
+  }
+
+  if (componentType === "thick_lens") {
+    return [calculateThickLensTransform(params, medium, wavelengthNm), [0.0, 0.0]];
+  }
+
+  if (componentType === "spherical_interface") {
+    const n2 = getExitMedium(componentType, params, medium);
+    return [refractionMatrix(medium, n2, Number(params.radius ?? 50.0)), [0.0, 0.0]];
+  }
+
+  if (componentType === "medium") {
+    const n = getExitMedium(componentType, params, medium);
+    return [refractionMatrix(medium, n, 0.0), [0.0, 0.0]];
+  }
+
+  if (componentType === "curved_mirror") {
+    // Same angle reversal as the flat mirror, applied after the focusing
+    // power 2/R of the unfolded mirror. Off-axis incidence at the tilt angle θ
+    // scales that power by 1/cos θ tangentially and cos θ sagittally.
+    const orientation = Number(params.flip_orientation ?? 1.0) >= 0 ? 1.0 : -1.0;
+    const tilt = (Math.min(Math.max(Number(params.tilt_angle ?? 0.0), 0.0), 89.0) * Math.PI) / 180;
+    const tiltScale = plane === "sagittal" ? Math.cos(tilt) : 1.0 / Math.cos(tilt);
+    const curvature = surfaceCurvature(Number(params.radius_of_curvature ?? 200.0)) * tiltScale;
+    return [[[1.0, 0.0], [2.0 * orientation * curvature, -orientation]], [0.0, 0.0]];
+  }
+
+  if (componentType === "dielectric_slab") {
+    const thickness = Math.max(Number(params.thickness ?? 10.0), 0.0);
+    const n = getGlassIndex(params, wavelengthNm);
+    return [[[1.0, (thickness * medium) / n], [0.0, 1.0]], [0.0, 0.0]];
+  }
+
+  if (componentType === "grin_rod") {
+    return [calculateGrinRodTransform(params, medium), [0.0, 0.0]];
+  }
+
+  if (componentType === "iris") {
+    return [IDENTITY_MATRIX.map((row) => [...row]), [0.0, 0.0]];
+  }
+
+  throw new Error(`Unknown component type "${componentType}".`);
+}
+
+function isCustomType(componentType) {
+  return typeof componentType === "string" && componentType.startsWith(CUSTOM_TYPE_PREFIX);
+}
+
+// Evaluates a custom component's matrix and offset expressions (see
+// expression.js); parameters missing from params take their defaults. The
+// same matrix applies in both planes.
+function calculateCustomTransform(definition, params) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error("Custom component is missing its definition.");
+  }
+  const values = {};
+  Object.entries(definition.parameters ?? {}).forEach(([name, config]) => {
+    values[name] = Number(params[name] ?? config.default ?? 0);
+  });
+  const rows = definition.matrix ?? [
+    ["1", "0"],
+    ["0", "1"],
+  ];
+  const matrix = rows.map((row) => row.map((entry) => evaluateExpression(String(entry), values)));
+  const offset = (definition.offset ?? ["0", "0"]).map((entry) => evaluateExpression(String(entry), values));
+  return [matrix, offset];
+}
+
+// Medium index after a component that sits in medium.
+function getExitMedium(componentType, params, medium) {
+  if (componentType === "medium") {
+    return Math.max(Number(params.refractive_index ?? 1.33), 1.0);
+  }
+  if (componentType === "spherical_interface") {
+    return Math.max(Number(params.n2 ?? 1.5), 1.0);
+  }
+  return medium;
+}
+
+// Element index: the selected catalog glass, else the fixed refractive_index.
+function getGlassIndex(params, wavelengthNm, fallback = 1.5) {
+  const glass = getCatalogGlass(params);
+  if (glass) return getDispersionIndex(glass, wavelengthNm);
+  return Math.max(Number(params.refractive_index ?? fallback), 1.0);
+}
+
+function getCatalogGlass(params) {
+  const choice = Math.round(Number(params.glass ?? 0));
+  return choice >= 1 && choice <= GLASS_CATALOG.length ? GLASS_CATALOG[choice - 1] : null;
+}
+
+function getDispersionIndex(glass, wavelengthNm) {
+  const wavelengthUm = wavelengthNm / 1000.0;
+  const squared = wavelengthUm * wavelengthUm;
+  if (glass.model === "sellmeier") {
+    let nSquared = 1.0;
+    glass.terms.forEach(([b, c]) => {
+      nSquared += (b * squared) / (squared - c);
+    });
+    return Math.sqrt(Math.max(nSquared, 1.0));
+  }
+  const [a, b, c] = glass.coefficients;
+  return Math.max(a + b / squared + c / (squared * squared), 1.0);
+}
+
+// Thin-lens power scales with n - 1, so focal lengths set at the reference
+// wavelength are rescaled for other wavelengths. Fixed-index lenses are
+// achromatic.
+function getLensDispersionScale(params, wavelengthNm) {
+  const glass = getCatalogGlass(params);
+  if (!glass) return 1.0;
+  const reference = getDispersionIndex(glass, REFERENCE_WAVELENGTH_NM);
+  return (getDispersionIndex(glass, wavelengthNm) - 1.0) / (reference - 1.0);
+}
+
+// Clear-aperture radius in mm, or null when the aperture is unlimited (0).
+function getApertureRadius(params) {
+  const diameter = Number(params.clear_aperture ?? 0);
+  return diameter > 0 ? diameter / 2 : null;
+}
+
+// Physical length a component occupies along the rail, in mm.
+function getComponentThickness(component) {
+  const params = component.params ?? {};
+  const key = {
+    free_space: "length",
+    prism: "thickness",
+    thick_lens: "thickness",
+    dielectric_slab: "thickness",
+    grin_rod: "length",
+  }[component.type];
+  return key ? Math.max(Number(params[key]) || 0, 0) : 0;
+}
+
+function multiplyMatrices(a, b) {
+  return [
+    [a[0][0] * b[0][0] + a[0][1] * b[1][0], a[0][0] * b[0][1] + a[0][1] * b[1][1]],
+    [a[1][0] * b[0][0] + a[1][1] * b[1][0], a[1][0] * b[0][1] + a[1][1] * b[1][1]],
+  ];
+}
+
+function combineOffsets(matrix, existingOffset, newOffset) {
+  const propagated = [
+    matrix[0][0] * existingOffset[0] + matrix[0][1] * existingOffset[1],
+    matrix[1][0] * existingOffset[0] + matrix[1][1] * existingOffset[1],
+  ];
+  return [propagated[0] + newOffset[0], propagated[1] + newOffset[1]];
+}
+
+function applyComponent(matrix, offset, vec) {
+  return [
+    matrix[0][0] * vec[0] + matrix[0][1] * vec[1] + offset[0],
+    matrix[1][0] * vec[0] + matrix[1][1] * vec[1] + offset[1],
+  ];
+}
+
+// Beam input: waist_radius (mm), waist_position along the rail (mm) and the
+// vacuum wavelength_nm. Returns the state at the rail start, then after each
+// matrix. indices gives the medium after each matrix; the reduced parameter
+// q/n is propagated with reduced matrices so media changes are exact.
+function propagateGaussianBeam(matrices, beam, indices = null) {
+  const wavelengthMm = getBeamWavelength(beam) * 1e-6;
+  const waistRadius = Math.max(Number(beam.waist_radius ?? 0.5), 1e-9);
+  const waistPosition = Number(beam.waist_position ?? 0.0);
+  const rayleighRange = (Math.PI * waistRadius ** 2) / wavelengthMm;
+  const exitIndices = indices ?? matrices.map(() => INPUT_INDEX);
+
+  let medium = INPUT_INDEX;
+  let reducedQ = [-waistPosition / medium, rayleighRange / medium];
+  const physicalQ = () => [reducedQ[0] * medium, reducedQ[1] * medium];
+  const states = [describeGaussianBeam(physicalQ(), wavelengthMm, medium)];
+  matrices.forEach((matrix, index) => {
+    const exitIndex = exitIndices[index];
+    reducedQ = transformQParameter(reduceMatrix(matrix, medium, exitIndex), reducedQ);
+    medium = exitIndex;
+    states.push(describeGaussianBeam(physicalQ(), wavelengthMm, medium));
+  });
+  return states;
+}
+
+// Converts a geometric-angle matrix to act on reduced angles n·θ.
+function reduceMatrix(matrix, nIn, nOut) {
+  const [[a, b], [c, d]] = matrix;
+  return [
+    [a, b / nIn],
+    [c * nOut, (d * nOut) / nIn],
+  ];
+}
+
+// q' = (Aq + B) / (Cq + D) with q stored as [re, im]. Reflections with a
+// negative determinant are unfolded so the beam keeps propagating forward.
+function transformQParameter(matrix, q) {
+  const [[a, b], [c0, d0]] = matrix;
+  const flip = a * d0 - b * c0 < 0 ? -1 : 1;
+  const c = c0 * flip;
+  const d = d0 * flip;
+  const numerator = [a * q[0] + b, a * q[1]];
+  let denominator = [c * q[0] + d, c * q[1]];
+  if (Math.hypot(denominator[0], denominator[1]) < 1e-12) {
+    denominator = [1e-12, 0];
+  }
+  return divideComplex(numerator, denominator);
+}
+
+// wavelengthMm is the vacuum wavelength; the beam is in a medium of the given
+// index.
+function describeGaussianBeam(q, wavelengthMm, refractiveIndex = INPUT_INDEX) {
+  const inverse = divideComplex([1, 0], q);
+  const localWavelength = wavelengthMm / refractiveIndex;
+  const radius = Math.sqrt(localWavelength / (Math.PI * Math.max(-inverse[1], 1e-300)));
+  const curvature = Math.abs(inverse[0]) > 1e-12 ? 1 / inverse[0] : null;
+  return {
+    q: [q[0], q[1]],
+    radius,
+    curvature,
+    rayleigh_range: q[1],
+    refractive_index: refractiveIndex,
+  };
+}
+
+function divideComplex(n, d) {
+  const denom = d[0] * d[0] + d[1] * d[1];
+  return [(n[0] * d[0] + n[1] * d[1]) / denom, (n[1] * d[0] - n[0] * d[1]) / denom];
+}
+
+// 1/R, treating a zero radius as a flat surface.
+function surfaceCurvature(radius) {
+  return Math.abs(radius) < 1e-9 ? 0.0 : 1.0 / radius;
+}
+
+// Refraction from index n1 into n2; R > 0 puts the center of curvature after
+// the surface.
+function refractionMatrix(n1, n2, radius) {
+  return [
+    [1.0, 0.0],
+    [((n1 - n2) * surfaceCurvature(radius)) / n2, n1 / n2],
+  ];
+}
+
+function calculateThickLensTransform(
+  params,
+  medium = INPUT_INDEX,
+  wavelengthNm = REFERENCE_WAVELENGTH_NM,
+) {
+  const n = getGlassIndex(params, wavelengthNm);
+  const thickness = Math.max(Number(params.thickness ?? 10.0), 0.0);
+  const entryMatrix = refractionMatrix(medium, n, Number(params.radius_1 ?? 100.0));
+  const propagationMatrix = [[1.0, thickness], [0.0, 1.0]];
+  const exitMatrix = refractionMatrix(n, medium, Number(params.radius_2 ?? -100.0));
+  return multiplyMatrices(exitMatrix, multiplyMatrices(propagationMatrix, entryMatrix));
+}
+
+// Parabolic-profile rod with flat end faces in the surrounding medium.
+function calculateGrinRodTransform(params, medium = INPUT_INDEX) {
+  const gradient = Math.max(Number(params.gradient_constant ?? 0.3), 0.0);
+  const length = Math.max(Number(params.length ?? 5.24), 0.0);
+  const n0 = Math.max(Number(params.refractive_index ?? 1.6), 1.0);
+  if (gradient < 1e-9) {
+    return [[1.0, (length * medium) / n0], [0.0, 1.0]];
+  }
+  const phase = gradient * length;
+  return [
+    [Math.cos(phase), (medium * Math.sin(phase)) / (n0 * gradient)],
+    [(-n0 * gradient * Math.sin(phase)) / medium, Math.cos(phase)],
+  ];
+}
+
+function calculatePrismTransform(params, medium = INPUT_INDEX, wavelengthNm = REFERENCE_WAVELENGTH_NM) {
+  const nPrism = getGlassIndex(params, wavelengthNm);
+  const apexAngle = (Number(params.angle_offset ?? 0.0) * Math.PI) / 180; // declared in deg
+  const thickness = Math.max(Number(params.thickness ?? 20.0), 0.0);
+
+  const entryD = medium / nPrism;
+  const entryMatrix = [[1.0, 0.0], [0.0, entryD]];
+  const entryOffset = [0.0, (-apexAngle / 2.0) * (1.0 - entryD)];
+
+  const propagationMatrix = [[1.0, thickness], [0.0, 1.0]];
+  const propagationOffset = [0.0, 0.0];
+
+  const exitD = nPrism / medium;
+  const exitMatrix = [[1.0, 0.0], [0.0, exitD]];
+  const exitOffset = [0.0, (apexAngle / 2.0) * (1.0 - exitD)];
+
+  let matrix = entryMatrix;
+  let offset = entryOffset;
+  matrix = multiplyMatrices(propagationMatrix, matrix);
+  offset = combineOffsets(propagationMatrix, offset, propagationOffset);
+  matrix = multiplyMatrices(exitMatrix, matrix);
+  offset = combineOffsets(exitMatrix, offset, exitOffset);
+
+  matrix[1][0] = 0.0;
+  offset[0] = 0.0;
+
+  return [matrix, offset];
+}
+
+// The matrix chain uses the grating's reference order; when that order is
+// evanescent the identity is returned and the ray results report it.
+function calculateGratingTransform(
+  params,
+  medium = INPUT_INDEX,
+  wavelengthNm = REFERENCE_WAVELENGTH_NM,
+  plane = "tangential",
+) {
+  const order = getGratingReferenceOrder(params);
+  const transform = getGratingOrderTransform(params, medium, wavelengthNm, order, plane);
+  return transform ?? [IDENTITY_MATRIX.map((row) => [...row]), [0.0, 0.0]];
+}
+
+// How many paths rayCount rays split into at most, one per order at each
+// grating.
+function countRayPaths(components, rayCount) {
+  return components.reduce(
+    (paths, component) =>
+      component.type === "grating" ? paths * getGratingOrders(component.params ?? {}).length : paths,
+    rayCount,
+  );
+}
+
+function getGratingOrders(params) {
+  const low = Math.round(Number(params.min_order ?? 1));
+  const high = Math.round(Number(params.max_order ?? 1));
+  const orders = [];
+  for (let order = Math.min(low, high); order <= Math.max(low, high); order += 1) {
+    orders.push(order);
+  }
+  return orders;
+}
+
+// The selected order closest to m = 1.
+function getGratingReferenceOrder(params) {
+  const orders = getGratingOrders(params);
+  return Math.min(Math.max(1, orders[0]), orders[orders.length - 1]);
+}
+
+// sin θ_m = m λ f at normal incidence, with λ in the medium. Returns null for
+// an evanescent order (|m λ f| >= 1). The grooves run along the sagittal
+// direction, so a propagating order leaves sagittal rays unchanged.
+function getGratingOrderTransform(params, medium, wavelengthNm, order, plane = "tangential") {
+  const spatialFrequency = Math.max(Number(params.spatial_frequency ?? 600.0), 0.0);
+  const wavelengthMm = (wavelengthNm * 1e-6) / medium; // wavelength in the medium
+  const argument = order * spatialFrequency * wavelengthMm;
+  if (Math.abs(argument) >= 1.0) return null;
+  if (plane === "sagittal") return [IDENTITY_MATRIX.map((row) => [...row]), [0.0, 0.0]];
+
+  const angleRad = Math.asin(argument);
+  const angularMagnification = 1.0 / Math.cos(angleRad);
+
+  return [[[1.0, 0.0], [0.0, angularMagnification]], [0.0, angleRad]];
+}
+
+// Returns a list of human-readable mismatches between two trace results, or
+// an empty list when every number agrees within the relative tolerance.
+function compareTraceResults(expected, actual, tolerance = 1e-9) {
+  const mismatches = [];
+
+  const compareValue = (path, a, b) => {
+    const scale = Math.max(Math.abs(a), Math.abs(b), 1);
+    if (!(Math.abs(a - b) <= tolerance * scale)) {
+      mismatches.push(`${path}: expected ${a}, got ${b}`);
+    }
+  };
+
+  const compareNested = (path, a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+      if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+        mismatches.push(`${path}: shape differs`);
+        return;
+      }
+      a.forEach((value, index) => compareNested(`${path}[${index}]`, value, b[index]));
+      return;
+    }
+    if (a && typeof a === "object") {
+      Object.keys(a).forEach((key) => compareNested(`${path}.${key}`, a[key], b?.[key]));
+      return;
+    }
+    if (a === null || b === null) {
+      if (a !== b) mismatches.push(`${path}: expected ${a}, got ${b}`);
+      return;
+    }
+    compareValue(path, Number(a), Number(b));
+  };
+
+  const keys = [
+    "matrices",
+    "offsets",
+    "total_matrix",
+    "total_offset",
+    "propagated_rays",
+    "indices",
+    "gaussian_beam",
+  ];
+  keys.forEach((key) => {
+    if (expected?.[key] === undefined && actual?.[key] === undefined) return;
+    compareNested(key, expected?.[key], actual?.[key]);
+  });
+  if (expected?.sagittal !== undefined || actual?.sagittal !== undefined) {
+    compareTraceResults(expected?.sagittal, actual?.sagittal, tolerance).forEach((mismatch) => {
+      mismatches.push(`sagittal.${mismatch}`);
+    });
+  }
+
+  return mismatches;
+}
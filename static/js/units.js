@@ -0,0 +1,80 @@
+// Unit model. Rays, component parameters and trace results are stored and
+// traced in storage units: heights and lengths in mm, angles in rad, and each
+// component parameter in the "unit" declared on its definition. The chosen
+// display units are applied only where values are shown or typed in, so the
+// rail, saved designs and /api/trace payloads never depend on them.
+
+const LENGTH_UNITS = { "µm": 1000, mm: 1, cm: 0.1, m: 0.001 }; // per mm
+const ANGLE_UNITS = { rad: 1, mrad: 1000, deg: 180 / Math.PI }; // per rad
+const DEFAULT_DISPLAY_UNITS = { length: "mm", angle: "mrad" };
+const STORAGE_DISPLAY_UNITS = { length: "mm", angle: "rad" };
+// Declared parameter units that follow the chosen length or angle unit.
+const UNIT_QUANTITIES = {
+  mm: "length",
+  "1/mm": "inverse_length",
+  rad: "angle",
+  mrad: "angle",
+  deg: "angle",
+};
+
+// Factor taking a value in storageUnit to the display units.
+function getUnitFactor(storageUnit, units) {
+  const quantity = UNIT_QUANTITIES[storageUnit];
+  if (quantity === "length") return LENGTH_UNITS[units.length];
+  if (quantity === "inverse_length") return 1 / LENGTH_UNITS[units.length];
+  if (quantity === "angle") return ANGLE_UNITS[units.angle] / ANGLE_UNITS[storageUnit];
+  return 1;
+}
+
+// Label shown for a value stored in storageUnit; "" for dimensionless values.
+function getDisplayUnit(storageUnit, units) {
+  const quantity = UNIT_QUANTITIES[storageUnit];
+  if (quantity === "length") return units.length;
+  if (quantity === "inverse_length") return `1/${units.length}`;
+  if (quantity === "angle") return units.angle;
+  return storageUnit ?? "";
+}
+
+// Conversions round to 12 significant digits so a value typed in one unit
+// reads back unchanged instead of as 99.99999999999999.
+function toDisplayValue(value, storageUnit, units) {
+  return roundUnitValue(Number(value) * getUnitFactor(storageUnit, units));
+}
+
+function fromDisplayValue(value, storageUnit, units) {
+  return roundUnitValue(Number(value) / getUnitFactor(storageUnit, units));
+}
+
+function roundUnitValue(value) {
+  return Number.isFinite(value) ? Number(value.toPrecision(12)) : value;
+}
+
+function formatWithUnit(value, storageUnit, units, digits = 3) {
+  const unit = getDisplayUnit(storageUnit, units);
+  const text = (Number(value) * getUnitFactor(storageUnit, units)).toFixed(digits);
+  return unit ? `${text} ${unit}` : text;
+}
+
+// A ray state [h, θ] scales by S = diag(l, a) in display units, so matrices
+// become S·M·S⁻¹: B scales by l/a and C by a/l.
+function convertMatrixUnits(matrix, units) {
+  const length = getUnitFactor("mm", units);
+  const angle = getUnitFactor("rad", units);
+  const [[A, B], [C, D]] = matrix;
+  return [
+    [A, (B * length) / angle],
+    [(C * angle) / length, D],
+  ];
+}
+
+function convertOffsetUnits(offset, units) {
+  return [offset[0] * getUnitFactor("mm", units), offset[1] * getUnitFactor("rad", units)];
+}
+
+function isValidDisplayUnits(units) {
+  return (
+    Boolean(units) &&
+    Object.prototype.hasOwnProperty.call(LENGTH_UNITS, units.length) &&
+    Object.prototype.hasOwnProperty.call(ANGLE_UNITS, units.angle)
+  );
+}